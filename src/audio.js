@@ -87,6 +87,66 @@ export function convertToTelephonyAudio(pcmBuffer, sourceRate = 22050) {
   return encodeMuLaw(resampled);
 }
 
+// Streaming counterpart of convertToTelephonyAudio: push PCM chunks as they arrive, get μ-law
+// back. Chunks may split a sample; with gain 1 the output matches converting the whole buffer
+// at once. A gain below 1 attenuates before encoding (the whisper effect) in the same pass.
+export class TelephonyEncoder {
+  constructor(sourceRate = 22050, { gain = 1 } = {}) {
+    this.ratio = sourceRate / 8000;
+    this.gain = gain;
+    this.leftover = Buffer.alloc(0); // odd trailing byte of the last chunk
+    this.window = new Int16Array(0); // source samples still needed for interpolation
+    this.base = 0; // source index of window[0]
+    this.received = 0; // source samples so far
+    this.produced = 0; // output samples so far
+  }
+
+  push(pcmChunk) {
+    const bytes = this.leftover.length ? Buffer.concat([this.leftover, pcmChunk]) : pcmChunk;
+    const count = bytes.length >> 1;
+    this.leftover = Buffer.from(bytes.subarray(count * 2));
+
+    const window = new Int16Array(this.window.length + count);
+    window.set(this.window);
+    for (let i = 0; i < count; i++) window[this.window.length + i] = bytes.readInt16LE(i * 2);
+    this.window = window;
+    this.received += count;
+
+    return this._drain(false);
+  }
+
+  // Flush the tail once the source has ended
+  end() {
+    return this._drain(true);
+  }
+
+  _drain(final) {
+    const total = final ? Math.floor(this.received / this.ratio) : Infinity;
+    const out = [];
+
+    while (this.produced < total) {
+      const srcIdx = this.produced * this.ratio;
+      const idx = Math.floor(srcIdx);
+      const frac = srcIdx - idx;
+      // Mid-stream, wait for the next sample before interpolating towards it
+      if (!final && idx + 1 >= this.received) break;
+
+      const sample = idx + 1 < this.received
+        ? this.window[idx - this.base] * (1 - frac) + this.window[idx + 1 - this.base] * frac
+        : this.window[idx - this.base] || 0;
+      out.push(encodeMuLawSample(Math.round(Math.round(sample) * this.gain)));
+      this.produced++;
+    }
+
+    const keepFrom = Math.min(Math.floor(this.produced * this.ratio), this.received);
+    if (keepFrom > this.base) {
+      this.window = this.window.slice(keepFrom - this.base);
+      this.base = keepFrom;
+    }
+    return Buffer.from(out);
+  }
+}
+
 // Reduce volume of μ-law audio for whisper effect
 export function attenuateAudio(mulawBuffer, factor = 0.4) {
   const pcm = decodeMuLaw(mulawBuffer);
@@ -96,3 +156,23 @@ export function attenuateAudio(mulawBuffer, factor = 0.4) {
   }
   return encodeMuLaw(samples);
 }
+
+// Mix two μ-law buffers sample by sample, clipping the sum; the result is as long as the longer one
+export function mixMuLaw(a, b) {
+  const mixed = Buffer.alloc(Math.max(a.length, b.length));
+  for (let i = 0; i < mixed.length; i++) {
+    const sum = (i < a.length ? decodeMuLawSample(a[i]) : 0) + (i < b.length ? decodeMuLawSample(b[i]) : 0);
+    mixed[i] = encodeMuLawSample(Math.max(-32768, Math.min(32767, sum)));
+  }
+  return mixed;
+}
+
+// Sine tones in sequence as 8kHz μ-law, e.g. keypad acknowledgements. tones: [{ hz, ms }]; hz 0 is a gap.
+export function toneMuLaw(tones, { gain = 0.2 } = {}) {
+  const samples = [];
+  for (const { hz, ms } of tones) {
+    const count = Math.round(ms * 8);
+    for (let i = 0; i < count; i++) samples.push(Math.round(Math.sin((2 * Math.PI * hz * i) / 8000) * 32767 * gain));
+  }
+  return encodeMuLaw(Int16Array.from(samples));
+}
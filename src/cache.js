@@ -0,0 +1,151 @@
+// Verdict cache shared across calls — backed by better-sqlite3
+import Database from 'better-sqlite3';
+import { mkdirSync } from 'fs';
+import { dirname } from 'path';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// How long a verdict stays fresh, per claim category (hours). Statistics and
+// people change; history and science mostly don't.
+const DEFAULT_TTL_HOURS = {
+  statistic: 24,
+  date: 24 * 30,
+  geography: 24 * 30,
+  history: 24 * 90,
+  science: 24 * 90,
+  person: 24 * 7,
+  organization: 24 * 7,
+  other: 24,
+};
+
+// Articles and filler that don't change what a claim asserts
+const STOPWORDS = new Set(['a', 'an', 'the', 'that', 'actually', 'basically', 'um', 'uh']);
+
+// Canonical form used as the cache key: case, accents, punctuation and filler don't matter
+export function normalizeClaim(text) {
+  return text
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/(\d),(?=\d{3}\b)/g, '$1')
+    .replace(/[^\p{L}\p{N}.%\s]/gu, ' ')
+    .replace(/\.(?!\d)/g, ' ')
+    .split(/\s+/)
+    .filter((w) => w && !STOPWORDS.has(w))
+    .join(' ');
+}
+
+// Parse "statistic=12,history=720" into { statistic: 12, history: 720 }
+export function parseTtlHours(spec) {
+  const ttl = {};
+  for (const pair of (spec || '').split(',')) {
+    const [category, hours] = pair.split('=').map((p) => p?.trim());
+    const value = parseFloat(hours);
+    if (category && Number.isFinite(value)) ttl[category] = value;
+  }
+  return ttl;
+}
+
+export class VerdictCache {
+  constructor(dbPath = 'data/verdicts.db', { ttlHours = {} } = {}) {
+    mkdirSync(dirname(dbPath), { recursive: true });
+    this.db = new Database(dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.ttlHours = { ...DEFAULT_TTL_HOURS, ...ttlHours };
+    this._init();
+  }
+
+  _init() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS verdicts (
+        key TEXT PRIMARY KEY,
+        claim TEXT NOT NULL,
+        category TEXT NOT NULL,
+        verdict TEXT NOT NULL,
+        confidence REAL,
+        correction TEXT,
+        sources TEXT,
+        checked_at TEXT NOT NULL,
+        hits INTEGER NOT NULL DEFAULT 0
+      )
+    `);
+
+    this._getStmt = this.db.prepare(`SELECT * FROM verdicts WHERE key = ?`);
+    this._hitStmt = this.db.prepare(`UPDATE verdicts SET hits = hits + 1 WHERE key = ?`);
+    this._setStmt = this.db.prepare(`
+      INSERT INTO verdicts (key, claim, category, verdict, confidence, correction, sources, checked_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(key) DO UPDATE SET
+        claim = excluded.claim,
+        category = excluded.category,
+        verdict = excluded.verdict,
+        confidence = excluded.confidence,
+        correction = excluded.correction,
+        sources = excluded.sources,
+        checked_at = excluded.checked_at,
+        hits = 0
+    `);
+  }
+
+  ttlMs(category) {
+    return (this.ttlHours[category] ?? this.ttlHours.other) * HOUR_MS;
+  }
+
+  // TTL is applied at lookup time, so changing the config affects existing entries too
+  get(claim, category = 'other') {
+    const key = normalizeClaim(claim);
+    if (!key) return null;
+
+    const row = this._getStmt.get(key);
+    if (!row) return null;
+
+    const age = Date.now() - new Date(row.checked_at).getTime();
+    if (age > this.ttlMs(category)) return null;
+
+    this._hitStmt.run(key);
+    return {
+      verdict: row.verdict,
+      confidence: row.confidence,
+      correction: row.correction,
+      sources: row.sources ? JSON.parse(row.sources) : [],
+      checkedAt: row.checked_at,
+    };
+  }
+
+  set(claim, category, { verdict, confidence = null, correction = null, sources = [] }) {
+    const key = normalizeClaim(claim);
+    if (!key) return;
+    this._setStmt.run(
+      key,
+      claim,
+      category || 'other',
+      verdict,
+      confidence,
+      correction,
+      JSON.stringify(sources),
+      new Date().toISOString(),
+    );
+  }
+
+  // Forget a verdict, e.g. one a caller flagged as wrong, so it is verified afresh next time
+  delete(claim) {
+    const key = normalizeClaim(claim);
+    if (!key) return false;
+    return this.db.prepare(`DELETE FROM verdicts WHERE key = ?`).run(key).changes > 0;
+  }
+
+  // Remove entries older than the longest TTL — nothing could still be fresh
+  purgeExpired() {
+    const maxHours = Math.max(...Object.values(this.ttlHours));
+    const cutoff = new Date(Date.now() - maxHours * HOUR_MS).toISOString();
+    return this.db.prepare(`DELETE FROM verdicts WHERE checked_at < ?`).run(cutoff).changes;
+  }
+
+  stats() {
+    return this.db.prepare(`SELECT COUNT(*) AS entries, COALESCE(SUM(hits), 0) AS hits FROM verdicts`).get();
+  }
+
+  close() {
+    this.db.close();
+  }
+}
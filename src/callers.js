@@ -0,0 +1,161 @@
+// Caller registry — who may call in, keyed on the From number, and each registered caller's
+// preferences for their calls. Backed by better-sqlite3.
+import Database from 'better-sqlite3';
+import express from 'express';
+import { mkdirSync } from 'fs';
+import { dirname } from 'path';
+import { CLAIM_CATEGORIES } from './claims.js';
+import { SENSITIVITY_LEVELS } from './policy.js';
+import { requireApiToken } from './outbound.js';
+
+// 'blocklist': everyone but blocked numbers gets a full session. 'allowlist': only allowed
+// numbers do; unknown callers are rejected or get a demo, as configured.
+export const SCREENING_MODES = ['blocklist', 'allowlist'];
+export const UNKNOWN_CALLER_ACCESS = ['reject', 'demo'];
+
+const STATUSES = ['allowed', 'blocked'];
+
+// Registry fields a caller entry can set, and which values each takes (null clears it)
+const FIELDS = {
+  status: (v) => STATUSES.includes(v),
+  name: (v) => typeof v === 'string' && v.length <= 100,
+  voice_id: (v) => typeof v === 'string' && /^[\w-]{1,64}$/.test(v),
+  attenuation: (v) => typeof v === 'number' && v > 0 && v <= 1,
+  sensitivity: (v) => typeof v === 'string' && Object.hasOwn(SENSITIVITY_LEVELS, v),
+  language: (v) => typeof v === 'string' && /^[a-z]{2,3}(?:-[A-Za-z0-9]{2,8})*$/.test(v),
+  ignored_topics: (v) => Array.isArray(v) && v.every((t) => CLAIM_CATEGORIES.includes(t)),
+};
+
+// Phone numbers are stored as Twilio sends them, E.164
+const E164 = /^\+\d{8,15}$/;
+
+// Check fields for a caller entry; returns an error message, or null if they are all valid
+export function checkCallerFields(fields) {
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields)) return 'expected a JSON object';
+  for (const [field, value] of Object.entries(fields)) {
+    if (!(field in FIELDS)) return `unknown field ${field}`;
+    if (value !== null && !FIELDS[field](value)) return `invalid ${field}`;
+  }
+  return null;
+}
+
+export class CallerRegistry {
+  constructor(dbPath = 'data/callers.db', { mode = 'blocklist', unknown = 'reject' } = {}) {
+    mkdirSync(dirname(dbPath), { recursive: true });
+    this.db = new Database(dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.mode = SCREENING_MODES.includes(mode) ? mode : 'blocklist';
+    this.unknown = UNKNOWN_CALLER_ACCESS.includes(unknown) ? unknown : 'reject';
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS callers (
+        number TEXT PRIMARY KEY,
+        status TEXT NOT NULL DEFAULT 'allowed',
+        name TEXT,
+        voice_id TEXT,
+        attenuation REAL,
+        sensitivity TEXT,
+        language TEXT,
+        ignored_topics TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      )
+    `);
+    this._getStmt = this.db.prepare(`SELECT * FROM callers WHERE number = ?`);
+  }
+
+  // A caller's entry: { number, status, name, voice_id, attenuation, sensitivity, language,
+  // ignored_topics }, or null if the number isn't registered
+  get(number) {
+    const row = this._getStmt.get(String(number ?? ''));
+    return row ? parseCaller(row) : null;
+  }
+
+  list() {
+    return this.db.prepare(`SELECT * FROM callers ORDER BY number`).all().map(parseCaller);
+  }
+
+  // Register a caller or update their entry; fields not given are left as they were.
+  // Check fields with checkCallerFields first. Returns the entry.
+  set(number, fields = {}) {
+    if (!E164.test(number)) throw new Error(`not an E.164 phone number: ${number}`);
+    const entry = { ...(this.get(number) ?? { status: 'allowed' }), ...fields };
+    const now = new Date().toISOString();
+    this.db.prepare(`
+      INSERT INTO callers (number, status, name, voice_id, attenuation, sensitivity, language, ignored_topics, created_at, updated_at)
+      VALUES (@number, @status, @name, @voice_id, @attenuation, @sensitivity, @language, @ignored_topics, @now, @now)
+      ON CONFLICT(number) DO UPDATE SET
+        status = excluded.status,
+        name = excluded.name,
+        voice_id = excluded.voice_id,
+        attenuation = excluded.attenuation,
+        sensitivity = excluded.sensitivity,
+        language = excluded.language,
+        ignored_topics = excluded.ignored_topics,
+        updated_at = excluded.updated_at
+    `).run({
+      number,
+      status: entry.status ?? 'allowed',
+      name: entry.name ?? null,
+      voice_id: entry.voice_id ?? null,
+      attenuation: entry.attenuation ?? null,
+      sensitivity: entry.sensitivity ?? null,
+      language: entry.language ?? null,
+      ignored_topics: entry.ignored_topics?.length ? JSON.stringify(entry.ignored_topics) : null,
+      now,
+    });
+    return this.get(number);
+  }
+
+  delete(number) {
+    return this.db.prepare(`DELETE FROM callers WHERE number = ?`).run(String(number ?? '')).changes > 0;
+  }
+
+  // Decide what an inbound call from number gets: { number, access, profile }, where access is
+  // 'full', 'demo' or 'rejected' and profile is the caller's entry (null if unregistered).
+  // Withheld numbers ('anonymous' and the like) are unknown callers.
+  screen(number) {
+    const profile = this.get(number);
+    if (profile?.status === 'blocked') return { number, access: 'rejected', profile };
+    if (profile || this.mode === 'blocklist') return { number, access: 'full', profile };
+    return { number, access: this.unknown === 'demo' ? 'demo' : 'rejected', profile: null };
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+function parseCaller(row) {
+  return { ...row, ignored_topics: row.ignored_topics ? JSON.parse(row.ignored_topics) : [] };
+}
+
+// Manage the registry: GET /callers, GET/PUT/DELETE /callers/:number. PUT takes any of the
+// entry's fields (see FIELDS) and creates the entry if needed. All routes need the API token.
+export function createCallersRouter(registry, apiToken) {
+  const router = express.Router();
+  router.use(requireApiToken(apiToken));
+
+  router.get('/', (req, res) => res.json(registry.list()));
+
+  router.get('/:number', (req, res) => {
+    const caller = registry.get(req.params.number);
+    if (!caller) return res.sendStatus(404);
+    res.json(caller);
+  });
+
+  router.put('/:number', (req, res) => {
+    if (!E164.test(req.params.number)) {
+      return res.status(400).json({ error: 'number must be in E.164 format, e.g. +15551234567' });
+    }
+    const error = checkCallerFields(req.body);
+    if (error) return res.status(400).json({ error });
+    res.json(registry.set(req.params.number, req.body));
+  });
+
+  router.delete('/:number', (req, res) => {
+    res.sendStatus(registry.delete(req.params.number) ? 204 : 404);
+  });
+
+  return router;
+}
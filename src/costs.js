@@ -4,11 +4,39 @@ import { mkdirSync } from 'fs';
 import { dirname } from 'path';
 
 // --- Pricing constants (easy to update) ---
+// Anthropic prices are keyed by model alias; dated snapshot IDs resolve to their alias.
+// Prompt cache writes cost 1.25x the input price, cache reads 0.1x.
 const PRICING = {
   anthropic: {
-    'claude-haiku-4-5-20251001': {
-      input_per_mtok: 0.80,
-      output_per_mtok: 4.00,
+    'claude-haiku-4-5': {
+      input_per_mtok: 1.00,
+      output_per_mtok: 5.00,
+      cache_write_per_mtok: 1.25,
+      cache_read_per_mtok: 0.10,
+    },
+    'claude-sonnet-4': {
+      input_per_mtok: 3.00,
+      output_per_mtok: 15.00,
+      cache_write_per_mtok: 3.75,
+      cache_read_per_mtok: 0.30,
+    },
+    'claude-sonnet-4-5': {
+      input_per_mtok: 3.00,
+      output_per_mtok: 15.00,
+      cache_write_per_mtok: 3.75,
+      cache_read_per_mtok: 0.30,
+    },
+    'claude-opus-4-1': {
+      input_per_mtok: 15.00,
+      output_per_mtok: 75.00,
+      cache_write_per_mtok: 18.75,
+      cache_read_per_mtok: 1.50,
+    },
+    'claude-opus-4-5': {
+      input_per_mtok: 5.00,
+      output_per_mtok: 25.00,
+      cache_write_per_mtok: 6.25,
+      cache_read_per_mtok: 0.50,
     },
   },
   deepgram: {
@@ -23,12 +51,40 @@ const PRICING = {
 };
 
 // --- Helper functions ---
+const warnedModels = new Set();
+
+// Price entry for a model ID, e.g. 'claude-sonnet-4-5-20250929' → 'claude-sonnet-4-5'
+export function anthropicPricing(model) {
+  return PRICING.anthropic[model] ?? PRICING.anthropic[model.replace(/-\d{8}$/, '')] ?? null;
+}
+
+// Dollar cost of one response's usage. Cached prompt tokens are billed apart from input_tokens:
+// cache_write for tokens written to the cache, cache_read for tokens served from it. saved is
+// what caching saved against sending all of them as plain input (negative on a write with no read).
 export function anthropicCost(usage, model = 'claude-haiku-4-5-20251001') {
-  const p = PRICING.anthropic[model];
-  if (!p) return { input: 0, output: 0, total: 0 };
+  const p = anthropicPricing(model);
+  if (!p) {
+    if (!warnedModels.has(model)) {
+      warnedModels.add(model);
+      console.warn(`[costs] no pricing for model ${model} — its usage is logged at $0`);
+    }
+    return { input: 0, output: 0, cache_write: 0, cache_read: 0, total: 0, saved: 0 };
+  }
+  const written = usage.cache_creation_input_tokens ?? 0;
+  const read = usage.cache_read_input_tokens ?? 0;
   const input = (usage.input_tokens / 1_000_000) * p.input_per_mtok;
   const output = (usage.output_tokens / 1_000_000) * p.output_per_mtok;
-  return { input, output, total: input + output };
+  const cacheWrite = (written / 1_000_000) * p.cache_write_per_mtok;
+  const cacheRead = (read / 1_000_000) * p.cache_read_per_mtok;
+  const uncached = ((written + read) / 1_000_000) * p.input_per_mtok;
+  return {
+    input,
+    output,
+    cache_write: cacheWrite,
+    cache_read: cacheRead,
+    total: input + output + cacheWrite + cacheRead,
+    saved: uncached - cacheWrite - cacheRead,
+  };
 }
 
 export function deepgramCost(seconds) {
@@ -44,6 +100,16 @@ export function twilioCost(seconds) {
 }
 
 // --- CostTracker class ---
+
+// Token totals for a set of Anthropic rows. Each response logs one row per kind of token; its
+// input_tokens row carries what prompt caching saved (cache_saved_usd), if it used the cache.
+const TOKEN_COLUMNS = `
+  COALESCE(SUM(CASE WHEN unit_label = 'input_tokens' THEN units END), 0) as input_tokens,
+  COALESCE(SUM(CASE WHEN unit_label = 'output_tokens' THEN units END), 0) as output_tokens,
+  COALESCE(SUM(CASE WHEN unit_label = 'cache_write_tokens' THEN units END), 0) as cache_write_tokens,
+  COALESCE(SUM(CASE WHEN unit_label = 'cache_read_tokens' THEN units END), 0) as cache_read_tokens,
+  COALESCE(SUM(json_extract(metadata, '$.cache_saved_usd')), 0) as est_saved_usd`;
+
 export class CostTracker {
   constructor(dbPath = 'data/costs.db') {
     mkdirSync(dirname(dbPath), { recursive: true });
@@ -103,13 +169,91 @@ export class CostTracker {
       totalUsd += row.total_usd;
     }
 
+    // Anthropic spend split by the model each stage was routed to
+    const modelRows = this.db.prepare(`
+      SELECT json_extract(metadata, '$.model') as model, COUNT(*) as calls, SUM(estimated_cost_usd) as total_usd
+      FROM api_costs
+      WHERE timestamp >= ? AND service = 'anthropic'
+      GROUP BY model
+    `).all(sinceDate);
+
+    const byModel = {};
+    for (const row of modelRows) {
+      byModel[row.model ?? 'unknown'] = { total_usd: row.total_usd, calls: row.calls };
+    }
+
+    // Spend on detections and verifications run speculatively on interim transcripts
+    const speculative = this.db.prepare(`
+      SELECT COUNT(*) as calls, COALESCE(SUM(estimated_cost_usd), 0) as total_usd
+      FROM api_costs
+      WHERE timestamp >= ? AND json_extract(metadata, '$.speculative') = 1
+    `).get(sinceDate);
+
+    // Detections on coalesced segments, against the one per Deepgram final they'd have cost without
+    // the segment aggregator. Each detection logs an input and an output row; count it once.
+    const detection = this.db.prepare(`
+      SELECT SUM(unit_label = 'input_tokens') as detections,
+             COALESCE(SUM(CASE WHEN unit_label = 'input_tokens' THEN json_extract(metadata, '$.fragments') END), 0) as fragments,
+             COALESCE(SUM(estimated_cost_usd), 0) as total_usd
+      FROM api_costs
+      WHERE timestamp >= ? AND operation = 'detect_claim' AND json_extract(metadata, '$.fragments') IS NOT NULL
+    `).get(sinceDate);
+    const detections = detection.detections ?? 0;
+    const avoided = detection.fragments - detections;
+
+    // Prompt caching across all Anthropic requests: how much of the prompt was served from cache
+    const cache = this.db.prepare(`
+      SELECT ${TOKEN_COLUMNS}
+      FROM api_costs
+      WHERE timestamp >= ? AND service = 'anthropic'
+    `).get(sinceDate);
+    const promptTokens = cache.input_tokens + cache.cache_write_tokens + cache.cache_read_tokens;
+
     return {
       since: sinceDate,
       total_usd: totalUsd,
       by_service: byService,
+      by_model: byModel,
+      speculative: { total_usd: speculative.total_usd, calls: speculative.calls },
+      // The saving is priced at the average coalesced detection
+      coalescing: {
+        detections,
+        fragments: detection.fragments,
+        detections_avoided: avoided,
+        est_saved_usd: detections ? (avoided * detection.total_usd) / detections : 0,
+      },
+      prompt_cache: {
+        input_tokens: cache.input_tokens,
+        cache_write_tokens: cache.cache_write_tokens,
+        cache_read_tokens: cache.cache_read_tokens,
+        hit_rate: promptTokens ? cache.cache_read_tokens / promptTokens : 0,
+        est_saved_usd: cache.est_saved_usd,
+      },
     };
   }
 
+  // Anthropic token usage for one call, per operation (detect_claim, verify_claim), with what
+  // prompt caching saved
+  tokenUsage(callId) {
+    const rows = this.db.prepare(`
+      SELECT operation, SUM(unit_label = 'input_tokens') as requests, ${TOKEN_COLUMNS},
+             SUM(estimated_cost_usd) as total_usd
+      FROM api_costs
+      WHERE call_id = ? AND service = 'anthropic'
+      GROUP BY operation
+    `).all(callId);
+
+    const byOperation = {};
+    let totalUsd = 0;
+    let savedUsd = 0;
+    for (const { operation, ...row } of rows) {
+      byOperation[operation] = row;
+      totalUsd += row.total_usd;
+      savedUsd += row.est_saved_usd;
+    }
+    return { call_id: callId, total_usd: totalUsd, est_saved_usd: savedUsd, by_operation: byOperation };
+  }
+
   recent(limit = 20) {
     return this.db.prepare(`
       SELECT * FROM api_costs ORDER BY id DESC LIMIT ?
@@ -2,12 +2,14 @@
 import { createClient } from '@deepgram/sdk';
 import { deepgramCost } from './costs.js';
 
-export function createDeepgramStream(apiKey, onTranscript, costTracker = null, callId = null) {
+// Optional handlers: onSpeechStarted / onUtteranceEnd for Deepgram's VAD events.
+// language is the BCP-47 code of the language spoken on the call.
+export function createDeepgramStream(apiKey, onTranscript, costTracker = null, callId = null, handlers = {}, { language = 'en' } = {}) {
   const deepgram = createClient(apiKey);
 
   const connection = deepgram.listen.live({
     model: 'nova-2',
-    language: 'en',
+    language,
     smart_format: true,
     interim_results: true,
     utterance_end_ms: 1500,
@@ -38,6 +40,16 @@ export function createDeepgramStream(apiKey, onTranscript, costTracker = null, c
     });
   });
 
+  // Fired when Deepgram's VAD hears speech begin (requires vad_events)
+  connection.on('SpeechStarted', () => {
+    handlers.onSpeechStarted?.();
+  });
+
+  // Fired after utterance_end_ms of silence following the last finalized word
+  connection.on('UtteranceEnd', () => {
+    handlers.onUtteranceEnd?.();
+  });
+
   connection.on('error', (err) => {
     console.error('[deepgram] error:', err.message);
   });
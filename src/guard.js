@@ -0,0 +1,70 @@
+// Guards between untrusted speech and the models: delimiting transcript text in prompts,
+// and checking model-written corrections and answers before they are spoken into a caller's ear
+
+// Longest untrusted string passed into a prompt; a segment is a sentence or two
+const MAX_UNTRUSTED_CHARS = 2000;
+
+// Corrections are meant to be under 20 words — anything much longer wasn't written to spec
+export const MAX_CORRECTION_CHARS = 200;
+export const MAX_CORRECTION_WORDS = 30;
+
+// Openers the verification prompt requires
+const CORRECTION_OPENERS = /^(?:actually|just so you know),/i;
+
+// Answers to the caller's questions are one short sentence, like corrections
+export const MAX_ANSWER_CHARS = 200;
+export const MAX_ANSWER_WORDS = 30;
+
+// Content a whispered correction or answer must never carry, whatever the model was talked into
+const FORBIDDEN_CONTENT = [
+  ['email address', /\S+@\S+\.\S+/],
+  ['url', /\b(?:https?:\/\/|www\.)|\b[a-z0-9-]+\.(?:com|net|org|io|co|ly|me|info|biz)\b/i],
+  ['phone number', /\+\d[\d\s().-]{7,}\d|(?:\(\d{3}\)\s?|\b\d{3}[\s.-]?)\d{3}[\s.-]?\d{4}\b|\b\d{3}[\s.-]\d{4}\b/],
+  ['markup', /[<>{}[\]\\`|]/],
+  ['format keyword', /\b(?:VERDICT|CONFIDENCE|DOCUMENTS|CORRECTION|ANSWER)\s*:/i],
+  ['instruction', /\b(?:ignore|disregard|forget) (?:all |any |the |your |previous |prior )*(?:instructions|prompt|rules)\b/i],
+];
+
+// Wrap untrusted text in <tag>…</tag> for a prompt. Angle brackets and ampersands are
+// escaped so the text can't close the tag or open a new one; control characters are dropped.
+export function delimit(tag, text, attributes = {}) {
+  const attrs = Object.entries(attributes)
+    .map(([name, value]) => ` ${name}="${escapeText(String(value)).replace(/"/g, '&quot;')}"`)
+    .join('');
+  return `<${tag}${attrs}>${escapeText(String(text ?? '').slice(0, MAX_UNTRUSTED_CHARS))}</${tag}>`;
+}
+
+function escapeText(text) {
+  return text
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f\u007f]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+// Check a correction before it goes to TTS. Returns { ok: true, text } with whitespace
+// collapsed, or { ok: false, reason }.
+export function checkCorrection(text) {
+  return checkSpoken(text, { maxChars: MAX_CORRECTION_CHARS, maxWords: MAX_CORRECTION_WORDS, opener: CORRECTION_OPENERS });
+}
+
+// Check an answer to the caller's question before it goes to TTS, as for checkCorrection.
+// Answers have no required opener.
+export function checkAnswer(text) {
+  return checkSpoken(text, { maxChars: MAX_ANSWER_CHARS, maxWords: MAX_ANSWER_WORDS });
+}
+
+function checkSpoken(text, { maxChars, maxWords, opener = null }) {
+  if (typeof text !== 'string') return { ok: false, reason: 'empty' };
+  const clean = text.replace(/\s+/g, ' ').trim();
+
+  if (!clean) return { ok: false, reason: 'empty' };
+  if (clean.length > maxChars) return { ok: false, reason: `longer than ${maxChars} characters` };
+  if (clean.split(' ').length > maxWords) return { ok: false, reason: `longer than ${maxWords} words` };
+  if (opener && !opener.test(clean)) return { ok: false, reason: 'missing "Actually," / "Just so you know," opener' };
+
+  for (const [label, pattern] of FORBIDDEN_CONTENT) {
+    if (pattern.test(clean)) return { ok: false, reason: `contains ${label}` };
+  }
+  return { ok: true, text: clean };
+}
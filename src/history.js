@@ -0,0 +1,335 @@
+// Call history — transcripts, claims, verdicts and whispered corrections, backed by better-sqlite3
+import Database from 'better-sqlite3';
+import express from 'express';
+import { mkdirSync } from 'fs';
+import { dirname } from 'path';
+
+export class CallHistory {
+  constructor(dbPath = 'data/calls.db') {
+    mkdirSync(dirname(dbPath), { recursive: true });
+    this.db = new Database(dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('foreign_keys = ON');
+    this._init();
+  }
+
+  _init() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS calls (
+        id TEXT PRIMARY KEY,
+        started_at TEXT NOT NULL,
+        ended_at TEXT,
+        stream_sid TEXT,
+        metadata TEXT
+      );
+
+      CREATE TABLE IF NOT EXISTS segments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        call_id TEXT NOT NULL REFERENCES calls(id),
+        timestamp TEXT NOT NULL,
+        text TEXT NOT NULL,
+        speaker TEXT NOT NULL DEFAULT 'caller'
+      );
+
+      CREATE TABLE IF NOT EXISTS claims (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        call_id TEXT NOT NULL REFERENCES calls(id),
+        segment_id INTEGER REFERENCES segments(id),
+        timestamp TEXT NOT NULL,
+        text TEXT NOT NULL,
+        category TEXT,
+        checkability REAL,
+        span_start INTEGER,
+        span_end INTEGER,
+        verdict TEXT,
+        confidence REAL,
+        verified_by TEXT,
+        verified_at TEXT,
+        cancelled_at TEXT,
+        cancel_reason TEXT,
+        speaker TEXT NOT NULL DEFAULT 'caller'
+      );
+
+      CREATE TABLE IF NOT EXISTS corrections (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        call_id TEXT NOT NULL REFERENCES calls(id),
+        claim_id INTEGER REFERENCES claims(id),
+        timestamp TEXT NOT NULL,
+        text TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'queued',
+        status_reason TEXT,
+        played_ms INTEGER,
+        updated_at TEXT,
+        flagged_at TEXT
+      );
+
+      CREATE TABLE IF NOT EXISTS sources (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        claim_id INTEGER NOT NULL REFERENCES claims(id),
+        type TEXT NOT NULL DEFAULT 'web',
+        url TEXT NOT NULL,
+        title TEXT,
+        cited INTEGER NOT NULL DEFAULT 0,
+        snippets TEXT
+      );
+
+      CREATE TABLE IF NOT EXISTS questions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        call_id TEXT NOT NULL REFERENCES calls(id),
+        segment_id INTEGER REFERENCES segments(id),
+        timestamp TEXT NOT NULL,
+        question TEXT NOT NULL,
+        answer TEXT,
+        sources TEXT,
+        status TEXT NOT NULL DEFAULT 'asked',
+        status_reason TEXT,
+        played_ms INTEGER,
+        updated_at TEXT
+      );
+
+      CREATE TABLE IF NOT EXISTS keypad_commands (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        call_id TEXT NOT NULL REFERENCES calls(id),
+        timestamp TEXT NOT NULL,
+        digit TEXT NOT NULL,
+        command TEXT,
+        outcome TEXT
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_segments_call ON segments(call_id);
+      CREATE INDEX IF NOT EXISTS idx_claims_call ON claims(call_id);
+      CREATE INDEX IF NOT EXISTS idx_corrections_call ON corrections(call_id);
+      CREATE INDEX IF NOT EXISTS idx_sources_claim ON sources(claim_id);
+      CREATE INDEX IF NOT EXISTS idx_questions_call ON questions(call_id);
+      CREATE INDEX IF NOT EXISTS idx_keypad_call ON keypad_commands(call_id);
+    `);
+
+    this._stmts = {
+      startCall: this.db.prepare(`
+        INSERT OR IGNORE INTO calls (id, started_at, stream_sid, metadata) VALUES (?, ?, ?, ?)
+      `),
+      endCall: this.db.prepare(`UPDATE calls SET ended_at = ? WHERE id = ? AND ended_at IS NULL`),
+      setStreamSid: this.db.prepare(`UPDATE calls SET stream_sid = ? WHERE id = ?`),
+      getMetadata: this.db.prepare(`SELECT metadata FROM calls WHERE id = ?`),
+      setMetadata: this.db.prepare(`UPDATE calls SET metadata = ? WHERE id = ?`),
+      addSegment: this.db.prepare(`INSERT INTO segments (call_id, timestamp, text, speaker) VALUES (?, ?, ?, ?)`),
+      addClaim: this.db.prepare(`
+        INSERT INTO claims (call_id, segment_id, timestamp, text, category, checkability, span_start, span_end, speaker)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `),
+      setVerdict: this.db.prepare(`
+        UPDATE claims SET verdict = ?, confidence = ?, verified_by = ?, verified_at = ? WHERE id = ?
+      `),
+      cancelClaim: this.db.prepare(`UPDATE claims SET cancelled_at = ?, cancel_reason = ? WHERE id = ?`),
+      addSource: this.db.prepare(`
+        INSERT INTO sources (claim_id, type, url, title, cited, snippets) VALUES (?, ?, ?, ?, ?, ?)
+      `),
+      addCorrection: this.db.prepare(`
+        INSERT INTO corrections (call_id, claim_id, timestamp, text, status) VALUES (?, ?, ?, ?, ?)
+      `),
+      setCorrectionStatus: this.db.prepare(`
+        UPDATE corrections SET status = ?, status_reason = ?, updated_at = ? WHERE id = ?
+      `),
+      setCorrectionPlayback: this.db.prepare(`
+        UPDATE corrections SET status = ?, played_ms = ?, updated_at = ? WHERE id = ?
+      `),
+      flagCorrection: this.db.prepare(`UPDATE corrections SET flagged_at = ? WHERE id = ? AND flagged_at IS NULL`),
+      addQuestion: this.db.prepare(`
+        INSERT INTO questions (call_id, segment_id, timestamp, question) VALUES (?, ?, ?, ?)
+      `),
+      setAnswer: this.db.prepare(`UPDATE questions SET answer = ?, sources = ?, updated_at = ? WHERE id = ?`),
+      setQuestionStatus: this.db.prepare(`
+        UPDATE questions SET status = ?, status_reason = ?, played_ms = COALESCE(?, played_ms), updated_at = ? WHERE id = ?
+      `),
+      addKeypadCommand: this.db.prepare(`
+        INSERT INTO keypad_commands (call_id, timestamp, digit, command, outcome) VALUES (?, ?, ?, ?, ?)
+      `),
+    };
+  }
+
+  startCall(callId, { streamSid = null, metadata = null } = {}) {
+    this._stmts.startCall.run(callId, new Date().toISOString(), streamSid, metadata ? JSON.stringify(metadata) : null);
+  }
+
+  setStreamSid(callId, streamSid) {
+    this._stmts.setStreamSid.run(streamSid, callId);
+  }
+
+  // Merge fields into the call's metadata
+  updateCallMetadata(callId, fields) {
+    const row = this._stmts.getMetadata.get(callId);
+    if (!row) return;
+    const metadata = { ...(row.metadata ? JSON.parse(row.metadata) : {}), ...fields };
+    this._stmts.setMetadata.run(JSON.stringify(metadata), callId);
+  }
+
+  endCall(callId) {
+    this._stmts.endCall.run(new Date().toISOString(), callId);
+  }
+
+  // speaker is 'caller' (whoever called in, and hears the whispers) or, in a bridged call, 'party'
+  addSegment(callId, text, speaker = 'caller') {
+    return Number(this._stmts.addSegment.run(callId, new Date().toISOString(), text, speaker).lastInsertRowid);
+  }
+
+  // claim: { text, category, checkability, span } as returned by ClaimProcessor.detectClaims;
+  // speaker is who made it, as for addSegment
+  addClaim(callId, segmentId, { text, category = null, checkability = null, span = null }, speaker = 'caller') {
+    return Number(this._stmts.addClaim.run(
+      callId,
+      segmentId,
+      new Date().toISOString(),
+      text,
+      category,
+      checkability,
+      span?.start ?? null,
+      span?.end ?? null,
+      speaker,
+    ).lastInsertRowid);
+  }
+
+  // verdict is one of claims.js VERDICTS, or 'error' if verification failed;
+  // verifiedBy records where the verdict came from ('web', 'cache', ...)
+  setVerdict(claimId, verdict, verifiedBy = null, confidence = null) {
+    this._stmts.setVerdict.run(verdict, confidence, verifiedBy, new Date().toISOString(), claimId);
+  }
+
+  // The claim stopped being checked or corrected, e.g. because the caller retracted it
+  cancelClaim(claimId, reason) {
+    this._stmts.cancelClaim.run(new Date().toISOString(), reason, claimId);
+  }
+
+  // sources: [{ type, url, title, cited, snippets }] as returned with a verdict;
+  // type is 'web' for search results, 'kb' for knowledge-base passages
+  addSources(claimId, sources = []) {
+    const insert = this.db.transaction((rows) => {
+      for (const s of rows) {
+        this._stmts.addSource.run(claimId, s.type ?? 'web', s.url, s.title ?? null, s.cited ? 1 : 0, JSON.stringify(s.snippets || []));
+      }
+    });
+    insert(sources);
+  }
+
+  // Corrections start out 'queued', then become 'sent', 'dropped' or 'cancelled'; sent ones settle as
+  // 'played', 'partial', 'interrupted' or 'cancelled' once Twilio reports how much was heard. Corrections
+  // that fail the content checks are recorded as 'rejected' and never synthesized.
+  addCorrection(callId, claimId, text, status = 'queued') {
+    return Number(this._stmts.addCorrection.run(callId, claimId, new Date().toISOString(), text, status).lastInsertRowid);
+  }
+
+  setCorrectionStatus(correctionId, status, reason = null) {
+    this._stmts.setCorrectionStatus.run(status, reason, new Date().toISOString(), correctionId);
+  }
+
+  setCorrectionPlayback(correctionId, status, playedMs) {
+    this._stmts.setCorrectionPlayback.run(status, playedMs, new Date().toISOString(), correctionId);
+  }
+
+  // The caller pressed the key for "that correction was wrong"
+  flagCorrection(correctionId) {
+    this._stmts.flagCorrection.run(new Date().toISOString(), correctionId);
+  }
+
+  // A question the caller asked the checker (see wake.js), in the segment it was asked in.
+  // Questions start out 'asked'; once answered they go through the same statuses as corrections
+  // ('queued', 'sent', then 'played', 'partial' or 'interrupted'; or 'dropped'), or are 'unanswered'.
+  addQuestion(callId, segmentId, question) {
+    return Number(this._stmts.addQuestion.run(callId, segmentId, new Date().toISOString(), question).lastInsertRowid);
+  }
+
+  // sources as for addSources
+  setAnswer(questionId, answer, sources = []) {
+    this._stmts.setAnswer.run(answer, JSON.stringify(sources), new Date().toISOString(), questionId);
+  }
+
+  setQuestionStatus(questionId, status, reason = null, playedMs = null) {
+    this._stmts.setQuestionStatus.run(status, reason, playedMs, new Date().toISOString(), questionId);
+  }
+
+  // A key the caller pressed: command is what it maps to (null if nothing), outcome what came of it
+  addKeypadCommand(callId, digit, command, outcome) {
+    this._stmts.addKeypadCommand.run(callId, new Date().toISOString(), digit, command, outcome);
+  }
+
+  listCalls(limit = 20, offset = 0) {
+    return this.db.prepare(`
+      SELECT c.*,
+        (SELECT COUNT(*) FROM segments s WHERE s.call_id = c.id) AS segment_count,
+        (SELECT COUNT(*) FROM claims cl WHERE cl.call_id = c.id) AS claim_count,
+        (SELECT COUNT(*) FROM corrections co WHERE co.call_id = c.id AND co.status NOT IN ('dropped', 'rejected')) AS correction_count
+      FROM calls c
+      ORDER BY c.started_at DESC
+      LIMIT ? OFFSET ?
+    `).all(limit, offset).map(parseMetadata);
+  }
+
+  getCall(callId) {
+    const call = this.db.prepare(`SELECT * FROM calls WHERE id = ?`).get(callId);
+    if (!call) return null;
+
+    const segments = this.db.prepare(`
+      SELECT id, timestamp, speaker, text FROM segments WHERE call_id = ? ORDER BY id
+    `).all(callId);
+
+    const claims = this.db.prepare(`
+      SELECT id, segment_id, timestamp, speaker, text, category, checkability, span_start, span_end, verdict, confidence, verified_by, verified_at,
+        cancelled_at, cancel_reason
+      FROM claims WHERE call_id = ? ORDER BY id
+    `).all(callId);
+
+    const sources = this.db.prepare(`
+      SELECT s.claim_id, s.type, s.url, s.title, s.cited, s.snippets
+      FROM sources s JOIN claims c ON c.id = s.claim_id
+      WHERE c.call_id = ? ORDER BY s.id
+    `).all(callId);
+
+    for (const claim of claims) {
+      claim.sources = sources
+        .filter((s) => s.claim_id === claim.id)
+        .map(({ type, url, title, cited, snippets }) => ({ type, url, title, cited: cited === 1, snippets: JSON.parse(snippets || '[]') }));
+    }
+
+    const corrections = this.db.prepare(`
+      SELECT id, claim_id, timestamp, text, status, status_reason, played_ms, updated_at, flagged_at
+      FROM corrections WHERE call_id = ? ORDER BY id
+    `).all(callId);
+
+    const questions = this.db.prepare(`
+      SELECT id, segment_id, timestamp, question, answer, sources, status, status_reason, played_ms, updated_at
+      FROM questions WHERE call_id = ? ORDER BY id
+    `).all(callId).map((q) => ({ ...q, sources: JSON.parse(q.sources || '[]') }));
+
+    const keypad = this.db.prepare(`
+      SELECT timestamp, digit, command, outcome FROM keypad_commands WHERE call_id = ? ORDER BY id
+    `).all(callId);
+
+    return { ...parseMetadata(call), segments, claims, corrections, questions, keypad };
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+function parseMetadata(row) {
+  return { ...row, metadata: row.metadata ? JSON.parse(row.metadata) : null };
+}
+
+// Read-only call history API
+export function createCallsRouter(history) {
+  const router = express.Router();
+
+  router.get('/', (req, res) => {
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const offset = parseInt(req.query.offset, 10) || 0;
+    res.json(history.listCalls(limit, offset));
+  });
+
+  router.get('/:id', (req, res) => {
+    const call = history.getCall(req.params.id);
+    if (!call) return res.sendStatus(404);
+    res.json(call);
+  });
+
+  return router;
+}
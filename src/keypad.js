@@ -0,0 +1,43 @@
+// Keypad commands — keys the caller presses during a call to control the whispers
+import { toneMuLaw } from './audio.js';
+
+// Key → command. Only the caller's keypad is listened to, not a bridged call's other party's.
+export const KEYPAD_COMMANDS = {
+  1: 'repeat', // say the last correction again
+  2: 'source', // say where the last correction came from
+  3: 'flag', // the last correction was wrong
+  0: 'mute', // stop whispering corrections, or start again
+  '*': 'sensitivity', // next sensitivity level (see policy.js SENSITIVITY_LEVELS)
+};
+
+// Pressing * moves through these in turn, starting from normal
+const SENSITIVITY_CYCLE = ['normal', 'high', 'low'];
+
+// Short acknowledgement tones, quiet enough not to startle
+export const TONES = {
+  ok: toneMuLaw([{ hz: 880, ms: 120 }]),
+  muted: toneMuLaw([{ hz: 880, ms: 100 }, { hz: 0, ms: 40 }, { hz: 440, ms: 100 }]),
+  unmuted: toneMuLaw([{ hz: 440, ms: 100 }, { hz: 0, ms: 40 }, { hz: 880, ms: 100 }]),
+  // Nothing to act on: no correction yet, or a key with no command
+  unavailable: toneMuLaw([{ hz: 300, ms: 250 }]),
+};
+
+export function nextSensitivity(level) {
+  return SENSITIVITY_CYCLE[(SENSITIVITY_CYCLE.indexOf(level) + 1) % SENSITIVITY_CYCLE.length];
+}
+
+// What to say when asked where a correction came from. result is the verification result it was
+// whispered for: its first cited source (else its first) is named by site, or by document title for
+// the knowledge base.
+export function describeSource(result) {
+  if (result?.verifiedBy === 'numeric') return 'That one was worked out by calculation.';
+  const sources = result?.sources ?? [];
+  const source = sources.find((s) => s.cited) ?? sources[0];
+  if (!source) return 'No source was recorded for that one.';
+  if (source.type === 'kb') return `From ${source.title ?? 'your documents'}.`;
+  try {
+    return `From ${new URL(source.url).hostname.replace(/^www\./, '')}.`;
+  } catch {
+    return `From ${source.title ?? 'a web search'}.`;
+  }
+}
@@ -0,0 +1,210 @@
+// Private knowledge base — local markdown/text documents indexed with SQLite FTS5 (BM25)
+import Database from 'better-sqlite3';
+import { mkdirSync, readdirSync, readFileSync, statSync } from 'fs';
+import { dirname, extname, join, relative, basename } from 'path';
+
+const DOCUMENT_EXTENSIONS = new Set(['.md', '.markdown', '.txt']);
+
+// Passages longer than this are split on paragraph boundaries
+const MAX_PASSAGE_CHARS = 1200;
+
+// A passage only matches a claim if it contains at least this share of the claim's
+// significant words; BM25 alone ranks a passage sharing a single word with the claim
+const MIN_TERM_COVERAGE = 0.5;
+
+// How many of the best-ranked passages are checked for coverage
+const CANDIDATES = 20;
+
+// Words too common to help ranking
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'of', 'to', 'in', 'on', 'at', 'for', 'by', 'with', 'is', 'are', 'was',
+  'were', 'be', 'been', 'it', 'its', 'this', 'that', 'as', 'from', 'has', 'have', 'had', 'our', 'we', 'you',
+]);
+
+export class KnowledgeBase {
+  constructor(dbPath = 'data/knowledge.db') {
+    mkdirSync(dirname(dbPath), { recursive: true });
+    this.db = new Database(dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this._init();
+  }
+
+  _init() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS documents (
+        path TEXT PRIMARY KEY,
+        title TEXT NOT NULL,
+        mtime_ms REAL NOT NULL,
+        indexed_at TEXT NOT NULL
+      );
+
+      CREATE VIRTUAL TABLE IF NOT EXISTS passages USING fts5(
+        path UNINDEXED,
+        title,
+        heading,
+        text,
+        tokenize = 'porter unicode61'
+      );
+    `);
+
+    this._stmts = {
+      getDocument: this.db.prepare(`SELECT mtime_ms FROM documents WHERE path = ?`),
+      upsertDocument: this.db.prepare(`
+        INSERT INTO documents (path, title, mtime_ms, indexed_at) VALUES (?, ?, ?, ?)
+        ON CONFLICT(path) DO UPDATE SET title = excluded.title, mtime_ms = excluded.mtime_ms, indexed_at = excluded.indexed_at
+      `),
+      deleteDocument: this.db.prepare(`DELETE FROM documents WHERE path = ?`),
+      deletePassages: this.db.prepare(`DELETE FROM passages WHERE path = ?`),
+      addPassage: this.db.prepare(`INSERT INTO passages (path, title, heading, text) VALUES (?, ?, ?, ?)`),
+      listPaths: this.db.prepare(`SELECT path FROM documents`),
+    };
+  }
+
+  // Bring the index in line with a folder of documents: new and modified files are
+  // (re)indexed, deleted files are dropped. Paths are stored relative to the folder.
+  indexDirectory(dir) {
+    const seen = new Set();
+    const result = { indexed: 0, unchanged: 0, removed: 0 };
+
+    for (const file of listDocuments(dir)) {
+      const path = relative(dir, file);
+      const mtimeMs = statSync(file).mtimeMs;
+      seen.add(path);
+
+      if (this._stmts.getDocument.get(path)?.mtime_ms === mtimeMs) {
+        result.unchanged++;
+        continue;
+      }
+      this.indexDocument(path, readFileSync(file, 'utf8'), mtimeMs);
+      result.indexed++;
+    }
+
+    for (const { path } of this._stmts.listPaths.all()) {
+      if (seen.has(path)) continue;
+      this.removeDocument(path);
+      result.removed++;
+    }
+
+    return result;
+  }
+
+  indexDocument(path, content, mtimeMs = Date.now()) {
+    const { title, passages } = splitDocument(path, content);
+    this.db.transaction(() => {
+      this._stmts.deletePassages.run(path);
+      for (const p of passages) this._stmts.addPassage.run(path, title, p.heading, p.text);
+      this._stmts.upsertDocument.run(path, title, mtimeMs, new Date().toISOString());
+    })();
+  }
+
+  removeDocument(path) {
+    this.db.transaction(() => {
+      this._stmts.deletePassages.run(path);
+      this._stmts.deleteDocument.run(path);
+    })();
+  }
+
+  // Best-matching passages for a claim, ranked by BM25 (titles and headings weigh double),
+  // among those containing at least MIN_TERM_COVERAGE of its significant words.
+  // Returns [{ path, title, heading, text, score }], higher score = better match.
+  search(query, limit = 3) {
+    const terms = significantWords(query);
+    if (!terms.length) return [];
+
+    const candidates = this.db.prepare(`
+      SELECT rowid, path, title, heading, text, -bm25(passages, 0, 2.0, 2.0, 1.0) AS score
+      FROM passages
+      WHERE passages MATCH ?
+      ORDER BY score DESC
+      LIMIT ?
+    `).all(terms.map(quote).join(' OR '), CANDIDATES);
+    if (!candidates.length) return [];
+
+    // Which candidates each word matches, stemmed the way the index is
+    const matched = new Map(candidates.map((c) => [c.rowid, 0]));
+    const rowids = JSON.stringify([...matched.keys()]);
+    const termStmt = this.db.prepare(`
+      SELECT rowid FROM passages WHERE passages MATCH ? AND rowid IN (SELECT value FROM json_each(?))
+    `);
+    for (const term of terms) {
+      for (const { rowid } of termStmt.all(quote(term), rowids)) matched.set(rowid, matched.get(rowid) + 1);
+    }
+
+    const needed = Math.ceil(terms.length * MIN_TERM_COVERAGE);
+    return candidates
+      .filter((c) => matched.get(c.rowid) >= needed)
+      .slice(0, limit)
+      .map(({ rowid, ...passage }) => passage);
+  }
+
+  stats() {
+    return {
+      documents: this.db.prepare(`SELECT COUNT(*) AS n FROM documents`).get().n,
+      passages: this.db.prepare(`SELECT COUNT(*) AS n FROM passages`).get().n,
+    };
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+function listDocuments(dir) {
+  const files = [];
+  for (const entry of readdirSync(dir, { withFileTypes: true })) {
+    if (entry.name.startsWith('.')) continue;
+    const full = join(dir, entry.name);
+    if (entry.isDirectory()) files.push(...listDocuments(full));
+    else if (DOCUMENT_EXTENSIONS.has(extname(entry.name).toLowerCase())) files.push(full);
+  }
+  return files;
+}
+
+// Split a document into passages: one per markdown section, long sections split on
+// paragraph boundaries. The title is the first top-level heading, else the filename.
+function splitDocument(path, content) {
+  const title = content.match(/^#\s+(.+)$/m)?.[1].trim() || basename(path, extname(path));
+  const passages = [];
+  let heading = null;
+  let paragraphs = [];
+
+  const flushSection = () => {
+    let text = '';
+    for (const para of paragraphs) {
+      if (text && text.length + para.length > MAX_PASSAGE_CHARS) {
+        passages.push({ heading, text });
+        text = '';
+      }
+      text = text ? `${text}\n\n${para}` : para;
+    }
+    if (text) passages.push({ heading, text });
+    paragraphs = [];
+  };
+
+  for (const block of content.split(/\n\s*\n/)) {
+    const lines = block.trim().split('\n');
+    const headingMatch = lines[0].match(/^#{1,6}\s+(.+)$/);
+    if (headingMatch) {
+      flushSection();
+      heading = headingMatch[1].trim();
+      lines.shift();
+    }
+    const para = lines.join('\n').trim();
+    if (para) paragraphs.push(para);
+  }
+  flushSection();
+
+  return { title, passages };
+}
+
+// The distinct words of free text worth searching on
+function significantWords(text) {
+  const words = (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter((w) => w.length > 1 && !STOPWORDS.has(w));
+  return [...new Set(words)];
+}
+
+// Quoted, so punctuation and FTS operators in the transcript can't change the query
+function quote(word) {
+  return `"${word}"`;
+}
@@ -0,0 +1,310 @@
+// Deterministic checker for arithmetic, percentage and unit-conversion claims — no LLM, no network
+
+// Units by dimension: factor converts to the dimension's base unit. Temperatures are affine
+// and handled separately. Aliases include plurals and common abbreviations. Customary volumes
+// (US sizes here) are about a sixth smaller in the US than in imperial units, but the ratios
+// between them are the same, so they are only converted among themselves.
+const UNITS = [
+  { dim: 'length', factor: 0.001, name: 'millimeter', aliases: ['millimeter', 'millimeters', 'millimetre', 'millimetres', 'mm'] },
+  { dim: 'length', factor: 0.01, name: 'centimeter', aliases: ['centimeter', 'centimeters', 'centimetre', 'centimetres', 'cm'] },
+  { dim: 'length', factor: 1, name: 'meter', aliases: ['meter', 'meters', 'metre', 'metres', 'm'] },
+  { dim: 'length', factor: 1000, name: 'kilometer', aliases: ['kilometer', 'kilometers', 'kilometre', 'kilometres', 'km', 'kms'] },
+  { dim: 'length', factor: 0.0254, name: 'inch', plural: 'inches', aliases: ['inch', 'inches'] },
+  { dim: 'length', factor: 0.3048, name: 'foot', plural: 'feet', aliases: ['foot', 'feet', 'ft'] },
+  { dim: 'length', factor: 0.9144, name: 'yard', aliases: ['yard', 'yards', 'yd', 'yds'] },
+  { dim: 'length', factor: 1609.344, name: 'mile', aliases: ['mile', 'miles', 'mi'] },
+  { dim: 'length', factor: 1852, name: 'nautical mile', aliases: ['nautical mile', 'nautical miles'] },
+  { dim: 'mass', factor: 0.000001, name: 'milligram', aliases: ['milligram', 'milligrams', 'mg'] },
+  { dim: 'mass', factor: 0.001, name: 'gram', aliases: ['gram', 'grams', 'g'] },
+  { dim: 'mass', factor: 1, name: 'kilogram', aliases: ['kilogram', 'kilograms', 'kilo', 'kilos', 'kg', 'kgs'] },
+  { dim: 'mass', factor: 0.45359237, name: 'pound', aliases: ['pound', 'pounds', 'lb', 'lbs'] },
+  { dim: 'mass', factor: 0.028349523125, name: 'ounce', aliases: ['ounce', 'ounces', 'oz'] },
+  { dim: 'mass', factor: 6.35029318, name: 'stone', plural: 'stone', aliases: ['stone', 'stones'] },
+  { dim: 'mass', factor: 1000, name: 'metric ton', aliases: ['metric ton', 'metric tons', 'tonne', 'tonnes'] },
+  { dim: 'volume', factor: 0.001, name: 'milliliter', aliases: ['milliliter', 'milliliters', 'millilitre', 'millilitres', 'ml'] },
+  { dim: 'volume', factor: 1, name: 'liter', aliases: ['liter', 'liters', 'litre', 'litres', 'l'] },
+  { dim: 'volume', factor: 3.785411784, name: 'gallon', customary: true, aliases: ['gallon', 'gallons', 'gal'] },
+  { dim: 'volume', factor: 0.946352946, name: 'quart', customary: true, aliases: ['quart', 'quarts', 'qt'] },
+  { dim: 'volume', factor: 0.473176473, name: 'pint', customary: true, aliases: ['pint', 'pints', 'pt'] },
+  { dim: 'volume', factor: 0.2365882365, name: 'cup', customary: true, aliases: ['cup', 'cups'] },
+  { dim: 'time', factor: 1, name: 'second', aliases: ['second', 'seconds', 'sec', 'secs'] },
+  { dim: 'time', factor: 60, name: 'minute', aliases: ['minute', 'minutes', 'min', 'mins'] },
+  { dim: 'time', factor: 3600, name: 'hour', aliases: ['hour', 'hours', 'hr', 'hrs'] },
+  { dim: 'time', factor: 86400, name: 'day', aliases: ['day', 'days'] },
+  { dim: 'time', factor: 604800, name: 'week', aliases: ['week', 'weeks'] },
+  { dim: 'time', factor: 31557600, name: 'year', aliases: ['year', 'years'] },
+  { dim: 'speed', factor: 0.44704, name: 'mile per hour', plural: 'miles per hour', aliases: ['mile per hour', 'miles per hour', 'mph'] },
+  { dim: 'speed', factor: 1 / 3.6, name: 'kilometer per hour', plural: 'kilometers per hour', aliases: ['kilometer per hour', 'kilometers per hour', 'kilometre per hour', 'kilometres per hour', 'kph', 'km/h'] },
+  { dim: 'speed', factor: 1, name: 'meter per second', plural: 'meters per second', aliases: ['meter per second', 'meters per second', 'metre per second', 'metres per second', 'm/s'] },
+  { dim: 'temperature', scale: 'C', name: 'degree Celsius', plural: 'degrees Celsius', aliases: ['celsius', 'centigrade'] },
+  { dim: 'temperature', scale: 'F', name: 'degree Fahrenheit', plural: 'degrees Fahrenheit', aliases: ['fahrenheit'] },
+  { dim: 'temperature', scale: 'K', name: 'kelvin', aliases: ['kelvin', 'kelvins'] },
+];
+
+const UNIT_BY_ALIAS = new Map(UNITS.flatMap((u) => u.aliases.map((a) => [a, u])));
+const MAX_UNIT_WORDS = 3;
+
+const SMALL_NUMBERS = {
+  zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16, seventeen: 17,
+  eighteen: 18, nineteen: 19, twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70,
+  eighty: 80, ninety: 90, dozen: 12,
+};
+const SCALES = { hundred: 100, thousand: 1e3, million: 1e6, billion: 1e9, trillion: 1e12 };
+
+const OPERATORS = [
+  ['plus', (a, b) => a + b],
+  ['minus', (a, b) => a - b],
+  ['times', (a, b) => a * b],
+  ['multiplied by', (a, b) => a * b],
+  ['divided by', (a, b) => (b === 0 ? NaN : a / b)],
+];
+
+// Words that join the two sides of a claim ("X is Y", "X equals Y", "X has Y")
+const COPULA = /\s+(?:is equal to|is the same as|equals|equal to|is|are|makes|gives you|gives|comes to|works out to|has|contains)\s+/;
+// Hedges on the claimed value widen the tolerance
+const APPROXIMATE = /^(?:about|around|roughly|approximately|nearly|almost|close to|just under|just over)\s+/;
+const EXACT = /^(?:exactly|precisely)\s+/;
+
+// Unit conversions are usually rounded in speech, so allow a few percent either way;
+// arithmetic is exact unless the speaker hedged.
+const CONVERSION_TOLERANCE = 0.03;
+const APPROXIMATE_TOLERANCE = 0.1;
+
+// Settle a claim locally if it is arithmetic, a percentage or a unit conversion.
+// Returns a verification result like ClaimProcessor.verifyClaim (verifiedBy 'numeric'),
+// or null if the claim isn't something this checker understands.
+export function checkNumericClaim(text) {
+  const normalized = normalize(text);
+
+  const containment = normalized.match(/^there (?:are|is) (.+) in (.+)$/);
+  const [left, right] = containment ? [containment[2], containment[1]] : splitOnce(normalized, COPULA);
+  if (!left || !right) return null;
+
+  let claimedText = right;
+  let approximate = false;
+  if (APPROXIMATE.test(claimedText)) {
+    approximate = true;
+    claimedText = claimedText.replace(APPROXIMATE, '');
+  }
+  claimedText = claimedText.replace(EXACT, '');
+
+  return checkConversion(left, claimedText, approximate)
+    ?? checkPercentage(left, claimedText, approximate)
+    ?? checkArithmetic(left, claimedText, approximate);
+}
+
+function checkConversion(left, right, approximate) {
+  const from = parseQuantity(left);
+  const claimed = parseQuantity(right);
+  if (!from?.unit || !claimed?.unit || from.unit.dim !== claimed.unit.dim || from.unit === claimed.unit) return null;
+  // "A pint is 568 millilitres" is right in the UK and wrong in the US
+  if (Boolean(from.unit.customary) !== Boolean(claimed.unit.customary)) return null;
+
+  const actual = convert(from.value, from.unit, claimed.unit);
+  const tolerance = approximate ? APPROXIMATE_TOLERANCE : CONVERSION_TOLERANCE;
+  // Temperatures near zero make relative tolerance meaningless — allow a degree either way
+  const slack = from.unit.dim === 'temperature' ? Math.max(1, Math.abs(actual) * tolerance) : Math.abs(actual) * tolerance;
+
+  return result({
+    correct: Math.abs(actual - claimed.value) <= slack + roundingSlack(right),
+    // "0 celsius" reads badly — spell temperatures out with their scale
+    subject: from.unit.dim === 'temperature' ? `${formatNumber(from.value)} ${unitName(from.unit, from.value)}` : left,
+    actual,
+    unit: claimed.unit,
+    rule: 'conversion',
+    title: `${formatNumber(from.value)} ${unitName(from.unit, from.value)} = ${formatNumber(actual)} ${unitName(claimed.unit, actual)}`,
+  });
+}
+
+function checkPercentage(left, right, approximate) {
+  const match = left.match(/^(.+?) percent of (.+)$/);
+  if (!match) return null;
+
+  const percent = parseQuantity(match[1]);
+  const base = parseQuantity(match[2]);
+  const claimed = parseQuantity(right);
+  if (!percent || percent.unit || !base || !claimed || claimed.unit !== base.unit) return null;
+
+  const actual = (percent.value / 100) * base.value;
+  return result({
+    correct: withinTolerance(actual, claimed.value, approximate, right),
+    subject: left,
+    actual,
+    unit: base.unit,
+    rule: 'percentage',
+    title: `${formatNumber(percent.value)}% of ${formatNumber(base.value)} = ${formatNumber(actual)}`,
+  });
+}
+
+function checkArithmetic(left, right, approximate) {
+  const claimed = parseQuantity(right);
+  if (!claimed || claimed.unit) return null;
+
+  let actual = null;
+  let title = null;
+
+  const power = left.match(/^(.+) (squared|cubed)$/);
+  if (power) {
+    const base = parseQuantity(power[1]);
+    if (!base || base.unit) return null;
+    actual = base.value ** (power[2] === 'squared' ? 2 : 3);
+    title = `${formatNumber(base.value)}^${power[2] === 'squared' ? 2 : 3} = ${formatNumber(actual)}`;
+  } else {
+    for (const [word, apply] of OPERATORS) {
+      const [a, b] = splitOnce(left, new RegExp(` ${word} `));
+      if (!a || !b) continue;
+      const x = parseQuantity(a);
+      const y = parseQuantity(b);
+      if (!x || !y || x.unit || y.unit) return null;
+      actual = apply(x.value, y.value);
+      title = `${formatNumber(x.value)} ${word} ${formatNumber(y.value)} = ${formatNumber(actual)}`;
+      break;
+    }
+  }
+  if (actual === null || !Number.isFinite(actual)) return null;
+
+  return result({
+    correct: withinTolerance(actual, claimed.value, approximate, right),
+    subject: left,
+    actual,
+    unit: null,
+    rule: 'arithmetic',
+    title,
+  });
+}
+
+function withinTolerance(actual, claimed, approximate, claimedText) {
+  const slack = approximate ? Math.abs(actual) * APPROXIMATE_TOLERANCE : 1e-9 * Math.max(1, Math.abs(actual));
+  return Math.abs(actual - claimed) <= slack + roundingSlack(claimedText);
+}
+
+// "3.33" stands for anything that rounds to it — half a unit in the last decimal place
+function roundingSlack(claimedText) {
+  const decimals = claimedText.match(/\d\.(\d+)/)?.[1].length ?? 0;
+  return decimals ? 0.5 * 10 ** -decimals : 0;
+}
+
+function result({ correct, subject, actual, unit, rule, title }) {
+  const about = Number.isInteger(actual) ? '' : 'about ';
+  const value = `${formatNumber(actual)}${unit ? ` ${unitName(unit, actual)}` : ''}`;
+  return {
+    verdict: correct ? 'correct' : 'false',
+    confidence: 1,
+    correction: correct ? null : `Actually, ${subject} is ${about}${value}.`,
+    sources: [{ type: 'numeric', url: `numeric:${rule}`, title, cited: true, snippets: [] }],
+    verifiedBy: 'numeric',
+  };
+}
+
+function convert(value, from, to) {
+  if (from.dim !== 'temperature') return (value * from.factor) / to.factor;
+
+  const kelvin = { C: (v) => v + 273.15, F: (v) => ((v - 32) * 5) / 9 + 273.15, K: (v) => v }[from.scale](value);
+  return { C: (k) => k - 273.15, F: (k) => ((k - 273.15) * 9) / 5 + 32, K: (k) => k }[to.scale](kelvin);
+}
+
+// Lowercase, spell out symbols, drop filler and trailing punctuation
+function normalize(text) {
+  return text
+    .toLowerCase()
+    .replace(/°\s*c\b/g, ' celsius')
+    .replace(/°\s*f\b/g, ' fahrenheit')
+    .replace(/\bdegrees? (?=celsius|centigrade|fahrenheit)/g, '')
+    .replace(/(\d)\s*%/g, '$1 percent')
+    .replace(/\bper ?cent\b/g, 'percent')
+    .replace(/(\d)\s*[x×*]\s*(?=\d)/g, '$1 times ')
+    .replace(/(\d)\s*\+\s*(?=\d)/g, '$1 plus ')
+    .replace(/(\d)\s+-\s+(?=\d)/g, '$1 minus ')
+    .replace(/(\d)\s*÷\s*(?=\d)/g, '$1 divided by ')
+    .replace(/(\d)\s*\/\s*(?=\d)/g, '$1 divided by ')
+    .replace(/\s*=\s*/g, ' equals ')
+    .replace(/(\p{L})-(\p{L})/gu, '$1 $2')
+    .replace(/\b(?:actually|basically)\b/g, ' ')
+    .replace(/[.!?,;:]+$/, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function splitOnce(text, separator) {
+  const match = text.match(separator);
+  if (!match) return [null, null];
+  return [text.slice(0, match.index).trim(), text.slice(match.index + match[0].length).trim()];
+}
+
+// Parse "a mile", "2.5 kilometers", "three hundred", "1,200" into { value, unit | null }.
+// The whole string must be consumed — anything left over means this isn't a plain quantity.
+function parseQuantity(text) {
+  const words = text.split(' ').filter(Boolean);
+  const number = parseNumber(words);
+  if (!number) return null;
+
+  const rest = words.slice(number.next);
+  if (rest.length === 0) return number.implicit ? null : { value: number.value, unit: null };
+  if (rest.length > MAX_UNIT_WORDS) return null;
+
+  const unit = UNIT_BY_ALIAS.get(rest.join(' '));
+  return unit ? { value: number.value, unit } : null;
+}
+
+// Read a number from the start of a word list: digits ("1,200", "2.5", "1.5 million"),
+// number words ("two hundred and five") or an article standing for one ("a mile").
+// implicit is set when the number is only an article, which needs a unit after it.
+function parseNumber(words) {
+  if (!words.length) return null;
+
+  const digits = words[0].replace(/,(?=\d{3}\b)/g, '');
+  if (/^-?\d+(\.\d+)?$/.test(digits)) {
+    let value = parseFloat(digits);
+    let next = 1;
+    if (SCALES[words[1]]) value *= SCALES[words[next++]];
+    return { value, next };
+  }
+
+  if (words[0] === 'a' || words[0] === 'an' || words[0] === 'one') {
+    if (words[1] === 'half') return { value: 0.5, next: 2 };
+    if (words[1] === 'quarter') return { value: 0.25, next: 2 };
+  }
+  if (words[0] === 'half' && words[1] === 'a') return { value: 0.5, next: 2 };
+
+  let total = 0;
+  let current = 0;
+  let next = 0;
+  let seen = false;
+  while (next < words.length) {
+    const word = words[next];
+    if (word in SMALL_NUMBERS) {
+      current += SMALL_NUMBERS[word];
+    } else if (word === 'hundred') {
+      current = (current || 1) * 100;
+    } else if (SCALES[word]) {
+      total += (current || 1) * SCALES[word];
+      current = 0;
+    } else if (word === 'and' && seen && (words[next + 1] in SMALL_NUMBERS)) {
+      next++;
+      continue;
+    } else if ((word === 'a' || word === 'an') && !seen) {
+      // "a hundred", "a dozen" — otherwise an article meaning one
+      if (!(words[next + 1] in SMALL_NUMBERS) && !SCALES[words[next + 1]] && words[next + 1] !== 'hundred') {
+        return { value: 1, next: next + 1, implicit: true };
+      }
+    } else {
+      break;
+    }
+    seen = true;
+    next++;
+  }
+
+  return seen ? { value: total + current, next } : null;
+}
+
+function unitName(unit, value) {
+  if (value === 1) return unit.name;
+  return unit.plural ?? `${unit.name}s`;
+}
+
+// Whole numbers as-is, everything else to three significant figures
+function formatNumber(value) {
+  const rounded = Math.abs(value - Math.round(value)) < 1e-9 ? Math.round(value) : Number(value.toPrecision(3));
+  return rounded.toLocaleString('en-US', { maximumFractionDigits: 10 });
+}
@@ -0,0 +1,152 @@
+// Outbound calls — POST /calls places a call through the Twilio REST API with the fact-checking stream attached
+import express from 'express';
+import crypto from 'crypto';
+import { streamTwiml } from './twilio.js';
+
+const E164 = /^\+\d{8,15}$/;
+
+// Twilio call statuses after which nothing more happens on the call
+const FINAL_STATUSES = new Set(['completed', 'busy', 'failed', 'no-answer', 'canceled']);
+// ...of which those where the call was never answered
+export const UNANSWERED_STATUSES = new Set(['busy', 'failed', 'no-answer', 'canceled']);
+
+// How long a finished call's handle can still be polled; its history is kept after that
+const DEFAULT_RETAIN_MS = 10 * 60_000;
+
+export class OutboundCalls {
+  // twilio: a TwilioClient (or anything with its createCall); from: the Twilio number to call from;
+  // wsUrl: the media stream URL; statusUrl: where Twilio posts call progress (/twilio/status);
+  // retainMs: how long a handle is kept after its call's final status
+  constructor(twilio, { from, wsUrl, statusUrl, history = null, retainMs = DEFAULT_RETAIN_MS }) {
+    this.twilio = twilio;
+    this.from = from;
+    this.wsUrl = wsUrl;
+    this.statusUrl = statusUrl;
+    this.history = history;
+    this.retainMs = retainMs;
+    this.calls = new Map(); // callId → handle
+  }
+
+  // Place a call to an E.164 number. The handle's id is the callId the call's session and
+  // history will use. Rejects if Twilio does.
+  async place(to) {
+    const id = crypto.randomUUID();
+    const call = await this.twilio.createCall({
+      to,
+      from: this.from,
+      twiml: streamTwiml(this.wsUrl, { call: id }),
+      statusCallback: `${this.statusUrl}?call=${id}`,
+    });
+
+    const now = new Date().toISOString();
+    const handle = { id, sid: call.sid, to, status: call.status ?? 'queued', created_at: now, updated_at: now };
+    this.calls.set(id, handle);
+    // Recorded now so the call is in history even if it is never answered
+    this.history?.startCall(id, { metadata: { direction: 'outbound', to, call_sid: call.sid } });
+    this.history?.updateCallMetadata(id, { call_status: handle.status });
+    console.log(`[outbound] calling ${to} (call ${id}, ${call.sid})`);
+    return handle;
+  }
+
+  get(id) {
+    return this.calls.get(id) ?? null;
+  }
+
+  // Call the other party of a bridged call (see the Two-Party Calls docs). Their stream, and
+  // the call's status callback, carry the caller's callId: the server hands a status saying
+  // they never answered to session.partyUnreachable(), as it does here if Twilio rejects the call.
+  // If the caller hangs up before the other party joins, their call is ended too.
+  async dial(session, to) {
+    try {
+      const call = await this.twilio.createCall({
+        to,
+        from: this.from,
+        twiml: streamTwiml(this.wsUrl, { bridge: session.callId }),
+        statusCallback: `${this.statusUrl}?call=${session.callId}`,
+      });
+      console.log(`[outbound] dialing other party (call ${session.callId}, ${call.sid})`);
+      session.partyCallSid = call.sid;
+      if (session.state === 'closed') this.hangUpParty(session);
+      else session.once('close', () => this.hangUpParty(session));
+      return call;
+    } catch (err) {
+      console.error(`[outbound] could not dial other party (call ${session.callId}):`, err.message);
+      session.partyUnreachable('failed');
+      return null;
+    }
+  }
+
+  // End the call to a bridged call's other party if it is still ringing, or answered but not yet
+  // joined — once joined, closing their stream ends it
+  async hangUpParty(session) {
+    const sid = session.partyCallSid;
+    if (!sid || session.party) return;
+    session.partyCallSid = null;
+    try {
+      await this.twilio.updateCall(sid, { status: 'completed' });
+      console.log(`[outbound] ended the other party's call (call ${session.callId}, ${sid})`);
+    } catch (err) {
+      console.error(`[outbound] could not end the other party's call (call ${session.callId}, ${sid}):`, err.message);
+    }
+  }
+
+  // Twilio reported the call's progress (see createTwimlRouter's onStatus)
+  updateStatus(id, status) {
+    const handle = this.calls.get(id);
+    if (!handle || FINAL_STATUSES.has(handle.status)) return;
+    handle.status = status;
+    handle.updated_at = new Date().toISOString();
+    this.history?.updateCallMetadata(id, { call_status: status });
+    if (!FINAL_STATUSES.has(status)) return;
+    this.history?.endCall(id);
+    setTimeout(() => this.calls.delete(id), this.retainMs).unref();
+  }
+}
+
+// Reject requests without the API token as a bearer token
+export function requireApiToken(token) {
+  const expected = Buffer.from(`Bearer ${token}`);
+  return (req, res, next) => {
+    const given = Buffer.from(req.headers.authorization ?? '');
+    if (!token || given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+      return res.sendStatus(401);
+    }
+    next();
+  };
+}
+
+// POST /calls { to } places a call and returns its handle; GET /calls/:id/status polls it.
+// sessions, if given, adds the live session's state to the handle.
+export function createOutboundRouter(outbound, apiToken, { sessions = null } = {}) {
+  const router = express.Router();
+  const auth = requireApiToken(apiToken);
+
+  const view = (handle) => ({
+    ...handle,
+    session: sessions?.get(handle.id)?.state ?? null,
+    status_url: `/calls/${handle.id}/status`,
+  });
+
+  router.post('/', auth, async (req, res) => {
+    const to = req.body?.to;
+    if (typeof to !== 'string' || !E164.test(to)) {
+      return res.status(400).json({ error: 'to must be a phone number in E.164 format, e.g. +15551234567' });
+    }
+
+    try {
+      const handle = await outbound.place(to);
+      res.status(201).location(`/calls/${handle.id}/status`).json(view(handle));
+    } catch (err) {
+      console.error(`[outbound] could not call ${to}:`, err.message);
+      res.status(502).json({ error: err.message });
+    }
+  });
+
+  router.get('/:id/status', auth, (req, res) => {
+    const handle = outbound.get(req.params.id);
+    if (!handle) return res.sendStatus(404);
+    res.json(view(handle));
+  });
+
+  return router;
+}
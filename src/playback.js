@@ -0,0 +1,98 @@
+// Correction playback tracking — Twilio marks tell us how much of each correction was heard
+import { sendClearToTwilio } from './twilio.js';
+import { AudioScheduler } from './scheduler.js';
+
+// One progress mark per 500ms of audio (8000 bytes/s of μ-law)
+const BYTES_PER_MS = 8;
+const MARK_INTERVAL_BYTES = 500 * BYTES_PER_MS;
+
+export class PlaybackTracker {
+  constructor(ws, { onFinish = () => {}, scheduler = new AudioScheduler(ws) } = {}) {
+    this.ws = ws;
+    this.onFinish = onFinish;
+    this.scheduler = scheduler;
+    this.playing = new Map(); // key → { item, totalBytes, heardBytes, open }
+    this._nextKey = 1;
+  }
+
+  get active() {
+    return this.playing.size > 0;
+  }
+
+  // Schedule audio with progress marks; onFinish reports 'played', 'partial', 'interrupted' or 'cancelled'.
+  // With open: true the audio is still streaming in — append() the rest, then end().
+  play(streamSid, audio, item = {}, { priority = 0, open = false } = {}) {
+    const key = `c${this._nextKey++}`;
+    this.playing.set(key, { item, totalBytes: audio.length, heardBytes: 0, open });
+
+    const marks = progressMarks(key, 0, audio.length);
+    if (!open) marks.push({ offset: audio.length, name: `${key}:${audio.length}` });
+
+    this.scheduler.enqueue({ id: key, streamSid, audio, marks, priority, open });
+    return key;
+  }
+
+  append(key, audio) {
+    const entry = this.playing.get(key);
+    if (!entry?.open) return;
+    const from = entry.totalBytes;
+    entry.totalBytes += audio.length;
+    this.scheduler.append(key, audio, progressMarks(key, from, entry.totalBytes));
+  }
+
+  // The stream is complete: the final mark goes after the last byte
+  end(key) {
+    const entry = this.playing.get(key);
+    if (!entry?.open) return;
+    entry.open = false;
+    this.scheduler.end(key, [{ offset: entry.totalBytes, name: `${key}:${entry.totalBytes}` }]);
+  }
+
+  // Withdraw a correction that has not started playing; returns false if it is already on the line
+  cancel(key) {
+    if (!this.playing.has(key) || this.scheduler.current?.id === key) return false;
+    if (this.scheduler.cancel(key) === null) return false;
+    this._finish(key, 'cancelled');
+    return true;
+  }
+
+  // Twilio echoed a mark: that much of the correction has been played
+  handleMark(name) {
+    const [key, bytes] = String(name).split(':');
+    const entry = this.playing.get(key);
+    if (!entry) return;
+
+    entry.heardBytes = Math.max(entry.heardBytes, parseInt(bytes, 10) || 0);
+    if (!entry.open && entry.heardBytes >= entry.totalBytes) {
+      this._finish(key, 'played');
+    }
+  }
+
+  // Barge-in: cut off everything still playing or waiting to play
+  interrupt(streamSid) {
+    if (!this.active) return;
+    this.scheduler.clear();
+    sendClearToTwilio(this.ws, streamSid);
+
+    // Marks echoed after the clear are for discarded audio, so settle status now
+    for (const [key, entry] of this.playing) {
+      this._finish(key, entry.heardBytes > 0 ? 'partial' : 'interrupted');
+    }
+  }
+
+  _finish(key, status) {
+    const entry = this.playing.get(key);
+    this.playing.delete(key);
+    this.onFinish(entry.item, status, Math.round(entry.heardBytes / BYTES_PER_MS));
+  }
+}
+
+// A mark at each 500ms boundary in (from, to), exclusive of the end
+function progressMarks(key, from, to) {
+  const marks = [];
+  const first = (Math.floor(from / MARK_INTERVAL_BYTES) + 1) * MARK_INTERVAL_BYTES;
+  for (let offset = first; offset < to; offset += MARK_INTERVAL_BYTES) {
+    marks.push({ offset, name: `${key}:${offset}` });
+  }
+  return marks;
+}
@@ -0,0 +1,56 @@
+// Whisper policy — decides which verdicts are worth speaking into the caller's ear
+import { VERDICTS } from './claims.js';
+
+// Verdicts that trigger a whisper, each with the minimum confidence required.
+// Unverifiable claims stay silent unless a deployment opts in.
+const DEFAULT_THRESHOLDS = {
+  false: 0.6,
+  misleading: 0.75,
+  outdated: 0.75,
+};
+
+// Parse "false=0.6,misleading=0.8" into { false: 0.6, misleading: 0.8 }. Returns null
+// for an unset spec; unknown verdicts, 'correct' and out-of-range confidences are skipped.
+export function parseWhisperPolicy(spec) {
+  if (!spec || !spec.trim()) return null;
+
+  const thresholds = {};
+  for (const pair of spec.split(',')) {
+    const [verdict, min] = pair.split('=').map((p) => p?.trim());
+    const value = parseFloat(min);
+    if (!VERDICTS.includes(verdict) || verdict === 'correct') continue;
+    if (Number.isFinite(value) && value >= 0 && value <= 1) thresholds[verdict] = value;
+  }
+  return thresholds;
+}
+
+// How readily corrections are whispered: each level moves every threshold by this much
+export const SENSITIVITY_LEVELS = { low: 0.15, normal: 0, high: -0.15 };
+
+export class WhisperPolicy {
+  constructor(thresholds = DEFAULT_THRESHOLDS) {
+    this.thresholds = { ...thresholds };
+  }
+
+  // result: { verdict, confidence, correction } as returned by ClaimProcessor.verifyClaim
+  shouldWhisper(result) {
+    if (!result?.correction) return false;
+    const min = this.thresholds[result.verdict];
+    if (min === undefined) return false;
+    return (result.confidence ?? 0) >= min;
+  }
+
+  // A copy for a sensitivity level (see SENSITIVITY_LEVELS), thresholds kept within 0..1
+  withSensitivity(level) {
+    const shift = SENSITIVITY_LEVELS[level] ?? 0;
+    const thresholds = {};
+    for (const [verdict, min] of Object.entries(this.thresholds)) {
+      thresholds[verdict] = Math.round(Math.min(1, Math.max(0, min + shift)) * 100) / 100;
+    }
+    return new WhisperPolicy(thresholds);
+  }
+
+  toJSON() {
+    return this.thresholds;
+  }
+}
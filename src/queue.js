@@ -0,0 +1,76 @@
+// Per-call correction queue — holds synthesized corrections until the caller pauses
+
+// Corrections older than this are stale: the conversation has moved on
+const DEFAULT_MAX_WAIT_MS = 8000;
+
+export class CorrectionQueue {
+  constructor({ onDeliver, onDrop = () => {}, maxWaitMs = DEFAULT_MAX_WAIT_MS }) {
+    this.onDeliver = onDeliver;
+    this.onDrop = onDrop;
+    this.maxWaitMs = maxWaitMs;
+    this.items = [];
+    this.speaking = false;
+  }
+
+  get length() {
+    return this.items.length;
+  }
+
+  // Queue a correction; it plays at the next pause, or right away if the caller is already quiet
+  enqueue(item) {
+    const entry = { ...item, enqueuedAt: Date.now() };
+    entry.timer = setTimeout(() => this._expire(entry), this.maxWaitMs);
+    this.items.push(entry);
+    this.flush();
+  }
+
+  // The caller started (or is still) talking — hold everything
+  speechStarted() {
+    this.speaking = true;
+  }
+
+  // The caller paused (speech_final or UtteranceEnd) — release what is waiting
+  speechPaused() {
+    this.speaking = false;
+    this.flush();
+  }
+
+  flush() {
+    while (!this.speaking && this.items.length > 0) {
+      const entry = this.items.shift();
+      clearTimeout(entry.timer);
+      this.onDeliver(strip(entry), Date.now() - entry.enqueuedAt);
+    }
+  }
+
+  // Take out the corrections matching predicate without delivering or dropping them; returns them
+  remove(predicate) {
+    const removed = [];
+    this.items = this.items.filter((entry) => {
+      if (!predicate(strip(entry))) return true;
+      clearTimeout(entry.timer);
+      removed.push(strip(entry));
+      return false;
+    });
+    return removed;
+  }
+
+  // Drop everything still waiting (e.g. when the call ends)
+  clear(reason = 'cleared') {
+    for (const entry of this.items.splice(0)) {
+      clearTimeout(entry.timer);
+      this.onDrop(strip(entry), reason);
+    }
+  }
+
+  _expire(entry) {
+    const idx = this.items.indexOf(entry);
+    if (idx === -1) return;
+    this.items.splice(idx, 1);
+    this.onDrop(strip(entry), 'stale');
+  }
+}
+
+function strip({ timer, ...item }) {
+  return item;
+}
@@ -0,0 +1,158 @@
+// Deadlines, retries with backoff and a circuit breaker for calls to upstream APIs
+
+// HTTP statuses worth retrying: timeouts, conflicts, rate limits, server errors, overload
+const RETRYABLE_STATUS = new Set([408, 409, 429, 500, 502, 503, 504, 529]);
+
+// The Anthropic SDK reports network failures as these, with no status
+const RETRYABLE_ERRORS = new Set(['APIConnectionError', 'APIConnectionTimeoutError']);
+
+export class DeadlineExceededError extends Error {
+  constructor(label, ms) {
+    super(`${label} missed its ${ms}ms deadline`);
+    this.name = 'DeadlineExceededError';
+  }
+}
+
+export class CircuitOpenError extends Error {
+  constructor(name) {
+    super(`${name} circuit is open`);
+    this.name = 'CircuitOpenError';
+  }
+}
+
+// The caller no longer wants the result (e.g. the claim was retracted); not a failure
+export class CancelledError extends Error {
+  constructor(label) {
+    super(`${label} cancelled`);
+    this.name = 'CancelledError';
+  }
+}
+
+export function isRetryableError(err) {
+  return RETRYABLE_STATUS.has(err?.status) || RETRYABLE_ERRORS.has(err?.constructor?.name);
+}
+
+// closed → (failureThreshold consecutive failures) → open → (resetMs) → half_open → one
+// trial call: success closes the circuit, failure opens it again
+export class CircuitBreaker {
+  constructor(name, { failureThreshold = 5, resetMs = 30_000 } = {}) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.resetMs = resetMs;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+    this.lastError = null;
+  }
+
+  // Whether a call may go out now; moves open → half_open once resetMs has passed
+  allow() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.resetMs) {
+      this.state = 'half_open';
+      this.trialInFlight = false;
+    }
+    if (this.state === 'closed') return true;
+    if (this.state === 'half_open' && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+    return false;
+  }
+
+  success() {
+    if (this.state !== 'closed') console.log(`[resilience] ${this.name} circuit closed`);
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  // A call let through was cancelled before it could tell us anything; free the trial slot
+  release() {
+    this.trialInFlight = false;
+  }
+
+  failure(err) {
+    this.failures++;
+    this.lastError = err?.message ?? String(err);
+    if (this.state === 'half_open' || this.failures >= this.failureThreshold) {
+      if (this.state !== 'open') console.warn(`[resilience] ${this.name} circuit open after ${this.failures} failures: ${this.lastError}`);
+      this.state = 'open';
+      this.openedAt = Date.now();
+      this.trialInFlight = false;
+    }
+  }
+
+  toJSON() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      opened_at: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      last_error: this.lastError,
+    };
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Run fn(signal) until it succeeds, a non-retryable error occurs, retries run out or the
+// deadline passes. The signal aborts the in-flight attempt at the deadline, so a late
+// result is never used. Every failure counts against the breaker, if one is given.
+// Aborting signal cancels the call, in flight or between attempts, without counting as a failure.
+export async function callWithRetry(fn, {
+  label = 'call',
+  deadlineMs = 10_000,
+  deadlineAt = Date.now() + deadlineMs,
+  retries = 2,
+  baseDelayMs = 250,
+  maxDelayMs = 2000,
+  breaker = null,
+  isRetryable = isRetryableError,
+  signal = null,
+} = {}) {
+  for (let attempt = 0; ; attempt++) {
+    if (signal?.aborted) throw new CancelledError(label);
+    if (breaker && !breaker.allow()) throw new CircuitOpenError(breaker.name);
+
+    const remaining = deadlineAt - Date.now();
+    if (remaining <= 0) throw new DeadlineExceededError(label, deadlineMs);
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), remaining);
+    const cancel = () => controller.abort();
+    signal?.addEventListener('abort', cancel);
+    // Don't rely on fn honouring the signal — stop waiting at the deadline either way
+    const deadline = new Promise((_, reject) => {
+      controller.signal.addEventListener('abort', () => reject(
+        signal?.aborted ? new CancelledError(label) : new DeadlineExceededError(label, deadlineMs),
+      ));
+    });
+    try {
+      const result = await Promise.race([fn(controller.signal), deadline]);
+      breaker?.success();
+      return result;
+    } catch (err) {
+      if (signal?.aborted) {
+        breaker?.release();
+        throw new CancelledError(label);
+      }
+      const error = controller.signal.aborted ? new DeadlineExceededError(label, deadlineMs) : err;
+      breaker?.failure(error);
+      if (controller.signal.aborted || attempt >= retries || !isRetryable(err)) throw error;
+
+      // Exponential backoff with jitter, honouring Retry-After, never past the deadline
+      const retryAfterMs = parseFloat(err.headers?.['retry-after']) * 1000;
+      const backoff = Number.isFinite(retryAfterMs)
+        ? retryAfterMs
+        : Math.min(maxDelayMs, baseDelayMs * 2 ** attempt) * (0.5 + Math.random() / 2);
+      if (Date.now() + backoff >= deadlineAt) throw error;
+
+      console.warn(`[resilience] ${label} attempt ${attempt + 1} failed (${err.message}), retrying in ${Math.round(backoff)}ms`);
+      await sleep(backoff);
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', cancel);
+    }
+  }
+}
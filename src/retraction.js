@@ -0,0 +1,42 @@
+// Self-corrections — spotting a speaker taking back or fixing what they just said
+// ("the war ended in 1946 — no, sorry, 1945"), so the claim isn't corrected for them
+
+// What follows a "no" that brings a replacement: a number, or "it was …" naming something —
+// not "no, it's true" or "no, it was definitely 1945", which stand by what was said
+const STANDING_BY = 'true|right|correct|so|not|definitely|certainly|really|absolutely|exactly|still|just|indeed';
+const REPLACEMENT = String.raw`(?=\d|(?:it was|it's|it is)\s+(?!(?:${STANDING_BY})\b)\w)`;
+
+// Phrases that take back the words before them, when they lead what follows
+const RETRACTIONS = [
+  /^no[,.!]?\s+(?:sorry|I mean|I meant)\b/i,
+  // "No", "wait, no", "no, actually"… only with a replacement after it ("wait, no, let me finish" isn't one)
+  new RegExp(String.raw`^(?:(?:actually|wait|sorry)[,.!]?\s+)?no(?:[,.!]?\s+(?:wait|actually))?[,.!]?\s+${REPLACEMENT}`, 'i'),
+  /^(?:sorry|wait|oops)[,.!]?\s+(?:I mean|I meant|I misspoke|that's wrong)\b/i,
+  /^oops[,.!]?\s+no\b/i,
+  /^I meant\b/i,
+  /^I misspoke\b/i,
+  /^(?:scratch|strike|forget) that\b/i,
+  /^or rather\b/i,
+  /^let me correct (?:that|myself)\b/i,
+  /^(?:correction|my mistake|my bad)\b/i,
+  /^(?:I was wrong|that's wrong|that's not right)\b/i,
+];
+
+// Punctuation and filler between the claim and the retraction ("1946 — uh, no, sorry")
+const LEAD_IN = /^(?:[\s,.;:!?"'()—–-]|\b(?:uh|um|er|oh)\b)*/i;
+
+// The retraction phrase text starts with, or null
+export function findRetraction(text) {
+  const rest = String(text ?? '').replace(LEAD_IN, '');
+  for (const pattern of RETRACTIONS) {
+    const match = rest.match(pattern);
+    if (match) return match[0].replace(/[\s,.!]+$/, '');
+  }
+  return null;
+}
+
+// A retraction right after the claim, in the segment it was detected in. Needs the claim's span.
+export function retractionAfter(claim, segment) {
+  if (!claim.span) return null;
+  return findRetraction(segment.slice(claim.span.end));
+}
@@ -0,0 +1,213 @@
+// Outbound audio scheduler — releases 20ms μ-law frames to Twilio at wall-clock rate
+import { sendFrameToTwilio, sendMarkToTwilio } from './twilio.js';
+import { mixMuLaw } from './audio.js';
+
+const FRAME_BYTES = 160; // 20ms of 8kHz μ-law
+const FRAME_MS = 20;
+
+// Keep a small lead so network jitter doesn't starve Twilio's playout buffer
+const DEFAULT_LEAD_FRAMES = 5;
+
+// Stop sending while this much is still sitting in the socket's send buffer
+const DEFAULT_MAX_BUFFERED_BYTES = 32 * 1024;
+
+export class AudioScheduler {
+  constructor(ws, { leadFrames = DEFAULT_LEAD_FRAMES, maxBufferedBytes = DEFAULT_MAX_BUFFERED_BYTES } = {}) {
+    this.ws = ws;
+    this.leadFrames = leadFrames;
+    this.maxBufferedBytes = maxBufferedBytes;
+
+    this.current = null; // clip being sent: { id, streamSid, audio, marks, priority, offset, open }
+    this.pending = []; // clips waiting, highest priority first
+    this.timer = null;
+    this.clockStart = 0;
+    this.lastTick = 0;
+    this.framesSent = 0;
+    this.stalls = 0;
+    this.relaying = false; // set by relay(): the other party's audio paces the line instead of the timer
+  }
+
+  get idle() {
+    return !this.current && this.pending.length === 0;
+  }
+
+  // Queue a clip. Marks ({ offset, name }) are sent right after the frame that reaches offset.
+  // The clip being sent always finishes; priority only orders the clips waiting behind it.
+  // An open clip is still arriving (streamed TTS): append() adds to it and end() closes it.
+  enqueue({ id, streamSid, audio, marks = [], priority = 0, open = false }) {
+    const clip = { id, streamSid, audio, marks: [...marks].sort((a, b) => a.offset - b.offset), priority, offset: 0, open };
+    this._insert(clip);
+    this._ensureRunning();
+    return id;
+  }
+
+  // More audio (and marks) for an open clip; returns false if the clip is gone
+  append(id, audio, marks = []) {
+    const clip = this._find(id);
+    if (!clip) return false;
+    clip.audio = Buffer.concat([clip.audio, audio]);
+    clip.marks = [...clip.marks, ...marks].sort((a, b) => a.offset - b.offset);
+    this._resume();
+    return true;
+  }
+
+  // No more audio is coming for an open clip; any final marks go out after its last frame
+  end(id, marks = []) {
+    const clip = this._find(id);
+    if (!clip) return false;
+    clip.open = false;
+    clip.marks = [...clip.marks, ...marks].sort((a, b) => a.offset - b.offset);
+    // Already fully sent: its last marks needn't wait for a frame slot
+    if (clip === this.current && clip.offset >= clip.audio.length) {
+      this._sendMarks(clip);
+      this.current = null;
+    }
+    this._resume();
+    return true;
+  }
+
+  // In a bridged call the other party's audio is relayed to the caller through here, and paces
+  // the line: each of its frames goes out with the next correction frame, if any, mixed in
+  relay(frame, streamSid) {
+    if (!this.relaying) {
+      this.relaying = true;
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    if (this.ws.readyState !== this.ws.OPEN) {
+      this.clear();
+      return;
+    }
+    // Backpressure: drop the frame rather than queue it behind the backlog, where it would only
+    // add delay to the call; the correction mixed into it waits for the next one
+    if (this.ws.bufferedAmount > this.maxBufferedBytes) {
+      this.stalls++;
+      return;
+    }
+    if (this._sendFrame(frame)) this.framesSent++;
+    else sendFrameToTwilio(this.ws, frame, streamSid);
+  }
+
+  // New audio for a starved clip goes out now rather than at the next tick
+  _resume() {
+    if (this.relaying) return;
+    if (this.timer) this._tick();
+    else this._ensureRunning();
+  }
+
+  // Drop a clip's unsent frames; returns how many bytes of it had already been sent, or null if unknown
+  cancel(id) {
+    if (this.current?.id === id) {
+      const sent = this.current.offset;
+      this.current = null;
+      this._stopIfIdle();
+      return sent;
+    }
+    const idx = this.pending.findIndex((c) => c.id === id);
+    if (idx === -1) return null;
+    this.pending.splice(idx, 1);
+    this._stopIfIdle();
+    return 0;
+  }
+
+  // Drop everything
+  clear() {
+    this.current = null;
+    this.pending = [];
+    this._stopIfIdle();
+  }
+
+  close() {
+    this.clear();
+  }
+
+  _find(id) {
+    return this.current?.id === id ? this.current : this.pending.find((c) => c.id === id) || null;
+  }
+
+  // An open clip that hasn't a whole frame left to send — a short frame would throw off pacing
+  _starved(clip) {
+    return !!clip?.open && clip.audio.length - clip.offset < FRAME_BYTES;
+  }
+
+  _insert(clip) {
+    const idx = this.pending.findIndex((c) => c.priority < clip.priority);
+    if (idx === -1) this.pending.push(clip);
+    else this.pending.splice(idx, 0, clip);
+  }
+
+  _ensureRunning() {
+    if (this.timer || this.relaying) return;
+    this.clockStart = Date.now();
+    this.lastTick = this.clockStart;
+    this.framesSent = 0;
+    this._tick();
+    if (!this.idle) this.timer = setInterval(() => this._tick(), FRAME_MS);
+  }
+
+  _stopIfIdle() {
+    if (this.idle && this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  _tick() {
+    const now = Date.now();
+
+    if (this.ws.readyState !== this.ws.OPEN) {
+      this.clear();
+      return;
+    }
+
+    // Backpressure: hold the clock still so we don't burst once the socket drains
+    if (this.ws.bufferedAmount > this.maxBufferedBytes) {
+      this.clockStart += now - this.lastTick;
+      this.lastTick = now;
+      this.stalls++;
+      return;
+    }
+
+    // Waiting for streamed audio: likewise hold the clock, so the backlog isn't burst out
+    if (this._starved(this.current ?? this.pending[0])) {
+      this.clockStart += now - this.lastTick;
+      this.lastTick = now;
+      return;
+    }
+    this.lastTick = now;
+
+    const due = Math.floor((now - this.clockStart) / FRAME_MS) + this.leadFrames;
+    while (this.framesSent < due && this._sendFrame()) {
+      this.framesSent++;
+    }
+
+    this._stopIfIdle();
+  }
+
+  // Send the next frame of correction audio, mixed over underlay (relayed audio) if given
+  _sendFrame(underlay = null) {
+    if (!this.current) this.current = this.pending.shift() || null;
+    const clip = this.current;
+    if (!clip || this._starved(clip)) return false;
+
+    const end = Math.min(clip.offset + FRAME_BYTES, clip.audio.length);
+    if (end > clip.offset) {
+      const frame = clip.audio.subarray(clip.offset, end);
+      sendFrameToTwilio(this.ws, underlay ? mixMuLaw(underlay, frame) : frame, clip.streamSid);
+    } else if (underlay) {
+      sendFrameToTwilio(this.ws, underlay, clip.streamSid);
+    }
+    clip.offset = end;
+
+    this._sendMarks(clip);
+
+    if (clip.offset >= clip.audio.length && !clip.open) this.current = null;
+    return true;
+  }
+
+  _sendMarks(clip) {
+    while (clip.marks.length > 0 && clip.marks[0].offset <= clip.offset) {
+      sendMarkToTwilio(this.ws, clip.marks.shift().name, clip.streamSid);
+    }
+  }
+}
@@ -0,0 +1,40 @@
+// Segment aggregator — joins Deepgram's final transcripts into whole utterances before claim detection.
+// Deepgram finalizes audio in chunks, so one sentence often arrives as several is_final results;
+// detecting on each would cost a call per fragment and miss claims split across them.
+
+// Finals buffered before flushing regardless, so a caller who never pauses is still checked
+const MAX_FRAGMENTS = 6;
+
+// The buffered text ends a sentence (optionally inside a closing quote or bracket)
+const SENTENCE_END = /[.!?]["')\]]?$/;
+
+export class SegmentAggregator {
+  constructor({ onSegment, maxFragments = MAX_FRAGMENTS }) {
+    this.onSegment = onSegment; // (text, fragments) — fragments: how many finals it was built from
+    this.maxFragments = maxFragments;
+    this.fragments = [];
+  }
+
+  // Finalized text not yet handed on
+  get pending() {
+    return this.fragments.join(' ');
+  }
+
+  // A final transcript. speechFinal: Deepgram heard the caller pause after it.
+  // Flushes at a pause or a sentence boundary; otherwise waits for the rest of the sentence.
+  add(text, { speechFinal = false } = {}) {
+    this.fragments.push(text);
+    if (speechFinal || SENTENCE_END.test(text) || this.fragments.length >= this.maxFragments) {
+      this.flush();
+    }
+  }
+
+  // Hand on whatever is buffered (UtteranceEnd, or the call ending)
+  flush() {
+    if (this.fragments.length === 0) return;
+    const text = this.pending;
+    const fragments = this.fragments.length;
+    this.fragments = [];
+    this.onSegment(text, fragments);
+  }
+}
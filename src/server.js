@@ -3,14 +3,24 @@ import 'dotenv/config';
 import express from 'express';
 import { WebSocketServer } from 'ws';
 import http from 'http';
-import crypto from 'crypto';
 
-import { createTwimlRouter, parseTwilioMessage, sendAudioToTwilio } from './twilio.js';
-import { createDeepgramStream } from './deepgram.js';
+import {
+  TwilioClient,
+  allowedDestination,
+  createTwimlRouter,
+  parseDestinations,
+  parseTwilioMessage,
+} from './twilio.js';
 import { ClaimProcessor } from './claims.js';
 import { WhisperTTS } from './tts.js';
-import { convertToTelephonyAudio, attenuateAudio } from './audio.js';
-import { CostTracker } from './costs.js';
+import { CostTracker, anthropicPricing } from './costs.js';
+import { CallHistory, createCallsRouter } from './history.js';
+import { VerdictCache, parseTtlHours } from './cache.js';
+import { CallSession, SessionRegistry } from './session.js';
+import { WhisperPolicy, parseWhisperPolicy } from './policy.js';
+import { KnowledgeBase } from './knowledge.js';
+import { OutboundCalls, UNANSWERED_STATUSES, createOutboundRouter, requireApiToken } from './outbound.js';
+import { CallerRegistry, createCallersRouter } from './callers.js';
 
 const PORT = process.env.PORT || 8080;
 
@@ -24,40 +34,157 @@ const required = [
   'ELEVENLABS_VOICE_ID',
   'MEDIA_SECRET',
 ];
+// Two-party calls: the caller keys in a number, and the server calls it from ours with a stream
+// that joins the caller's session (see the Two-Party Calls docs)
+const callMode = process.env.CALL_MODE === 'bridge' ? 'bridge' : 'direct';
+// Calls the server places itself (bridged calls' other party, POST /calls) come from our number
+if (callMode === 'bridge' || process.env.API_TOKEN) required.push('TWILIO_PHONE_NUMBER');
+// ...and bridged calls may only dial the numbers BRIDGE_DESTINATIONS allows (e.g. "+1415,+44")
+if (callMode === 'bridge') required.push('BRIDGE_DESTINATIONS');
 for (const key of required) {
   if (!process.env[key]) {
     console.error(`Missing required env var: ${key}`);
     process.exit(1);
   }
 }
+const bridgeDestinations = parseDestinations(process.env.BRIDGE_DESTINATIONS);
+if (callMode === 'bridge' && !bridgeDestinations.length) {
+  console.error('BRIDGE_DESTINATIONS has no valid prefixes (expected e.g. "+1415,+44")');
+  process.exit(1);
+}
 
 // Initialize services
 const tracker = new CostTracker();
-const claims = new ClaimProcessor(process.env.ANTHROPIC_API_KEY, tracker);
+const history = new CallHistory();
+const verdictCache = new VerdictCache('data/verdicts.db', {
+  ttlHours: parseTtlHours(process.env.VERDICT_CACHE_TTL_HOURS),
+});
+verdictCache.purgeExpired();
+const whisperPolicy = new WhisperPolicy(parseWhisperPolicy(process.env.WHISPER_POLICY) ?? undefined);
+// Private knowledge base: documents in KNOWLEDGE_DIR are indexed at startup, then
+// re-checked every minute (only files whose mtime changed are re-read)
+let knowledgeBase = null;
+if (process.env.KNOWLEDGE_DIR) {
+  knowledgeBase = new KnowledgeBase();
+  const reindex = () => {
+    try {
+      const result = knowledgeBase.indexDirectory(process.env.KNOWLEDGE_DIR);
+      if (result.indexed || result.removed) {
+        console.log(`[knowledge] ${result.indexed} indexed, ${result.unchanged} unchanged, ${result.removed} removed`);
+      }
+    } catch (err) {
+      console.error('[knowledge] indexing error:', err.message);
+    }
+  };
+  reindex();
+  setInterval(reindex, 60_000).unref();
+}
+const claims = new ClaimProcessor(process.env.ANTHROPIC_API_KEY, tracker, {
+  detectModel: process.env.DETECT_MODEL || undefined,
+  verifyModel: process.env.VERIFY_MODEL || undefined,
+  escalationModel: process.env.ESCALATION_MODEL || null,
+  escalateBelow: parseFloat(process.env.ESCALATE_BELOW_CONFIDENCE) || undefined,
+  knowledgeBase,
+  knowledgeMode: process.env.KNOWLEDGE_MODE || undefined,
+  deadlinesMs: {
+    detect: parseInt(process.env.DETECT_DEADLINE_MS, 10) || undefined,
+    verify: parseInt(process.env.VERIFY_DEADLINE_MS, 10) || undefined,
+    answer: parseInt(process.env.ANSWER_DEADLINE_MS, 10) || undefined,
+  },
+  contextTokens: parseInt(process.env.DETECT_CONTEXT_TOKENS, 10) || undefined,
+});
+for (const model of Object.values(claims.models)) {
+  if (model && !anthropicPricing(model)) console.warn(`[costs] no pricing for model ${model} — costs will be under-reported`);
+}
 const tts = new WhisperTTS(process.env.ELEVENLABS_API_KEY, process.env.ELEVENLABS_VOICE_ID, tracker);
+const sessions = new SessionRegistry();
+// Who may call in, and each registered caller's preferences. Unknown callers get a full session
+// in blocklist mode; in allowlist mode they are rejected or, with UNKNOWN_CALLERS=demo, get a short one.
+const callers = new CallerRegistry('data/callers.db', {
+  mode: process.env.CALLER_MODE || undefined,
+  unknown: process.env.UNKNOWN_CALLERS || undefined,
+});
+const demoLimits = {
+  maxChecks: parseInt(process.env.DEMO_MAX_CHECKS, 10) || 3,
+  maxMs: (parseInt(process.env.DEMO_MAX_SECONDS, 10) || 120) * 1000,
+};
+// TWILIO_API_URL points the REST client somewhere else, e.g. a local fake Twilio API
+const twilioClient = new TwilioClient(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN, {
+  baseUrl: process.env.TWILIO_API_URL || undefined,
+});
 
 // Express app for TwiML webhooks
 const app = express();
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Health check
-app.get('/health', (req, res) => res.json({ status: 'ok' }));
+// Sessions, costs and call history hold callers' numbers and transcripts: they need the
+// API_TOKEN, and are off (404) without one
+const readAuth = process.env.API_TOKEN ? requireApiToken(process.env.API_TOKEN) : (req, res) => res.sendStatus(404);
+if (!process.env.API_TOKEN) console.warn('[server] API_TOKEN not set: /sessions, /costs and call history are off');
+
+// Health check — 'degraded' while the Anthropic circuit is open or on trial
+app.get('/health', (req, res) => res.json({
+  status: claims.breaker.state === 'closed' ? 'ok' : 'degraded',
+  active_calls: sessions.size,
+  anthropic: claims.breaker,
+}));
+
+// Live call sessions
+app.get('/sessions', readAuth, (req, res) => res.json(sessions.list()));
+
+app.get('/sessions/:callId', readAuth, (req, res) => {
+  const session = sessions.get(req.params.callId);
+  if (!session) return res.sendStatus(404);
+  res.json(session);
+});
 
 // Cost tracking endpoint
-app.get('/costs', (req, res) => {
+app.get('/costs', readAuth, (req, res) => {
   const since = req.query.since || null;
   const limit = parseInt(req.query.limit, 10) || 20;
   res.json({
     summary: tracker.summary(since),
     recent: tracker.recent(limit),
+    verdict_cache: verdictCache.stats(),
   });
 });
 
-// TwiML webhook routes
+// One call's Anthropic token usage, including what prompt caching saved
+app.get('/costs/calls/:callId', readAuth, (req, res) => res.json(tracker.tokenUsage(req.params.callId)));
+
 const host = process.env.HOST || `localhost:${PORT}`;
 const wsUrl = `wss://${host}/media?token=${process.env.MEDIA_SECRET}`;
-app.use('/twilio', createTwimlRouter(wsUrl, process.env.TWILIO_AUTH_TOKEN, tracker));
+
+// Calls we place: bridged calls' other party, and POST /calls and GET /calls/:id/status, only
+// with an API_TOKEN to authenticate them
+const outbound = new OutboundCalls(twilioClient, {
+  from: process.env.TWILIO_PHONE_NUMBER,
+  wsUrl,
+  statusUrl: `https://${host}/twilio/status`,
+  history,
+});
+if (process.env.API_TOKEN) app.use('/calls', createOutboundRouter(outbound, process.env.API_TOKEN, { sessions }));
+// Caller registry management, also behind the API token
+if (process.env.API_TOKEN) app.use('/callers', createCallersRouter(callers, process.env.API_TOKEN));
+
+// Call history: transcripts, claims, verdicts and corrections
+app.use('/calls', readAuth, createCallsRouter(history));
+
+// TwiML webhook routes
+app.use('/twilio', createTwimlRouter(wsUrl, process.env.TWILIO_AUTH_TOKEN, tracker, {
+  mode: callMode,
+  destinations: bridgeDestinations,
+  onStatus: ({ callId, status }) => {
+    if (!callId) return;
+    outbound.updateStatus(callId, status);
+    // The other party of a bridged call never answered: the caller is still waiting on the line
+    if (UNANSWERED_STATUSES.has(status)) sessions.get(callId)?.partyUnreachable(status);
+  },
+  screen: (number) => callers.screen(number),
+  rejectMessage: process.env.REJECT_MESSAGE || null,
+  demoGreeting: `This is a demo call. It will end after ${Math.round(demoLimits.maxMs / 1000)} seconds.`,
+}));
 
 // HTTP server
 const server = http.createServer(app);
@@ -65,6 +192,45 @@ const server = http.createServer(app);
 // WebSocket server for Twilio media streams
 const wss = new WebSocketServer({ server, path: '/media' });
 
+// caller: who the call is with, as screened by the caller registry (see CallerRegistry.screen)
+function openSession(ws, callId = undefined, caller = null) {
+  // Each call gets its own session so concurrent calls never share state
+  const session = sessions.add(new CallSession(ws, {
+    callId,
+    profile: caller?.profile ?? null,
+    limits: caller?.access === 'demo' ? demoLimits : null,
+    claims,
+    tts,
+    costTracker: tracker,
+    history,
+    verdictCache,
+    whisperPolicy,
+    deepgramKey: process.env.DEEPGRAM_API_KEY,
+    correctionMaxWaitMs: parseInt(process.env.CORRECTION_MAX_WAIT_MS, 10) || undefined,
+    minCheckability: parseFloat(process.env.MIN_CHECKABILITY) || undefined,
+    speculative: process.env.SPECULATIVE_DETECTION === 'true',
+    checkParty: process.env.BRIDGE_CHECK_PARTY !== 'false',
+    // WAKE_PHRASE=off turns spoken questions off
+    wakePhrase: process.env.WAKE_PHRASE === 'off' ? null : process.env.WAKE_PHRASE || undefined,
+  }));
+  console.log(`[server] new media stream connection (call ${session.callId}, ${sessions.size} active)`);
+  session.start();
+  if (caller?.number) history.updateCallMetadata(session.callId, { from: caller.number, access: caller.access });
+  return session;
+}
+
+// Call the number the caller keyed in; the other party's stream carries the caller's callId
+function dialParty(session, number) {
+  // /twilio/bridge already refused other numbers; checked again as the stream's parameters
+  // are all that reach here
+  if (!allowedDestination(number, bridgeDestinations)) {
+    console.warn(`[server] refused to dial a number outside the allowed destinations (call ${session.callId})`);
+    session.partyUnreachable('failed');
+    return;
+  }
+  outbound.dial(session, number);
+}
+
 wss.on('connection', (ws, req) => {
   const url = new URL(req.url, `http://${req.headers.host}`);
   if (url.searchParams.get('token') !== process.env.MEDIA_SECRET) {
@@ -73,125 +239,86 @@ wss.on('connection', (ws, req) => {
     return;
   }
 
-  console.log('[server] new media stream connection');
-
-  const callId = crypto.randomUUID();
-
-  // Set callId on claims and tts so cost entries are grouped
-  claims._callId = callId;
-  tts._callId = callId;
-
-  let streamSid = null;
-  let deepgram = null;
-
-  // Rolling transcript buffer (~30 seconds of conversation)
-  const transcriptBuffer = [];
-  const MAX_BUFFER_SEGMENTS = 30;
-
-  // Track recent claims to avoid re-checking
-  const recentClaims = new Set();
-  const CLAIM_COOLDOWN_MS = 60_000;
-
-  // Set up Deepgram STT — configured for μ-law 8kHz (Twilio's native format)
-  deepgram = createDeepgramStream(process.env.DEEPGRAM_API_KEY, async (result) => {
-    if (!result.isFinal) return;
-
-    const segment = result.text.trim();
-    if (!segment) return;
-
-    console.log(`[transcript] ${segment}`);
-
-    // Add to rolling buffer
-    transcriptBuffer.push(segment);
-    if (transcriptBuffer.length > MAX_BUFFER_SEGMENTS) {
-      transcriptBuffer.shift();
-    }
-
-    // Stage 1: Claim detection with Haiku (async, non-blocking)
-    processClaim(segment, ws, streamSid);
-  }, tracker, callId);
-
-  async function processClaim(segment, ws, sid) {
-    try {
-      const recentContext = transcriptBuffer.slice(-10).join(' ');
-      const claim = await claims.detectClaim(recentContext, segment);
-
-      if (!claim) return;
-
-      // Skip if we recently checked this claim
-      if (recentClaims.has(claim)) return;
-      recentClaims.add(claim);
-      setTimeout(() => recentClaims.delete(claim), CLAIM_COOLDOWN_MS);
-
-      // Stage 2: Verify with Haiku + Anthropic web search
-      const correction = await claims.verifyClaim(claim);
-
-      if (!correction) return;
-
-      // Stage 3: TTS and send back
-      await whisperCorrection(correction, ws, sid);
-    } catch (err) {
-      console.error('[server] claim processing error:', err.message);
-    }
-  }
-
-  async function whisperCorrection(text, ws, sid) {
-    console.log(`[server] whispering: "${text}"`);
-
-    const result = await tts.synthesize(text);
-    if (!result) return;
-
-    // Convert PCM to μ-law 8kHz for Twilio
-    const mulawAudio = convertToTelephonyAudio(result.pcmBuffer, result.sampleRate);
-
-    // Attenuate for a subtle whisper effect
-    const whisperAudio = attenuateAudio(mulawAudio, 0.5);
-
-    // Send back through the Twilio WebSocket
-    if (ws.readyState === ws.OPEN && sid) {
-      sendAudioToTwilio(ws, whisperAudio, sid);
-      console.log(`[server] sent ${whisperAudio.length} bytes of correction audio`);
-    }
-  }
+  // Which call a stream belongs to is only known from its start message: a bridged call's
+  // other party joins the caller's session rather than starting one of its own
+  let session = null;
+  let speaker;
 
-  // Handle messages from Twilio WebSocket
   ws.on('message', (message) => {
     const parsed = parseTwilioMessage(message.toString());
-
-    switch (parsed.type) {
-      case 'connected':
-        break;
-
-      case 'start':
-        streamSid = parsed.streamSid;
-        break;
-
-      case 'media':
-        if (!streamSid) streamSid = parsed.streamSid;
-        // Twilio streams μ-law 8kHz — send directly to Deepgram (configured for mulaw)
-        deepgram?.send(parsed.audio);
-        break;
-
-      case 'stop':
-        deepgram?.close();
-        break;
+    if (!session) {
+      if (parsed.type !== 'start') return;
+      const { bridge, dial, call, from } = parsed.parameters;
+      if (call) {
+        // A call placed through POST /calls: its session takes the callId its handle was given
+        if (!outbound.get(call) || sessions.get(call)) {
+          console.warn(`[server] rejected stream for unknown outbound call ${call}`);
+          ws.close(1008, 'Unknown call');
+          return;
+        }
+        // The caller's profile is that of the number called, if registered
+        const profile = callers.get(outbound.get(call).to);
+        session = openSession(ws, call, { access: 'full', profile });
+        speaker = session.caller;
+      } else if (bridge) {
+        session = sessions.get(bridge);
+        speaker = session?.attachParty(ws);
+        if (!speaker) {
+          console.warn(`[server] rejected other party's stream: no call ${bridge} waiting for one`);
+          session = null;
+          ws.close(1008, 'Unknown call');
+          return;
+        }
+      } else {
+        // Screened again: the caller may have been blocked since /twilio/inbound let them in
+        const caller = callers.screen(from);
+        if (caller.access === 'rejected') {
+          console.warn('[server] rejected stream for a caller who is not allowed in');
+          ws.close(1008, 'Caller rejected');
+          return;
+        }
+        session = openSession(ws, undefined, caller);
+        speaker = session.caller;
+        // Demo callers aren't bridged: every call out is placed at our expense
+        if (dial && callMode === 'bridge' && caller.access === 'full') dialParty(session, dial);
+      }
     }
+    session.handleMessage(parsed, speaker);
   });
 
   ws.on('close', () => {
-    console.log('[server] media stream closed');
-    deepgram?.close();
+    if (!session) return;
+    console.log(`[server] media stream closed (call ${session.callId})`);
+    session.close();
   });
 
   ws.on('error', (err) => {
-    console.error('[server] ws error:', err.message);
-    deepgram?.close();
+    console.error(`[server] ws error${session ? ` (call ${session.callId})` : ''}:`, err.message);
+    session?.close();
   });
 });
 
+// systemd stops the service with SIGTERM: end every live call's session (so its history is
+// closed out) and its streams, then exit
+function shutdown(signal) {
+  console.log(`[server] ${signal}: closing ${sessions.size} active calls`);
+  sessions.closeAll();
+  for (const ws of wss.clients) ws.close(1001, 'Server shutting down');
+  server.close(() => process.exit(0));
+  // Don't wait on connections that won't close
+  setTimeout(() => process.exit(0), 5000).unref();
+}
+process.once('SIGTERM', () => shutdown('SIGTERM'));
+process.once('SIGINT', () => shutdown('SIGINT'));
+
 server.listen(PORT, () => {
   console.log(`[server] Fact-Whisper running on port ${PORT}`);
-  console.log(`[server] TwiML webhook: POST /twilio/inbound`);
-  console.log(`[server] Cost tracker: GET /costs`);
+  console.log(`[server] TwiML webhook: POST /twilio/inbound (${callMode} mode)`);
+  console.log(`[server] Cost tracker: GET /costs, GET /costs/calls/:callId`);
+  console.log(`[server] Live sessions: GET /sessions`);
+  console.log(`[server] Call history: GET /calls, GET /calls/:id`);
+  if (process.env.API_TOKEN) console.log(`[server] Outbound calls: POST /calls, GET /calls/:id/status`);
+  if (process.env.API_TOKEN) console.log(`[server] Caller registry: GET /callers, GET/PUT/DELETE /callers/:number`);
+  console.log(`[server] Callers: ${callers.mode} mode${callers.mode === 'allowlist' ? `, unknown callers ${callers.unknown === 'demo' ? 'get a demo' : 'rejected'}` : ''}`);
   console.log(`[server] Media WebSocket: ws://localhost:${PORT}/media`);
 });
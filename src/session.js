@@ -0,0 +1,904 @@
+// Per-call session: owns one media stream's transcript, claim cooldowns, STT stream and cost attribution
+import { EventEmitter } from 'events';
+import crypto from 'crypto';
+import { createDeepgramStream } from './deepgram.js';
+import { TelephonyEncoder } from './audio.js';
+import { CorrectionQueue } from './queue.js';
+import { PlaybackTracker } from './playback.js';
+import { AudioScheduler } from './scheduler.js';
+import { WhisperPolicy } from './policy.js';
+import { checkNumericClaim } from './numeric.js';
+import { checkCorrection, checkAnswer } from './guard.js';
+import { Speculator } from './speculation.js';
+import { SegmentAggregator } from './segments.js';
+import { findRetraction, retractionAfter } from './retraction.js';
+import { KEYPAD_COMMANDS, TONES, nextSensitivity, describeSource } from './keypad.js';
+import { DEFAULT_WAKE_PHRASE, findWakeQuestion } from './wake.js';
+
+// Rolling transcript buffer (~30 seconds of conversation)
+const MAX_BUFFER_SEGMENTS = 30;
+const CONTEXT_SEGMENTS = 10;
+
+// How long a checked claim is ignored if repeated within the same call
+const CLAIM_COOLDOWN_MS = 60_000;
+
+// Claims the detector rates below this are too vague to be worth a web search
+const DEFAULT_MIN_CHECKABILITY = 0.5;
+
+// Corrections are played quieter than the call for a subtle whisper effect
+const WHISPER_GAIN = 0.5;
+
+// After the caller says just the wake phrase, their next segment within this long is the question
+const WAKE_WINDOW_MS = 8000;
+
+// Whispered when a question couldn't be answered, so the caller isn't left waiting
+const NO_ANSWER = "Sorry, I couldn't find an answer to that.";
+
+// Read out to a caller whose bridged call the other party didn't answer, before hanging up
+const PARTY_UNREACHABLE = {
+  busy: 'The number you called is busy. Goodbye.',
+  'no-answer': 'There was no answer. Goodbye.',
+};
+const PARTY_FAILED = 'The call could not be connected. Goodbye.';
+
+// How each side of a bridged call is named in the transcript context and in cancel reasons
+const SPEAKER_LABELS = { caller: 'Caller', party: 'Other party' };
+
+// Whether a verdict may be shared through the verdict cache: not a reply that failed to parse,
+// nor one with no confidence at all
+function cacheable(result) {
+  return !result.failed && result.confidence > 0;
+}
+
+export class CallSession extends EventEmitter {
+  constructor(ws, {
+    claims,
+    tts,
+    deepgramKey,
+    costTracker = null,
+    history = null,
+    verdictCache = null,
+    whisperPolicy = new WhisperPolicy(),
+    callId = crypto.randomUUID(),
+    createStream = createDeepgramStream,
+    correctionMaxWaitMs,
+    minCheckability = DEFAULT_MIN_CHECKABILITY,
+    speculative = false,
+    checkParty = true,
+    wakePhrase = DEFAULT_WAKE_PHRASE,
+    profile = null,
+    limits = null,
+  }) {
+    super();
+    this.callId = callId;
+    this.ws = ws;
+    this.claims = claims;
+    this.tts = tts;
+    this.costTracker = costTracker;
+    this.history = history;
+    this.verdictCache = verdictCache;
+    // The caller can change sensitivity from the keypad, which adjusts this call's copy of the policy
+    this.basePolicy = whisperPolicy;
+    this.whisperPolicy = whisperPolicy;
+    this.sensitivity = 'normal';
+    this.muted = false;
+    this.lastCorrection = null; // the last correction (or answer) whispered to the caller, for keypad commands
+    this.deepgramKey = deepgramKey;
+    this.createStream = createStream;
+    this.minCheckability = minCheckability;
+    this.speculative = speculative;
+    // In a bridged call: whether the other party's claims are checked, or only the caller's
+    this.checkParty = checkParty;
+    // The caller asks the checker questions by starting with this (null: no questions)
+    this.wakePhrase = wakePhrase;
+    this.wokeAt = null;
+    // The caller's registry entry (see callers.js): their voice, whisper volume, STT language,
+    // categories of claim not to check, and starting sensitivity
+    this.voiceId = profile?.voice_id ?? null;
+    this.whisperGain = profile?.attenuation ?? WHISPER_GAIN;
+    this.language = profile?.language ?? null;
+    this.ignoredTopics = new Set(profile?.ignored_topics ?? []);
+    if (profile?.sensitivity) this.setSensitivity(profile.sensitivity);
+    // A demo call's limits: { maxChecks, maxMs } — claims checked plus questions answered, and
+    // how long before the call is ended
+    this.limits = limits;
+    this.limitTimer = null;
+
+    this.streamSid = null;
+    this.state = 'connecting'; // connecting → active → closed
+    this.startedAt = new Date().toISOString();
+    this.endedAt = null;
+
+    this.transcriptBuffer = [];
+    this.recentClaims = new Map(); // claim → cooldown timer
+    // Whoever called in, and hears the whispers. In a bridged call (the caller keyed in a number
+    // to dial) the other party joins through attachParty(); the two legs' audio is relayed
+    // through this session.
+    this.caller = this._speaker('caller');
+    this.party = null;
+    this.partyCallSid = null; // the call placed to the other party, until it ends unanswered
+    this.bridged = false;
+    this.stats = { segments: 0, fragments: 0, claims: 0, corrections: 0, retracted: 0, dropped: 0, played: 0, partial: 0, interrupted: 0, cancelled: 0, cache_hits: 0, local_checks: 0, suppressed: 0, rejected: 0, silenced: 0, keypad: 0, questions: 0, answers: 0, ignored: 0, limited: 0 };
+
+    // Synthesized corrections wait here until the caller pauses
+    this.corrections = new CorrectionQueue({
+      maxWaitMs: correctionMaxWaitMs,
+      onDeliver: (item, waitedMs) => this.deliverCorrection(item, waitedMs),
+      onDrop: (item, reason) => this.dropCorrection(item, reason),
+    });
+
+    // Paces outbound audio at real-time rate; tracks how much of each correction was heard
+    this.outbound = new AudioScheduler(ws);
+    this.playback = new PlaybackTracker(ws, {
+      scheduler: this.outbound,
+      onFinish: (item, status, playedMs) => this.finishCorrection(item, status, playedMs),
+    });
+  }
+
+  // One side of the call: its STT stream, the finals not yet coalesced into a segment, its last
+  // segment (a retraction in the next one cancels its claims) and, optionally, speculation on its
+  // interim transcripts. The party's speaker also holds their leg's WebSocket and streamSid, and
+  // the scheduler relaying the caller's audio to it.
+  _speaker(name) {
+    const speaker = { name, ws: null, streamSid: null, outbound: null, deepgram: null, lastSegment: null, speaking: false };
+    // Deepgram finals are buffered here until they make a whole utterance
+    speaker.segments = new SegmentAggregator({ onSegment: (text, fragments) => this.handleSegment(text, fragments, speaker) });
+    // Optional: detect and pre-verify claims from interim transcripts
+    speaker.speculator = this.speculative && this.checksClaims(speaker)
+      ? new Speculator({
+        detect: (text, options) => this.claims.detectClaims(this.recentContext(), text, this.callId, options),
+        verify: (claim, options) => this.verify(claim, null, options),
+        isRecent: (text) => this.recentClaims.has(text),
+        minCheckability: this.minCheckability,
+      })
+      : null;
+    return speaker;
+  }
+
+  checksClaims(speaker) {
+    return speaker.name === 'caller' || this.checkParty;
+  }
+
+  // Open a speaker's STT stream — configured for μ-law 8kHz (Twilio's native format)
+  _listen(speaker) {
+    return this.createStream(
+      this.deepgramKey,
+      (result) => this.handleTranscript(result, speaker),
+      this.costTracker,
+      this.callId,
+      {
+        onSpeechStarted: () => this.speechStarted(speaker),
+        onUtteranceEnd: () => {
+          speaker.segments.flush();
+          this.speechPaused(speaker);
+        },
+      },
+      this.language ? { language: this.language } : {},
+    );
+  }
+
+  start() {
+    if (this.caller.deepgram) return;
+    this.history?.startCall(this.callId);
+    this.caller.deepgram = this._listen(this.caller);
+    if (this.limits?.maxMs) this.limitTimer = setTimeout(() => this.expire(), this.limits.maxMs);
+  }
+
+  // A demo call ran out of time: end it. Closing the stream ends its <Connect>, and the call.
+  expire() {
+    console.log(`[session] ${this.callId} demo time limit reached, ending call`);
+    this.close();
+    this.ws.close();
+  }
+
+  // Whether a demo call has used up its checks (claims checked plus questions answered)
+  limitReached() {
+    const max = this.limits?.maxChecks;
+    return max != null && this.stats.claims + this.stats.questions >= max;
+  }
+
+  // The other party of a bridged call answered and their leg's stream connected. Returns their
+  // speaker, which their leg's messages are dispatched with; null if the call can't take them.
+  attachParty(ws) {
+    if (this.party || this.state === 'closed') return null;
+    this.bridged = true;
+    this.party = this._speaker('party');
+    this.party.ws = ws;
+    this.party.outbound = new AudioScheduler(ws);
+    this.party.deepgram = this._listen(this.party);
+    console.log(`[session] ${this.callId} other party joined`);
+    return this.party;
+  }
+
+  // The call to the other party of a bridged call ended before they joined (status: busy,
+  // no-answer, failed or canceled). Tells the caller, then hangs up on them. Returns false if
+  // the party had joined, or the call is over.
+  partyUnreachable(status) {
+    if (this.party || this.state === 'closed') return false;
+    console.log(`[session] ${this.callId} other party not reached (${status}), ending call`);
+    this.partyCallSid = null;
+    const hangUp = () => {
+      this.close();
+      this.ws.close();
+    };
+    this.acknowledge(PARTY_UNREACHABLE[status] ?? PARTY_FAILED, { onFinish: hangUp })
+      .then((playing) => playing || hangUp(), hangUp);
+    return true;
+  }
+
+  // Dispatch a parsed Twilio media stream message from the caller's leg, or the given speaker's
+  handleMessage(parsed, speaker = this.caller) {
+    if (speaker !== this.caller) {
+      this.handlePartyMessage(parsed, speaker);
+      return;
+    }
+
+    switch (parsed.type) {
+      case 'start':
+        this.streamSid = parsed.streamSid;
+        this.state = 'active';
+        this.history?.setStreamSid(this.callId, this.streamSid);
+        if (parsed.parameters?.dial) this.bridged = true;
+        break;
+
+      case 'media':
+        if (!this.streamSid) this.streamSid = parsed.streamSid;
+        // Twilio streams μ-law 8kHz — send directly to Deepgram (configured for mulaw)
+        this.caller.deepgram?.send(parsed.audio);
+        // The other party hears the caller through us
+        if (this.party?.streamSid) this.party.outbound.relay(parsed.audio, this.party.streamSid);
+        break;
+
+      case 'mark':
+        this.playback.handleMark(parsed.name);
+        break;
+
+      case 'dtmf':
+        this.handleKeypad(parsed.digit);
+        break;
+
+      case 'stop':
+        this.close();
+        break;
+    }
+  }
+
+  // The other party's leg: only the caller hears corrections, so nothing is played to it
+  handlePartyMessage(parsed, speaker) {
+    switch (parsed.type) {
+      case 'start':
+        speaker.streamSid = parsed.streamSid;
+        break;
+
+      case 'media':
+        speaker.deepgram?.send(parsed.audio);
+        // The caller hears the other party through us, with any correction mixed in
+        if (this.streamSid) this.outbound.relay(parsed.audio, this.streamSid);
+        break;
+
+      // Either side hanging up ends the call
+      case 'stop':
+        this.close();
+        break;
+    }
+  }
+
+  // Someone is talking: hold queued corrections until everyone has paused
+  holdCorrections(speaker) {
+    speaker.speaking = true;
+    this.corrections.speechStarted();
+  }
+
+  // speaker paused (speech_final or UtteranceEnd): release queued corrections unless the other side is talking
+  speechPaused(speaker) {
+    speaker.speaking = false;
+    if (!this.caller.speaking && !this.party?.speaking) this.corrections.speechPaused();
+  }
+
+  // speaker started talking: hold queued corrections. Only the caller hears corrections, so only
+  // the caller barges in on one that is playing.
+  speechStarted(speaker = this.caller) {
+    this.holdCorrections(speaker);
+    if (speaker === this.caller && this.playback.active) {
+      console.log(`[session] ${this.callId} caller barged in, clearing correction audio`);
+      this.playback.interrupt(this.streamSid);
+    }
+  }
+
+  handleTranscript(result, speaker = this.caller) {
+    if (this.state === 'closed') return;
+
+    const segment = result.text.trim();
+    if (!segment) return;
+
+    // Any words mean the caller is mid-utterance until Deepgram marks the end of speech.
+    // Only interim words count as barge-in — a late final may predate the correction.
+    // Interim results only cover audio not yet finalized; speculate on the whole utterance so far.
+    if (!result.isFinal) {
+      this.speechStarted(speaker);
+      const { pending } = speaker.segments;
+      // A demo call that has used its checks doesn't verify what it might go on to check either
+      if (!this.limitReached()) speaker.speculator?.interim(pending ? `${pending} ${segment}` : segment);
+      return;
+    }
+
+    console.log(`[transcript] ${this.callId}${this.bridged ? ` (${speaker.name})` : ''} ${segment}`);
+    this.stats.fragments++;
+    this.holdCorrections(speaker);
+    // Segment first, so a retraction withdraws its correction before the pause releases it
+    speaker.segments.add(segment, { speechFinal: result.speechFinal });
+    if (result.speechFinal) this.speechPaused(speaker);
+  }
+
+  // A whole utterance, coalesced from one or more Deepgram finals
+  handleSegment(segment, fragments, speaker = this.caller) {
+    this.stats.segments++;
+
+    // Detection resolves the segment's references against what was said before it;
+    // in a bridged call the context says who said what
+    const context = this.recentContext();
+    this.transcriptBuffer.push(this.bridged ? `${SPEAKER_LABELS[speaker.name]}: ${segment}` : segment);
+    if (this.transcriptBuffer.length > MAX_BUFFER_SEGMENTS) {
+      this.transcriptBuffer.shift();
+    }
+
+    const segmentId = this.history?.addSegment(this.callId, segment, speaker.name) ?? null;
+    const speculated = speaker.speculator?.finalize() ?? null;
+
+    // "...ended in 1946." "No, sorry, 1945." — the speaker took back what they just said
+    const retraction = findRetraction(segment);
+    if (retraction && speaker.lastSegment) this.retract(speaker.lastSegment, retraction);
+    const record = { text: segment, id: segmentId, speaker, context, retraction: null, claims: new Set() };
+    speaker.lastSegment = record;
+    if (this.state === 'closed') return;
+
+    // "Checker, what's the population of Lagos?" is for us, not a claim to check
+    if (speaker === this.caller && this.handleQuestion(record)) {
+      if (speculated) speaker.speculator.reconcile(speculated, [], segment);
+      return;
+    }
+    if (!this.checksClaims(speaker)) return;
+
+    // Stage 1: Claim detection (async, non-blocking)
+    this.processSegment(record, speculated, fragments);
+  }
+
+  // Whether the caller addressed the checker in this segment; if so, their question is answered.
+  // The wake phrase said on its own is acknowledged, and the caller's next segment is the question.
+  handleQuestion(record) {
+    let question = findWakeQuestion(record.text, this.wakePhrase);
+    if (question === null && this.wokeAt !== null && Date.now() - this.wokeAt <= WAKE_WINDOW_MS) question = record.text;
+    this.wokeAt = null;
+    if (question === null) return false;
+
+    if (question && this.limitReached()) {
+      this.stats.limited++;
+      console.log(`[session] ${this.callId} demo limit reached, not answering "${question}"`);
+      this.acknowledge(TONES.unavailable);
+      return true;
+    }
+    if (!question) {
+      this.wokeAt = Date.now();
+      console.log(`[session] ${this.callId} wake phrase, listening for a question`);
+      this.acknowledge(TONES.ok);
+      return true;
+    }
+    this.answerQuestion(question, record);
+    return true;
+  }
+
+  // Answer a question the caller asked the checker and whisper the answer, through the same
+  // queue as corrections so it waits for a pause. Something is always said: the caller is waiting.
+  async answerQuestion(question, record) {
+    this.stats.questions++;
+    const questionId = this.history?.addQuestion(this.callId, record.id, question) ?? null;
+    console.log(`[session] ${this.callId} question: "${question}"`);
+    try {
+      const result = await this.claims.answerQuestion(question, this.callId, { context: record.context || null });
+      if (this.state === 'closed') return;
+      if (result && questionId !== null) this.history.setAnswer(questionId, result.answer, result.sources);
+
+      // Model-written text is checked before anything is spoken into the caller's ear
+      const checked = checkAnswer(result?.answer);
+      if (!checked.ok) {
+        const reason = result ? checked.reason : 'failed';
+        console.warn(`[session] ${this.callId} no answer to "${question}" (${reason})`);
+        if (questionId !== null) this.history.setQuestionStatus(questionId, 'unanswered', reason);
+      }
+
+      const text = checked.ok ? checked.text : NO_ANSWER;
+      const speech = this.speak(text);
+      await speech.ready;
+      if (!speech.bytes || this.state === 'closed') {
+        speech.abort();
+        return;
+      }
+      const answer = { questionId: checked.ok ? questionId : null, result };
+      if (answer.questionId !== null) this.history.setQuestionStatus(answer.questionId, 'queued');
+      this.corrections.enqueue({ text, claimId: null, correctionId: null, speech, entry: null, answer });
+    } catch (err) {
+      console.error(`[session] ${this.callId} question answering error:`, err.message);
+    }
+  }
+
+  recentContext() {
+    return this.transcriptBuffer.slice(-CONTEXT_SEGMENTS).join(' ');
+  }
+
+  async processSegment(record, speculated = null, fragments = 1) {
+    const segment = record.text;
+    try {
+      const detected = await this.claims.detectClaims(record.context, segment, this.callId, { fragments });
+      if (this.state === 'closed') return;
+
+      // Each claim in the segment is verified independently, reusing any verification
+      // already started for it from the interim transcript
+      // The caller's profile can leave whole categories of claim unchecked
+      const wanted = detected.filter((c) => !this.ignoredTopics.has(c.category));
+      this.stats.ignored += detected.length - wanted.length;
+      const checkable = wanted.filter((c) => c.checkability >= this.minCheckability);
+      const confirmed = speculated ? await record.speaker.speculator.reconcile(speculated, checkable, segment) : new Map();
+      await Promise.all(checkable.map((claim) => this.processClaim(claim, record, confirmed.get(claim))));
+    } catch (err) {
+      console.error(`[session] ${this.callId} claim detection error:`, err.message);
+    }
+  }
+
+  // record is the segment the claim was detected in, as tracked by handleSegment
+  async processClaim(claim, record, speculation = null) {
+    // Until its correction has been heard or dropped, a claim can be cancelled by a retraction
+    let entry = null;
+    try {
+      // Skip if we recently checked this claim
+      if (this.recentClaims.has(claim.text)) return;
+      if (this.limitReached()) {
+        this.stats.limited++;
+        return;
+      }
+      this.recentClaims.set(claim.text, setTimeout(() => this.recentClaims.delete(claim.text), CLAIM_COOLDOWN_MS));
+      this.stats.claims++;
+      const claimId = this.history?.addClaim(this.callId, record.id, claim, record.speaker.name) ?? null;
+
+      entry = { claim, claimId, speaker: record.speaker.name, controller: new AbortController(), result: null, early: null, speech: null, correctionId: null, key: null, queued: false, done: false, cancelled: null };
+      record.claims.add(entry);
+      const retraction = record.retraction ?? retractionAfter(claim, record.text);
+      if (retraction) {
+        this.cancelClaim(entry, retraction);
+        return;
+      }
+
+      // Stage 2: Verify (local numeric check, cached verdict, else knowledge base and/or Anthropic web search).
+      // Speech starts as soon as the correction streams in; it's only used if the final verdict agrees.
+      const result = speculation
+        ? await record.speaker.speculator.result(speculation)
+        : await this.verify(claim, (preliminary) => {
+          if (entry.cancelled) return;
+          entry.early?.speech.abort();
+          entry.early = this.speakEarly(preliminary);
+        }, { signal: entry.controller.signal });
+      if (entry.cancelled) return;
+      entry.result = result;
+      // The final transcript confirmed the speculation, so its verdict can be shared with other calls
+      if (speculation && result && result.verifiedBy !== 'cache' && result.verifiedBy !== 'numeric' && cacheable(result)) {
+        this.verdictCache?.set(claim.text, claim.category, result);
+      }
+      const { early } = entry;
+      if (claimId !== null) {
+        this.history.setVerdict(claimId, result?.verdict ?? 'error', result?.verifiedBy ?? null, result?.confidence ?? null);
+        if (result?.sources?.length) this.history.addSources(claimId, result.sources);
+      }
+
+      if (!result || result.verdict === 'correct' || this.state === 'closed') {
+        early?.speech.abort();
+        return;
+      }
+
+      // Per-deployment policy decides which verdicts and confidences are worth interrupting for
+      if (!this.whisperPolicy.shouldWhisper(result)) {
+        early?.speech.abort();
+        this.stats.suppressed++;
+        console.log(`[session] ${this.callId} not whispering ${result.verdict} (${result.confidence}) for "${claim.text}"`);
+        return;
+      }
+
+      // The caller muted whispers from the keypad
+      if (this.muted) {
+        early?.speech.abort();
+        this.stats.silenced++;
+        console.log(`[session] ${this.callId} muted, not whispering ${result.verdict} for "${claim.text}"`);
+        return;
+      }
+
+      // Stage 3: TTS and send back
+      await this.whisperCorrection(result.correction, entry);
+    } catch (err) {
+      console.error(`[session] ${this.callId} claim processing error:`, err.message);
+    } finally {
+      if (entry && !entry.queued) entry.done = true;
+    }
+  }
+
+  // The speaker retracted or fixed what they said in a segment: cancel its claims
+  retract(record, phrase) {
+    record.retraction = phrase;
+    for (const entry of record.claims) this.cancelClaim(entry, phrase);
+  }
+
+  // Stop verifying a claim and withdraw its correction, unless that has already been heard or dropped.
+  // A correction already on the line is left to barge-in, which the retraction itself triggers.
+  cancelClaim(entry, phrase) {
+    if (entry.cancelled || entry.done) return;
+    const reason = `${SPEAKER_LABELS[entry.speaker].toLowerCase()} retracted ("${phrase}")`;
+    entry.cancelled = reason;
+    entry.controller.abort();
+    entry.early?.speech.abort();
+    entry.speech?.abort();
+    this.stats.retracted++;
+    if (entry.claimId !== null) this.history?.cancelClaim(entry.claimId, reason);
+    console.log(`[session] ${this.callId} cancelled "${entry.claim.text}": ${reason}`);
+
+    // Waiting for the caller to pause, or for its turn on the line
+    for (const item of this.corrections.remove((i) => i.entry === entry)) {
+      entry.done = true;
+      this.stats.cancelled++;
+      if (item.correctionId !== null) this.history?.setCorrectionStatus(item.correctionId, 'cancelled', reason);
+    }
+    if (entry.key && this.playback.cancel(entry.key) && entry.correctionId !== null) {
+      this.history?.setCorrectionStatus(entry.correctionId, 'cancelled', reason);
+    }
+  }
+
+  async verify(claim, onCorrection = null, options = {}) {
+    // Arithmetic and unit conversions are settled locally — no round trip, nothing to cache
+    const local = checkNumericClaim(claim.text);
+    if (local) {
+      this.stats.local_checks++;
+      console.log(`[session] ${this.callId} numeric check (${local.verdict}) for "${claim.text}"`);
+      return local;
+    }
+
+    const cached = this.verdictCache?.get(claim.text, claim.category);
+    if (cached) {
+      this.stats.cache_hits++;
+      console.log(`[session] ${this.callId} cached verdict (${cached.verdict}) for "${claim.text}"`);
+      return { ...cached, verifiedBy: 'cache' };
+    }
+
+    const result = await this.claims.verifyClaim(claim.text, this.callId, { context: claim.context ?? null, onCorrection, ...options });
+    if (!result) return null;
+
+    // A speculative verdict is for a claim from an interim transcript, which may never be said;
+    // it's cached once the final transcript confirms it (see processClaim)
+    if (!options.speculative && cacheable(result)) this.verdictCache?.set(claim.text, claim.category, result);
+    return { verifiedBy: 'web', ...result };
+  }
+
+  // Start synthesizing a correction that is still streaming out of verification, if it would
+  // pass policy and the content checks, and the caller hasn't muted whispers. Returns
+  // { text, speech } or null.
+  speakEarly(preliminary) {
+    if (this.state === 'closed' || this.muted || !this.whisperPolicy.shouldWhisper(preliminary)) return null;
+    const checked = checkCorrection(preliminary.correction);
+    if (!checked.ok) return null;
+    return { text: checked.text, speech: this.speak(checked.text) };
+  }
+
+  // Stream TTS for text, encoded for Twilio as it arrives
+  speak(text) {
+    const pcm = this.voiceId ? this.tts.stream(text, this.callId, { voiceId: this.voiceId }) : this.tts.stream(text, this.callId);
+    return new CorrectionAudio(pcm, this.tts.sampleRate, this.callId, this.whisperGain);
+  }
+
+  async whisperCorrection(correction, entry) {
+    const { claimId, early } = entry;
+    // Model-written text is checked before anything is spoken into the caller's ear
+    const checked = checkCorrection(correction);
+    if (!checked.ok) {
+      early?.speech.abort();
+      this.stats.rejected++;
+      console.warn(`[session] ${this.callId} rejected correction (${checked.reason}): "${correction}"`);
+      const correctionId = this.history?.addCorrection(this.callId, claimId, String(correction ?? ''), 'rejected') ?? null;
+      if (correctionId !== null) this.history.setCorrectionStatus(correctionId, 'rejected', checked.reason);
+      return;
+    }
+
+    const { text } = checked;
+    let speech = early?.text === text ? early.speech : null;
+    if (!speech) {
+      early?.speech.abort();
+      console.log(`[session] ${this.callId} synthesizing: "${text}"`);
+      speech = this.speak(text);
+    }
+    entry.speech = speech;
+
+    // Queue once the first audio is in; the rest streams into playback as it arrives
+    await speech.ready;
+    if (!speech.bytes || this.state === 'closed' || entry.cancelled) {
+      speech.abort();
+      return;
+    }
+
+    const correctionId = this.history?.addCorrection(this.callId, claimId, text) ?? null;
+    entry.correctionId = correctionId;
+    entry.queued = true;
+
+    // Hold until the caller pauses so we don't talk over them
+    this.corrections.enqueue({ text, claimId, correctionId, speech, entry });
+  }
+
+  // Play a queued correction, or an answer to the caller's question (answer: { questionId, result })
+  deliverCorrection({ text, correctionId, speech, entry, answer = null }, waitedMs = 0) {
+    const item = { text, correctionId, speech, entry, answer };
+    // Send back through the Twilio WebSocket
+    if (this.ws.readyState !== this.ws.OPEN || !this.streamSid) {
+      this.dropCorrection(item, 'stream unavailable');
+      return;
+    }
+    // Muted while it was being synthesized. Answers were asked for, so they are still said.
+    if (this.muted && !answer) {
+      this.dropCorrection(item, 'muted');
+      return;
+    }
+
+    const audio = speech.take();
+    const key = this.playback.play(this.streamSid, audio, item, { open: !speech.done });
+    if (entry) entry.key = key;
+    if (!speech.done) speech.pipe((chunk) => this.playback.append(key, chunk), () => this.playback.end(key));
+    if (answer) {
+      this.stats.answers++;
+      if (answer.questionId !== null) this.history.setQuestionStatus(answer.questionId, 'sent');
+    } else {
+      this.stats.corrections++;
+      if (correctionId !== null) this.history.setCorrectionStatus(correctionId, 'sent');
+    }
+    // The keypad's repeat and source commands work on answers too
+    this.lastCorrection = { text, correctionId, claim: entry?.claim ?? null, result: entry?.result ?? answer?.result ?? null, flagged: false };
+    console.log(`[session] ${this.callId} whispered "${text}" after waiting ${waitedMs}ms (${audio.length} bytes${speech.done ? '' : ' so far'})`);
+  }
+
+  finishCorrection({ text, correctionId, speech, entry, prompt, onFinish, answer }, status, playedMs) {
+    speech?.abort();
+    // A keypad acknowledgement or a notice, not a correction
+    if (prompt) {
+      onFinish?.();
+      return;
+    }
+    if (answer) {
+      if (answer.questionId !== null) this.history?.setQuestionStatus(answer.questionId, status, null, playedMs);
+      console.log(`[session] ${this.callId} answer ${status} after ${playedMs}ms: "${text}"`);
+      return;
+    }
+    if (entry) entry.done = true;
+    this.stats[status]++;
+    if (correctionId !== null) this.history?.setCorrectionPlayback(correctionId, status, playedMs);
+    console.log(`[session] ${this.callId} correction ${status} after ${playedMs}ms: "${text}"`);
+  }
+
+  dropCorrection({ text, correctionId, speech, entry, answer = null }, reason) {
+    speech?.abort();
+    if (entry) entry.done = true;
+    this.stats.dropped++;
+    if (correctionId !== null) this.history?.setCorrectionStatus(correctionId, 'dropped', reason);
+    if (answer && answer.questionId !== null) this.history?.setQuestionStatus(answer.questionId, 'dropped', reason);
+    console.log(`[session] ${this.callId} dropped correction (${reason}): "${text}"`);
+  }
+
+  // The caller pressed a key (see keypad.js KEYPAD_COMMANDS): run its command, log it and
+  // acknowledge it with a tone or a short phrase
+  handleKeypad(digit) {
+    if (this.state === 'closed' || !digit) return;
+    const command = KEYPAD_COMMANDS[digit] ?? null;
+    const { outcome, ack } = command ? this.keypadCommand(command) : { outcome: 'no command', ack: TONES.unavailable };
+    this.stats.keypad++;
+    this.history?.addKeypadCommand(this.callId, digit, command, outcome);
+    console.log(`[session] ${this.callId} keypad ${digit}${command ? ` (${command})` : ''}: ${outcome}`);
+    this.acknowledge(ack);
+  }
+
+  // Returns { outcome, ack }: what happened, for the log, and the tone (a Buffer) or phrase to play
+  keypadCommand(command) {
+    const last = this.lastCorrection;
+    if (command === 'mute') {
+      this.muted = !this.muted;
+      if (this.muted) {
+        // Nothing more is said until unmuted, including what is queued or playing now
+        this.corrections.clear('muted');
+        this.playback.interrupt(this.streamSid);
+      }
+      return { outcome: this.muted ? 'muted' : 'unmuted', ack: this.muted ? TONES.muted : TONES.unmuted };
+    }
+    if (command === 'sensitivity') {
+      this.setSensitivity(nextSensitivity(this.sensitivity));
+      return { outcome: `sensitivity ${this.sensitivity}`, ack: `Sensitivity ${this.sensitivity}.` };
+    }
+    if (!last) return { outcome: 'no correction yet', ack: TONES.unavailable };
+
+    switch (command) {
+      case 'repeat':
+        return { outcome: `repeated "${last.text}"`, ack: last.text };
+
+      case 'source': {
+        const phrase = describeSource(last.result);
+        return { outcome: phrase, ack: phrase };
+      }
+
+      case 'flag':
+        if (!last.flagged) {
+          last.flagged = true;
+          if (last.correctionId !== null) this.history?.flagCorrection(last.correctionId);
+          // Don't hand the same verdict to the next call that hears the claim
+          if (last.claim) this.verdictCache?.delete(last.claim.text);
+        }
+        return { outcome: `flagged "${last.text}" as wrong`, ack: TONES.ok };
+    }
+    return { outcome: 'unknown command', ack: TONES.unavailable };
+  }
+
+  setSensitivity(level) {
+    this.sensitivity = level;
+    this.whisperPolicy = this.basePolicy.withSensitivity(level);
+  }
+
+  // Play a keypad acknowledgement now, ahead of any queued correction: a tone (μ-law audio) or
+  // a phrase, spoken in the whisper voice. It isn't a correction, so isn't recorded as one.
+  // Resolves true if it is playing; onFinish hears when it has played, or was cut off.
+  async acknowledge(ack, { onFinish = null } = {}) {
+    if (this.state === 'closed' || !this.streamSid) return false;
+    if (Buffer.isBuffer(ack)) {
+      this.playback.play(this.streamSid, ack, { prompt: 'tone', onFinish }, { priority: 1 });
+      return true;
+    }
+
+    const speech = this.speak(ack);
+    await speech.ready;
+    if (!speech.bytes || this.state === 'closed') {
+      speech.abort();
+      return false;
+    }
+    const key = this.playback.play(this.streamSid, speech.take(), { prompt: ack, speech, onFinish }, { priority: 1, open: !speech.done });
+    if (!speech.done) speech.pipe((chunk) => this.playback.append(key, chunk), () => this.playback.end(key));
+    return true;
+  }
+
+  // Idempotent teardown — safe to call from stop, close and error handlers
+  close() {
+    if (this.state === 'closed') return;
+    this.state = 'closed';
+    this.endedAt = new Date().toISOString();
+
+    clearTimeout(this.limitTimer);
+    this.caller.deepgram?.close();
+    this.party?.deepgram?.close();
+    this.corrections.clear('call ended');
+    this.playback.interrupt(this.streamSid);
+    this.outbound.close();
+    this.party?.outbound.close();
+    for (const timer of this.recentClaims.values()) clearTimeout(timer);
+    this.recentClaims.clear();
+    // Keep the last words in the transcript; too late to check them
+    this.caller.segments.flush();
+    this.party?.segments.flush();
+    if (this.speculative) this.history?.updateCallMetadata(this.callId, { speculation: this.speculationStats() });
+    this.history?.endCall(this.callId);
+    // Either side hanging up ends a bridged call: closing a leg's stream ends its <Connect>, and the call
+    if (this.bridged) {
+      this.ws.close();
+      this.party?.ws.close();
+    }
+
+    this.emit('close', this);
+  }
+
+  toJSON() {
+    return {
+      call_id: this.callId,
+      stream_sid: this.streamSid,
+      state: this.state,
+      started_at: this.startedAt,
+      ended_at: this.endedAt,
+      ...this.stats,
+      audio_stalls: this.outbound.stalls,
+      muted: this.muted,
+      sensitivity: this.sensitivity,
+      ...(this.limits && { limits: this.limits }),
+      ...(this.bridged && { party_stream_sid: this.party?.streamSid ?? null, check_party: this.checkParty }),
+      ...(this.speculative && { speculation: this.speculationStats() }),
+    };
+  }
+
+  // Speculation stats, summed over both sides of a bridged call
+  speculationStats() {
+    const totals = {};
+    for (const speaker of [this.caller, this.party]) {
+      for (const [key, value] of Object.entries(speaker?.speculator?.toJSON() ?? {})) totals[key] = (totals[key] ?? 0) + value;
+    }
+    return totals;
+  }
+}
+
+// TTS audio for one correction, encoded to quiet μ-law as it streams in. Audio that arrives
+// before playback starts is buffered; after pipe() it goes straight to playback.
+class CorrectionAudio {
+  constructor(pcmChunks, sampleRate, callId, gain = WHISPER_GAIN) {
+    this.encoder = new TelephonyEncoder(sampleRate, { gain });
+    this.callId = callId;
+    this.buffered = [];
+    this.bytes = 0;
+    this.done = false;
+    this.aborted = false;
+    this.sink = null;
+    // Resolves with the first audio, or when the stream ends without any
+    this.ready = new Promise((resolve) => { this._ready = resolve; });
+    this._pump(pcmChunks);
+  }
+
+  async _pump(pcmChunks) {
+    try {
+      for await (const pcm of pcmChunks) {
+        if (this.aborted) return;
+        this._write(this.encoder.push(pcm));
+      }
+      this._write(this.encoder.end());
+    } catch (err) {
+      console.error(`[session] ${this.callId} TTS error:`, err.message);
+    } finally {
+      this.done = true;
+      this._ready();
+      if (!this.aborted) this.sink?.end();
+    }
+  }
+
+  _write(audio) {
+    if (!audio.length || this.aborted) return;
+    this.bytes += audio.length;
+    if (this.sink) this.sink.write(audio);
+    else this.buffered.push(audio);
+    this._ready();
+  }
+
+  // Everything buffered so far
+  take() {
+    const audio = Buffer.concat(this.buffered);
+    this.buffered = [];
+    return audio;
+  }
+
+  // Send further audio to write(chunk), then call end()
+  pipe(write, end) {
+    this.sink = { write, end };
+  }
+
+  // Stop synthesizing — the correction won't be played, or has been cut off
+  abort() {
+    this.aborted = true;
+  }
+}
+
+// Live sessions, keyed by callId — sessions remove themselves when they close
+export class SessionRegistry {
+  constructor() {
+    this.sessions = new Map();
+  }
+
+  add(session) {
+    this.sessions.set(session.callId, session);
+    session.once('close', () => this.sessions.delete(session.callId));
+    return session;
+  }
+
+  get(callId) {
+    return this.sessions.get(callId) || null;
+  }
+
+  list() {
+    return [...this.sessions.values()];
+  }
+
+  get size() {
+    return this.sessions.size;
+  }
+
+  closeAll() {
+    for (const session of this.list()) session.close();
+  }
+}
@@ -0,0 +1,140 @@
+// Speculative claim detection — detect and start verifying a claim from interim transcripts
+// while the caller is still saying it, then confirm or cancel once the final transcript arrives
+import { normalizeClaim } from './cache.js';
+
+// Leading words two consecutive interim results must agree on before they're worth a detection
+const MIN_STABLE_WORDS = 6;
+
+// Speculative detections per segment — bounds the extra spend on long utterances
+const MAX_DETECTIONS_PER_SEGMENT = 2;
+
+export class Speculator {
+  constructor({ detect, verify, isRecent = () => false, minCheckability = 0 }) {
+    this.detect = detect; // (text, { speculative, onCost }) → claims
+    this.verify = verify; // (claim, { speculative, onCost, signal }) → verification result, null once aborted
+    this.isRecent = isRecent;
+    this.minCheckability = minCheckability;
+
+    this.lastWords = [];
+    this.speculatedWords = 0;
+    this.detections = []; // detections in flight for the segment being spoken
+    this.speculations = []; // { claim, quote, result, controller, state, startedAt, settledAt, confirmedAt, cost }
+    this.stats = { detections: 0, verifications: 0, confirmed: 0, cancelled: 0, saved_ms: 0, extra_cost_usd: 0 };
+  }
+
+  // An interim transcript of the segment being spoken. Words it shares with the previous
+  // interim, bar the last (still being recognised), are stable; detect once enough are.
+  interim(text) {
+    const words = text.trim().split(/\s+/);
+    let stable = 0;
+    while (stable < words.length - 1 && stable < this.lastWords.length && sameWord(words[stable], this.lastWords[stable])) {
+      stable++;
+    }
+    this.lastWords = words;
+
+    if (stable < this.speculatedWords + MIN_STABLE_WORDS) return;
+    if (this.detections.length >= MAX_DETECTIONS_PER_SEGMENT) return;
+    this.speculatedWords = stable;
+    this.detections.push(this._speculate(words.slice(0, stable).join(' '), this.speculations));
+  }
+
+  async _speculate(text, speculations) {
+    this.stats.detections++;
+    const detected = await this.detect(text, { speculative: true, onCost: (usd) => this._addCost(usd) });
+
+    for (const claim of detected) {
+      if (claim.checkability < this.minCheckability || this.isRecent(claim.text)) continue;
+      const quote = quoteOf(claim, text);
+      if (speculations.some((s) => sameClaim(s, claim, quote))) continue;
+
+      // Cancelling the speculation aborts its verification, so a claim that was never said isn't paid for
+      const speculation = { claim, quote, controller: new AbortController(), state: 'pending', startedAt: Date.now(), settledAt: null, confirmedAt: null, cost: 0 };
+      speculation.result = Promise.resolve()
+        .then(() => this.verify(claim, {
+          speculative: true,
+          onCost: (usd) => this._addCost(usd, speculation),
+          signal: speculation.controller.signal,
+        }))
+        .catch((err) => {
+          console.error('[speculation] verification error:', err.message);
+          return null;
+        })
+        .finally(() => { speculation.settledAt = Date.now(); });
+      this.stats.verifications++;
+      speculations.push(speculation);
+      console.log(`[speculation] pre-verifying "${claim.text}" from interim "${text}"`);
+    }
+  }
+
+  // The final transcript of the segment arrived: hand over what was speculated on it and start afresh
+  finalize() {
+    const segment = { detections: this.detections, speculations: this.speculations };
+    this.detections = [];
+    this.speculations = [];
+    this.lastWords = [];
+    this.speculatedWords = 0;
+    return segment;
+  }
+
+  // Pair the final segment's claims with the speculations made on it; the rest are cancelled.
+  // Returns Map claim → speculation.
+  async reconcile(segment, claims, finalText) {
+    await Promise.all(segment.detections);
+
+    const matched = new Map();
+    for (const claim of claims) {
+      const quote = quoteOf(claim, finalText);
+      const speculation = segment.speculations.find((s) => s.state === 'pending' && sameClaim(s, claim, quote));
+      if (!speculation) continue;
+
+      speculation.state = 'confirmed';
+      speculation.confirmedAt = Date.now();
+      // This verification would have been paid for anyway
+      this.stats.extra_cost_usd -= speculation.cost;
+      this.stats.confirmed++;
+      matched.set(claim, speculation);
+    }
+
+    for (const speculation of segment.speculations) {
+      if (speculation.state !== 'pending') continue;
+      speculation.state = 'cancelled';
+      speculation.controller.abort();
+      this.stats.cancelled++;
+      console.log(`[speculation] cancelled "${speculation.claim.text}" — not in the final transcript`);
+    }
+    return matched;
+  }
+
+  // A confirmed speculation's verdict. The time saved is how much sooner it was ready than a
+  // verification started now would be: its head start, or its whole run if already finished.
+  async result(speculation) {
+    const result = await speculation.result;
+    this.stats.saved_ms += Math.min(speculation.settledAt, speculation.confirmedAt) - speculation.startedAt;
+    return result;
+  }
+
+  _addCost(usd, speculation = null) {
+    if (speculation?.state === 'confirmed') return;
+    if (speculation) speculation.cost += usd;
+    this.stats.extra_cost_usd += usd;
+  }
+
+  toJSON() {
+    return { ...this.stats, extra_cost_usd: Math.max(0, this.stats.extra_cost_usd) };
+  }
+}
+
+function sameWord(a, b) {
+  return a.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '') === b.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+// The words of the transcript the claim was detected in
+function quoteOf(claim, text) {
+  return claim.span ? text.slice(claim.span.start, claim.span.end) : null;
+}
+
+// Same claim if the detector phrased it the same way, or found it in the same words
+function sameClaim(speculation, claim, quote) {
+  if (normalizeClaim(speculation.claim.text) === normalizeClaim(claim.text)) return true;
+  return !!(speculation.quote && quote && normalizeClaim(speculation.quote) === normalizeClaim(quote));
+}
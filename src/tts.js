@@ -2,45 +2,58 @@
 import { ElevenLabsClient } from '@elevenlabs/elevenlabs-js';
 import { elevenlabsCost } from './costs.js';
 
+const SAMPLE_RATE = 22050;
+
 export class WhisperTTS {
   constructor(apiKey, voiceId, costTracker = null) {
     this.client = new ElevenLabsClient({ apiKey });
     this.voiceId = voiceId;
     this.costTracker = costTracker;
+    this.sampleRate = SAMPLE_RATE;
   }
 
-  // Generate TTS audio and return as a single PCM buffer
-  // ElevenLabs streaming returns chunks; we concatenate them
-  async synthesize(text) {
-    try {
-      const audioStream = await this.client.textToSpeech.stream(
-        this.voiceId,
-        {
-          text,
-          modelId: 'eleven_turbo_v2_5',
-          outputFormat: 'pcm_22050',
-          voiceSettings: {
-            stability: 0.7,
-            similarityBoost: 0.8,
-            style: 0.0,
-            useSpeakerBoost: false,
-          },
-        }
-      );
+  // Stream TTS audio as 16-bit PCM chunks at this.sampleRate, as ElevenLabs produces them.
+  // Throws on API errors; stopping early (break / return()) closes the ElevenLabs stream.
+  // voiceId overrides the default voice, e.g. with a caller's preferred one.
+  async *stream(text, callId = null, { voiceId = this.voiceId } = {}) {
+    const audioStream = await this.client.textToSpeech.stream(
+      voiceId,
+      {
+        text,
+        modelId: 'eleven_turbo_v2_5',
+        outputFormat: `pcm_${SAMPLE_RATE}`,
+        voiceSettings: {
+          stability: 0.7,
+          similarityBoost: 0.8,
+          style: 0.0,
+          useSpeakerBoost: false,
+        },
+      }
+    );
 
-      const chunks = [];
+    let bytes = 0;
+    try {
       for await (const chunk of audioStream) {
-        chunks.push(Buffer.from(chunk));
+        bytes += chunk.length;
+        yield Buffer.from(chunk);
       }
-
-      const pcmBuffer = Buffer.concat(chunks);
-      console.log(`[tts] synthesized ${text.length} chars → ${pcmBuffer.length} bytes PCM`);
-
+    } finally {
+      // ElevenLabs bills the characters once the request is made, however much was read
+      console.log(`[tts] synthesized ${text.length} chars → ${bytes} bytes PCM`);
       if (this.costTracker) {
-        this.costTracker.log('elevenlabs', 'tts', text.length, 'characters', elevenlabsCost(text.length), this._callId);
+        this.costTracker.log('elevenlabs', 'tts', text.length, 'characters', elevenlabsCost(text.length), callId);
       }
+    }
+  }
 
-      return { pcmBuffer, sampleRate: 22050 };
+  // Generate TTS audio and return as a single PCM buffer
+  async synthesize(text, callId = null) {
+    try {
+      const chunks = [];
+      for await (const chunk of this.stream(text, callId)) {
+        chunks.push(chunk);
+      }
+      return { pcmBuffer: Buffer.concat(chunks), sampleRate: SAMPLE_RATE };
     } catch (err) {
       console.error('[tts] error:', err.message);
       return null;
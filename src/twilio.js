@@ -35,37 +35,158 @@ function validateTwilioSignature(authToken) {
   };
 }
 
-// TwiML response for incoming calls — opens a bidirectional media stream
-export function createTwimlRouter(wsUrl, authToken, costTracker = null) {
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// TwiML that connects the call to a bidirectional media stream. parameters arrive with the
+// stream's start message (parseTwilioMessage returns them as parameters); say is read out first.
+export function streamTwiml(wsUrl, parameters = {}, { say = null } = {}) {
+  const params = Object.entries(parameters)
+    .map(([name, value]) => `\n      <Parameter name="${escapeXml(name)}" value="${escapeXml(value)}" />`)
+    .join('');
+  const stream = params ? `<Stream url="${escapeXml(wsUrl)}">${params}\n    </Stream>` : `<Stream url="${escapeXml(wsUrl)}" />`;
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<Response>${say ? `\n  <Say>${escapeXml(say)}</Say>` : ''}
+  <Connect>
+    ${stream}
+  </Connect>
+</Response>`;
+}
+
+// TwiML for a caller who is turned away: read message out and hang up, or with no message,
+// decline the call without answering it (so it isn't billed)
+export function rejectTwiml(message = null) {
+  const response = message ? `<Say>${escapeXml(message)}</Say>\n  <Hangup />` : '<Reject reason="rejected" />';
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+  ${response}
+</Response>`;
+}
+
+// Digits keyed in for the number to dial, as E.164 — the country code is required
+export function dialNumber(digits) {
+  const number = String(digits ?? '').replace(/[^\d]/g, '');
+  return number.length >= 8 && number.length <= 15 ? `+${number}` : null;
+}
+
+// Parse "+1415,+44" into the number prefixes bridged calls may dial; entries that aren't
+// a + and digits are skipped
+export function parseDestinations(spec) {
+  return String(spec ?? '').split(',').map((p) => p.trim()).filter((p) => /^\+\d{1,15}$/.test(p));
+}
+
+// Whether a bridged call may dial number: it must start with one of prefixes (a country code,
+// an area code or a whole number). With no prefixes nothing may be dialled — an open bridge
+// would let anyone who reaches our number call anywhere at our expense.
+export function allowedDestination(number, prefixes = []) {
+  return !!number && prefixes.some((prefix) => number.startsWith(prefix));
+}
+
+// TwiML response for incoming calls. In 'direct' mode the call is connected to a media stream.
+// In 'bridge' mode the caller keys in who to call; the stream then carries a dial parameter,
+// and the server calls the other party and joins the two (see the Two-Party Calls docs), if it
+// is one of the allowed destinations (see allowedDestination).
+// screen(from), if given, decides whether a caller gets in (see CallerRegistry.screen): rejected
+// callers get rejectTwiml(rejectMessage), demo callers hear demoGreeting first and are never bridged. Streams carry
+// the caller's number as the from parameter.
+export function createTwimlRouter(wsUrl, authToken, costTracker = null, {
+  mode = 'direct',
+  destinations = [],
+  onStatus = null,
+  screen = null,
+  rejectMessage = null,
+  demoGreeting = null,
+} = {}) {
   const router = express.Router();
 
   // All routes require valid Twilio signature
   router.use(validateTwilioSignature(authToken));
 
+  // The caller's access, or null (after responding) if they are turned away
+  const admit = (req, res) => {
+    const caller = screen?.(req.body?.From) ?? { access: 'full' };
+    if (caller.access === 'rejected') {
+      console.log('[twilio] rejected caller');
+      res.type('text/xml').send(rejectTwiml(rejectMessage));
+      return null;
+    }
+    return caller;
+  };
+  const connect = (caller, parameters, from) => streamTwiml(
+    wsUrl,
+    screen && from ? { ...parameters, from } : parameters,
+    { say: caller.access === 'demo' ? demoGreeting : null },
+  );
+
   // Twilio sends a webhook when a call comes in; respond with TwiML
   router.post('/inbound', (req, res) => {
     console.log('[twilio] incoming call');
+    const caller = admit(req, res);
+    if (!caller) return;
 
-    const twiml = `<?xml version="1.0" encoding="UTF-8"?>
+    // Only callers with full access may call out through us; a demo caller talks to the checker
+    if (mode === 'bridge' && caller.access === 'full') {
+      return res.type('text/xml').send(`<?xml version="1.0" encoding="UTF-8"?>
 <Response>
-  <Connect>
-    <Stream url="${wsUrl}" />
-  </Connect>
-</Response>`;
+  <Gather action="bridge" method="POST" finishOnKey="#" timeout="10">
+    <Say>Enter the number to call, including the country code, then press pound.</Say>
+  </Gather>
+  <Say>No number entered. Goodbye.</Say>
+</Response>`);
+    }
+
+    res.type('text/xml').send(connect(caller, {}, req.body?.From));
+  });
+
+  // Bridge mode: the digits keyed in at /inbound
+  router.post('/bridge', (req, res) => {
+    const caller = admit(req, res);
+    if (!caller) return;
+    if (caller.access !== 'full') {
+      console.warn('[twilio] bridge: refused a demo caller');
+      return res.type('text/xml').send(connect(caller, {}, req.body?.From));
+    }
+    const number = dialNumber(req.body?.Digits);
+    if (!number) {
+      console.warn('[twilio] bridge: invalid number entered');
+      return res.type('text/xml').send(`<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+  <Say>That number is not valid.</Say>
+  <Redirect method="POST">inbound</Redirect>
+</Response>`);
+    }
+
+    if (!allowedDestination(number, destinations)) {
+      console.warn('[twilio] bridge: refused a number outside the allowed destinations');
+      return res.type('text/xml').send(`<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+  <Say>That number can't be called from this line.</Say>
+  <Redirect method="POST">inbound</Redirect>
+</Response>`);
+    }
 
-    res.type('text/xml').send(twiml);
+    console.log('[twilio] bridging caller to another party');
+    res.type('text/xml').send(connect(caller, { dial: number }, req.body?.From));
   });
 
-  // Status callback
+  // Status callback. Calls we place (see outbound.js) add our callId to the URL as ?call=,
+  // so their cost and progress are attributed to it; onStatus({ callId, callSid, status }) hears it.
   router.post('/status', (req, res) => {
     console.log('[twilio] status:', req.body?.CallStatus || 'unknown');
+    const callId = req.query.call ?? null;
 
     if (costTracker && req.body?.CallDuration) {
       const seconds = parseInt(req.body.CallDuration, 10);
       if (seconds > 0) {
-        costTracker.log('twilio', 'call', seconds, 'seconds', twilioCost(seconds), req.body.CallSid);
+        costTracker.log('twilio', 'call', seconds, 'seconds', twilioCost(seconds), callId ?? req.body.CallSid);
       }
     }
+    if (req.body?.CallStatus) onStatus?.({ callId, callSid: req.body.CallSid ?? null, status: req.body.CallStatus });
 
     res.sendStatus(200);
   });
@@ -86,7 +207,12 @@ export function parseTwilioMessage(message) {
 
     if (data.event === 'start') {
       console.log('[twilio] stream started:', data.start?.streamSid);
-      return { type: 'start', streamSid: data.start?.streamSid };
+      return {
+        type: 'start',
+        streamSid: data.start?.streamSid,
+        callSid: data.start?.callSid ?? null,
+        parameters: data.start?.customParameters ?? {},
+      };
     }
 
     if (data.event === 'stop') {
@@ -94,6 +220,16 @@ export function parseTwilioMessage(message) {
       return { type: 'stop' };
     }
 
+    if (data.event === 'mark') {
+      // Echoed back once the audio sent before this mark has played (or was cleared)
+      return { type: 'mark', name: data.mark?.name, streamSid: data.streamSid };
+    }
+
+    if (data.event === 'dtmf') {
+      // A key the caller pressed (bidirectional streams only)
+      return { type: 'dtmf', digit: data.dtmf?.digit ?? null, streamSid: data.streamSid };
+    }
+
     if (data.event === 'connected') {
       console.log('[twilio] websocket connected');
       return { type: 'connected' };
@@ -105,23 +241,77 @@ export function parseTwilioMessage(message) {
   }
 }
 
-// Send audio back to Twilio through the WebSocket
-export function sendAudioToTwilio(ws, mulawBuffer, streamSid) {
-  // Twilio expects audio in 160-byte chunks (20ms of 8kHz μ-law)
-  const CHUNK_SIZE = 160;
-
-  for (let offset = 0; offset < mulawBuffer.length; offset += CHUNK_SIZE) {
-    const chunk = mulawBuffer.slice(offset, offset + CHUNK_SIZE);
-    const message = JSON.stringify({
+// Send one chunk of μ-law audio to Twilio
+export function sendFrameToTwilio(ws, chunk, streamSid) {
+  if (ws.readyState === ws.OPEN) {
+    ws.send(JSON.stringify({
       event: 'media',
       streamSid,
       media: {
         payload: chunk.toString('base64'),
       },
-    });
+    }));
+  }
+}
+
+// Send audio back to Twilio through the WebSocket, all at once
+// (live calls go through AudioScheduler in scheduler.js, which paces frames)
+export function sendAudioToTwilio(ws, mulawBuffer, streamSid) {
+  // Twilio expects audio in 160-byte chunks (20ms of 8kHz μ-law)
+  const CHUNK_SIZE = 160;
 
-    if (ws.readyState === ws.OPEN) {
-      ws.send(message);
+  for (let offset = 0; offset < mulawBuffer.length; offset += CHUNK_SIZE) {
+    sendFrameToTwilio(ws, mulawBuffer.slice(offset, offset + CHUNK_SIZE), streamSid);
+  }
+}
+
+// Ask Twilio to echo a named mark once all audio sent before it has played
+export function sendMarkToTwilio(ws, name, streamSid) {
+  if (ws.readyState === ws.OPEN) {
+    ws.send(JSON.stringify({ event: 'mark', streamSid, mark: { name } }));
+  }
+}
+
+// Discard any audio Twilio has buffered but not yet played; pending marks are echoed back
+export function sendClearToTwilio(ws, streamSid) {
+  if (ws.readyState === ws.OPEN) {
+    ws.send(JSON.stringify({ event: 'clear', streamSid }));
+  }
+}
+
+// Minimal Twilio REST client — only what the server needs to place and end calls
+export class TwilioClient {
+  constructor(accountSid, authToken, { baseUrl = 'https://api.twilio.com', fetch = globalThis.fetch } = {}) {
+    this.accountSid = accountSid;
+    this.baseUrl = baseUrl;
+    this.fetch = fetch;
+    this.authorization = `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString('base64')}`;
+  }
+
+  // Place a call that runs twiml once answered; resolves with Twilio's call resource.
+  // With statusCallback, Twilio posts the call's progress there (initiated, ringing, answered, completed).
+  createCall({ to, from, twiml, statusCallback = null }) {
+    const params = new URLSearchParams({ To: to, From: from, Twiml: twiml });
+    if (statusCallback) {
+      params.append('StatusCallback', statusCallback);
+      for (const event of ['initiated', 'ringing', 'answered', 'completed']) params.append('StatusCallbackEvent', event);
     }
+    return this._post(`/2010-04-01/Accounts/${this.accountSid}/Calls.json`, params);
+  }
+
+  // Update a call we placed; status 'completed' hangs it up, or cancels it if it is still ringing
+  updateCall(sid, { status }) {
+    return this._post(`/2010-04-01/Accounts/${this.accountSid}/Calls/${sid}.json`, new URLSearchParams({ Status: status }));
+  }
+
+  async _post(path, params) {
+    const res = await this.fetch(`${this.baseUrl}${path}`, {
+      method: 'POST',
+      headers: { Authorization: this.authorization, 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: params.toString(),
+    });
+    const body = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(`Twilio ${res.status}: ${body.message ?? res.statusText}`);
+    return body;
   }
 }
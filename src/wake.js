@@ -0,0 +1,25 @@
+// Wake phrase — the caller asking the checker something directly
+// ("checker, what's the population of Lagos?") rather than making a claim to be checked
+
+// What the caller says to address the checker; WAKE_PHRASE overrides it
+export const DEFAULT_WAKE_PHRASE = 'checker';
+
+// Greetings and filler before the wake phrase ("hey checker", "OK, checker")
+const LEAD_IN = /^(?:[\s,.;:!?"'()—–-]|\b(?:hey|hi|ok|okay|so|uh|um|er|oh)\b)*/i;
+
+// Punctuation between the wake phrase and the question
+const SEPARATOR = /^[\s,.;:!?—–-]*/;
+
+// The question asked after a wake phrase that text starts with: '' if the caller said only
+// the wake phrase, null if text doesn't start with it. Anywhere else in a sentence it is
+// just a word ("the spell checker caught it").
+export function findWakeQuestion(text, phrase = DEFAULT_WAKE_PHRASE) {
+  if (!phrase) return null;
+  const words = phrase.trim().split(/\s+/).map((w) => w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  const wake = new RegExp(`^${words.join('[\\s,.-]+')}\\b`, 'i');
+
+  const rest = String(text ?? '').replace(LEAD_IN, '');
+  const match = rest.match(wake);
+  if (!match) return null;
+  return rest.slice(match[0].length).replace(SEPARATOR, '').trim();
+}
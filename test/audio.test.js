@@ -5,6 +5,9 @@ import {
   resampleLinear,
   convertToTelephonyAudio,
   attenuateAudio,
+  TelephonyEncoder,
+  mixMuLaw,
+  toneMuLaw,
 } from '../src/audio.js';
 
 describe('μ-law encoding/decoding', () => {
@@ -221,3 +224,73 @@ describe('attenuateAudio', () => {
     }
   });
 });
+
+describe('TelephonyEncoder', () => {
+  function tone(samples) {
+    const pcm = Buffer.alloc(samples * 2);
+    for (let i = 0; i < samples; i++) pcm.writeInt16LE(Math.round(Math.sin(i / 7) * 20000), i * 2);
+    return pcm;
+  }
+
+  it('matches convertToTelephonyAudio however the PCM is chunked, including odd byte splits', () => {
+    const pcm = tone(22050);
+    const expected = convertToTelephonyAudio(pcm, 22050);
+
+    for (const size of [pcm.length, 1000, 333, 2, 1]) {
+      const encoder = new TelephonyEncoder(22050);
+      const parts = [];
+      for (let offset = 0; offset < pcm.length; offset += size) parts.push(encoder.push(pcm.subarray(offset, offset + size)));
+      parts.push(encoder.end());
+      expect(Buffer.concat(parts).equals(expected)).toBe(true);
+    }
+  });
+
+  it('produces audio before the source ends', () => {
+    const encoder = new TelephonyEncoder(22050);
+    expect(encoder.push(tone(2205)).length).toBeGreaterThan(790);
+  });
+
+  it('attenuates with a gain below 1', () => {
+    const encoder = new TelephonyEncoder(8000, { gain: 0.5 });
+    const pcm = Buffer.alloc(4);
+    pcm.writeInt16LE(16000, 0);
+    pcm.writeInt16LE(-16000, 2);
+
+    const decoded = decodeMuLaw(Buffer.concat([encoder.push(pcm), encoder.end()]));
+    expect(Math.abs(decoded.readInt16LE(0) - 8000)).toBeLessThan(300);
+    expect(Math.abs(decoded.readInt16LE(2) + 8000)).toBeLessThan(300);
+  });
+});
+
+describe('mixMuLaw', () => {
+  const tone = (value, length) => encodeMuLaw(new Int16Array(length).fill(value));
+  const samples = (mulaw) => Array.from(new Int16Array(decodeMuLaw(mulaw).buffer));
+
+  it('adds the two signals and clips the sum', () => {
+    const mixed = samples(mixMuLaw(tone(1000, 4), tone(2000, 4)));
+    expect(mixed).toHaveLength(4);
+    for (const s of mixed) expect(s).toBeGreaterThan(2900);
+    for (const s of mixed) expect(s).toBeLessThan(3100);
+
+    for (const s of samples(mixMuLaw(tone(30000, 2), tone(30000, 2)))) expect(s).toBeGreaterThan(30000);
+  });
+
+  it('is as long as the longer buffer', () => {
+    const mixed = samples(mixMuLaw(tone(1000, 2), tone(2000, 4)));
+    expect(mixed).toHaveLength(4);
+    expect(mixed[3]).toBeCloseTo(2000, -2);
+  });
+});
+
+describe('toneMuLaw', () => {
+  it('plays each tone for its duration at 8kHz, with silent gaps', () => {
+    const audio = toneMuLaw([{ hz: 1000, ms: 10 }, { hz: 0, ms: 5 }], { gain: 0.5 });
+    expect(audio).toHaveLength(120);
+
+    const samples = Array.from(new Int16Array(decodeMuLaw(audio).buffer));
+    const peak = Math.max(...samples.slice(0, 80).map(Math.abs));
+    expect(peak).toBeGreaterThan(15000);
+    expect(peak).toBeLessThan(17500);
+    expect(samples.slice(80).every((s) => s === 0)).toBe(true);
+  });
+});
@@ -0,0 +1,101 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { VerdictCache, normalizeClaim, parseTtlHours } from '../src/cache.js';
+
+describe('normalizeClaim', () => {
+  it('ignores case, punctuation, articles and extra whitespace', () => {
+    expect(normalizeClaim('The Eiffel Tower is 330 meters tall.')).toBe('eiffel tower is 330 meters tall');
+    expect(normalizeClaim('  the eiffel tower   is 330 meters tall!! ')).toBe('eiffel tower is 330 meters tall');
+  });
+
+  it('strips accents and thousands separators but keeps decimals and percents', () => {
+    expect(normalizeClaim('Zürich has 1,400,000 people')).toBe('zurich has 1400000 people');
+    expect(normalizeClaim('Inflation was 3.5% in 2023.')).toBe('inflation was 3.5% in 2023');
+  });
+
+  it('keeps claims with different facts apart', () => {
+    expect(normalizeClaim('Canada has 40 million people')).not.toBe(normalizeClaim('Canada has 80 million people'));
+  });
+});
+
+describe('parseTtlHours', () => {
+  it('parses category=hours pairs and skips junk', () => {
+    expect(parseTtlHours('statistic=12, history = 720,bogus,person=abc')).toEqual({ statistic: 12, history: 720 });
+  });
+
+  it('returns an empty object for an unset spec', () => {
+    expect(parseTtlHours(undefined)).toEqual({});
+  });
+});
+
+describe('VerdictCache', () => {
+  let cache;
+
+  afterEach(() => {
+    cache?.close();
+    vi.useRealTimers();
+  });
+
+  it('returns a stored verdict for a normalized match', () => {
+    cache = new VerdictCache(':memory:');
+    cache.set('Sydney is the capital of Australia.', 'geography', {
+      verdict: 'false',
+      confidence: 0.95,
+      correction: 'Actually, it is Canberra.',
+      sources: [{ url: 'https://example.com/canberra', title: 'Canberra', cited: true, snippets: [] }],
+    });
+
+    const hit = cache.get('sydney is THE capital of australia', 'geography');
+    expect(hit).toMatchObject({ verdict: 'false', confidence: 0.95, correction: 'Actually, it is Canberra.' });
+    expect(hit.sources).toEqual([{ url: 'https://example.com/canberra', title: 'Canberra', cited: true, snippets: [] }]);
+    expect(hit.checkedAt).toEqual(expect.any(String));
+    expect(cache.stats()).toEqual({ entries: 1, hits: 1 });
+  });
+
+  it('misses for unknown claims', () => {
+    cache = new VerdictCache(':memory:');
+    expect(cache.get('Nothing stored here', 'other')).toBeNull();
+    expect(cache.get('...', 'other')).toBeNull();
+  });
+
+  it('expires entries using the TTL of the claim category', () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    cache = new VerdictCache(':memory:', { ttlHours: { statistic: 1, history: 48 } });
+    cache.set('Canada has 40 million people', 'statistic', { verdict: 'correct' });
+    cache.set('World War II ended in 1945', 'history', { verdict: 'correct' });
+
+    vi.advanceTimersByTime(2 * 60 * 60 * 1000);
+
+    expect(cache.get('Canada has 40 million people', 'statistic')).toBeNull();
+    expect(cache.get('World War II ended in 1945', 'history')).toMatchObject({ verdict: 'correct' });
+  });
+
+  it('overwrites an entry when a claim is re-verified', () => {
+    cache = new VerdictCache(':memory:');
+    cache.set('Pluto is a planet', 'science', { verdict: 'correct' });
+    cache.set('Pluto is a planet.', 'science', { verdict: 'outdated', confidence: 0.9, correction: 'Actually, it is a dwarf planet.' });
+
+    expect(cache.get('Pluto is a planet', 'science')).toMatchObject({ verdict: 'outdated' });
+    expect(cache.stats().entries).toBe(1);
+  });
+
+  it('forgets a deleted verdict', () => {
+    cache = new VerdictCache(':memory:');
+    cache.set('Pluto is a planet', 'science', { verdict: 'correct' });
+
+    expect(cache.delete('pluto is a planet.')).toBe(true);
+    expect(cache.get('Pluto is a planet', 'science')).toBeNull();
+    expect(cache.delete('Pluto is a planet')).toBe(false);
+  });
+
+  it('purges entries older than the longest TTL', () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    cache = new VerdictCache(':memory:', { ttlHours: { statistic: 1, date: 1, geography: 1, history: 1, science: 1, person: 1, organization: 1, other: 1 } });
+    cache.set('Old claim', 'other', { verdict: 'correct' });
+
+    vi.advanceTimersByTime(2 * 60 * 60 * 1000);
+    cache.set('New claim', 'other', { verdict: 'correct' });
+
+    expect(cache.purgeExpired()).toBe(1);
+    expect(cache.stats().entries).toBe(1);
+  });
+});
@@ -0,0 +1,164 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import express from 'express';
+import http from 'http';
+import { CallerRegistry, checkCallerFields, createCallersRouter } from '../src/callers.js';
+
+const API_TOKEN = 'test-api-token';
+
+describe('CallerRegistry', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new CallerRegistry(':memory:');
+  });
+
+  afterEach(() => registry.close());
+
+  it('stores a caller\'s profile, updating only the fields given', () => {
+    registry.set('+15550001', { name: 'Ada', voice_id: 'voice-2', ignored_topics: ['history'] });
+    const caller = registry.set('+15550001', { language: 'es', attenuation: 0.8 });
+
+    expect(caller).toMatchObject({
+      number: '+15550001',
+      status: 'allowed',
+      name: 'Ada',
+      voice_id: 'voice-2',
+      attenuation: 0.8,
+      sensitivity: null,
+      language: 'es',
+      ignored_topics: ['history'],
+    });
+    expect(registry.set('+15550001', { name: null, ignored_topics: [] })).toMatchObject({ name: null, ignored_topics: [] });
+    expect(registry.list().map((c) => c.number)).toEqual(['+15550001']);
+  });
+
+  it('only registers E.164 numbers', () => {
+    expect(() => registry.set('5550001')).toThrow(/E\.164/);
+    expect(registry.get('5550001')).toBeNull();
+  });
+
+  it('deletes a caller', () => {
+    registry.set('+15550001');
+    expect(registry.delete('+15550001')).toBe(true);
+    expect(registry.delete('+15550001')).toBe(false);
+    expect(registry.get('+15550001')).toBeNull();
+  });
+
+  describe('screening', () => {
+    it('lets everyone but blocked numbers in by default', () => {
+      registry.set('+15550001', { language: 'es' });
+      registry.set('+15550003', { status: 'blocked' });
+
+      expect(registry.screen('+15550001')).toMatchObject({ access: 'full', profile: { language: 'es' } });
+      expect(registry.screen('+15550002')).toEqual({ number: '+15550002', access: 'full', profile: null });
+      expect(registry.screen('+15550003').access).toBe('rejected');
+    });
+
+    it('rejects unknown callers, or gives them a demo, in allowlist mode', () => {
+      const allowlist = new CallerRegistry(':memory:', { mode: 'allowlist' });
+      allowlist.set('+15550001');
+      allowlist.set('+15550003', { status: 'blocked' });
+      expect(allowlist.screen('+15550001').access).toBe('full');
+      expect(allowlist.screen('+15550002').access).toBe('rejected');
+      expect(allowlist.screen('anonymous').access).toBe('rejected');
+      allowlist.close();
+
+      const demo = new CallerRegistry(':memory:', { mode: 'allowlist', unknown: 'demo' });
+      demo.set('+15550003', { status: 'blocked' });
+      expect(demo.screen('+15550002')).toEqual({ number: '+15550002', access: 'demo', profile: null });
+      expect(demo.screen(undefined).access).toBe('demo');
+      expect(demo.screen('+15550003').access).toBe('rejected');
+      demo.close();
+    });
+
+    it('falls back to the defaults for unknown settings', () => {
+      const fallback = new CallerRegistry(':memory:', { mode: 'closed', unknown: 'voicemail' });
+      expect(fallback).toMatchObject({ mode: 'blocklist', unknown: 'reject' });
+      fallback.close();
+    });
+  });
+});
+
+describe('checkCallerFields', () => {
+  it('accepts valid fields, and null to clear one', () => {
+    expect(checkCallerFields({
+      status: 'blocked',
+      name: 'Ada',
+      voice_id: 'EXAVITQu4vr4xnSDxMaL',
+      attenuation: 1,
+      sensitivity: 'low',
+      language: 'pt-BR',
+      ignored_topics: ['history', 'date'],
+    })).toBeNull();
+    expect(checkCallerFields({ language: null })).toBeNull();
+  });
+
+  it('names the first invalid field', () => {
+    expect(checkCallerFields({ colour: 'red' })).toBe('unknown field colour');
+    expect(checkCallerFields({ status: 'maybe' })).toBe('invalid status');
+    expect(checkCallerFields({ attenuation: 0 })).toBe('invalid attenuation');
+    expect(checkCallerFields({ attenuation: '0.5' })).toBe('invalid attenuation');
+    expect(checkCallerFields({ sensitivity: 'toString' })).toBe('invalid sensitivity');
+    expect(checkCallerFields({ language: 'Spanish' })).toBe('invalid language');
+    expect(checkCallerFields({ ignored_topics: ['gossip'] })).toBe('invalid ignored_topics');
+    expect(checkCallerFields({ voice_id: '../voices' })).toBe('invalid voice_id');
+    expect(checkCallerFields([])).toBe('expected a JSON object');
+  });
+});
+
+describe('createCallersRouter', () => {
+  let registry;
+  let server;
+  let base;
+
+  beforeEach(async () => {
+    registry = new CallerRegistry(':memory:');
+    const app = express();
+    app.use(express.json());
+    app.use('/callers', createCallersRouter(registry, API_TOKEN));
+    server = http.createServer(app);
+    await new Promise((resolve) => server.listen(0, resolve));
+    base = `http://localhost:${server.address().port}`;
+  });
+
+  afterEach(() => {
+    server.close();
+    registry.close();
+  });
+
+  const request = (method, path, body, token = API_TOKEN) => fetch(`${base}/callers${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...(token && { Authorization: `Bearer ${token}` }) },
+    body: body && JSON.stringify(body),
+  });
+
+  it('requires the API token', async () => {
+    expect((await request('GET', '/', undefined, null)).status).toBe(401);
+    expect((await request('PUT', '/+15550001', { name: 'Ada' }, 'wrong')).status).toBe(401);
+    expect(registry.list()).toEqual([]);
+  });
+
+  it('registers, reads, lists and deletes callers', async () => {
+    const put = await request('PUT', '/+15550001', { name: 'Ada', sensitivity: 'high' });
+    expect(put.status).toBe(200);
+    expect(await put.json()).toMatchObject({ number: '+15550001', status: 'allowed', name: 'Ada', sensitivity: 'high' });
+
+    expect(await (await request('GET', '/+15550001')).json()).toMatchObject({ name: 'Ada' });
+    expect((await (await request('GET', '/')).json()).map((c) => c.number)).toEqual(['+15550001']);
+
+    expect((await request('DELETE', '/+15550001')).status).toBe(204);
+    expect((await request('DELETE', '/+15550001')).status).toBe(404);
+    expect((await request('GET', '/+15550001')).status).toBe(404);
+  });
+
+  it('rejects invalid numbers and fields', async () => {
+    const number = await request('PUT', '/5550001', { name: 'Ada' });
+    expect(number.status).toBe(400);
+    expect((await number.json()).error).toMatch(/E\.164/);
+
+    const field = await request('PUT', '/+15550001', { attenuation: 2 });
+    expect(field.status).toBe(400);
+    expect(await field.json()).toEqual({ error: 'invalid attenuation' });
+    expect(registry.list()).toEqual([]);
+  });
+});
@@ -0,0 +1,130 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { CostTracker, anthropicCost, anthropicPricing } from '../src/costs.js';
+
+describe('anthropicCost', () => {
+  it('prices every routed model, resolving dated snapshot IDs to their alias', () => {
+    const usage = { input_tokens: 1_000_000, output_tokens: 1_000_000 };
+
+    expect(anthropicCost(usage, 'claude-haiku-4-5-20251001')).toEqual({ input: 1, output: 5, cache_write: 0, cache_read: 0, total: 6, saved: 0 });
+    expect(anthropicCost(usage, 'claude-sonnet-4-5-20250929')).toEqual({ input: 3, output: 15, cache_write: 0, cache_read: 0, total: 18, saved: 0 });
+    expect(anthropicCost(usage, 'claude-opus-4-1')).toEqual({ input: 15, output: 75, cache_write: 0, cache_read: 0, total: 90, saved: 0 });
+  });
+
+  it('prices prompt cache writes and reads and what they saved against plain input', () => {
+    const write = anthropicCost({ input_tokens: 0, output_tokens: 0, cache_creation_input_tokens: 1_000_000 }, 'claude-sonnet-4-5');
+    expect(write.cache_write).toBeCloseTo(3.75);
+    expect(write.total).toBeCloseTo(3.75);
+    expect(write.saved).toBeCloseTo(-0.75);
+
+    const read = anthropicCost({ input_tokens: 1_000_000, output_tokens: 0, cache_read_input_tokens: 1_000_000 }, 'claude-sonnet-4-5');
+    expect(read.cache_read).toBeCloseTo(0.3);
+    expect(read.total).toBeCloseTo(3.3);
+    expect(read.saved).toBeCloseTo(2.7);
+  });
+
+  it('prices Haiku 4.5 at its list prices', () => {
+    expect(anthropicPricing('claude-haiku-4-5-20251001')).toEqual({
+      input_per_mtok: 1,
+      output_per_mtok: 5,
+      cache_write_per_mtok: 1.25,
+      cache_read_per_mtok: 0.1,
+    });
+  });
+
+  it('returns zero for a model without pricing', () => {
+    expect(anthropicPricing('claude-unknown-9')).toBeNull();
+    expect(anthropicCost({ input_tokens: 1000, output_tokens: 1000 }, 'claude-unknown-9').total).toBe(0);
+  });
+});
+
+describe('CostTracker', () => {
+  let tracker;
+
+  afterEach(() => tracker?.close());
+
+  it('breaks Anthropic spend down by model', () => {
+    tracker = new CostTracker(':memory:');
+    tracker.log('anthropic', 'detect_claim', 100, 'input_tokens', 0.1, 'call-a', { model: 'claude-haiku-4-5-20251001' });
+    tracker.log('anthropic', 'verify_claim', 100, 'input_tokens', 0.5, 'call-a', { model: 'claude-sonnet-4-5-20250929' });
+    tracker.log('anthropic', 'verify_claim', 100, 'output_tokens', 0.5, 'call-a', { model: 'claude-sonnet-4-5-20250929' });
+    tracker.log('deepgram', 'stt', 60, 'seconds', 0.01, 'call-a');
+
+    const summary = tracker.summary();
+    expect(summary.by_service.anthropic.calls).toBe(3);
+    expect(summary.by_model).toEqual({
+      'claude-haiku-4-5-20251001': { total_usd: 0.1, calls: 1 },
+      'claude-sonnet-4-5-20250929': { total_usd: 1, calls: 2 },
+    });
+  });
+
+  it('totals speculative spend separately', () => {
+    tracker = new CostTracker(':memory:');
+    tracker.log('anthropic', 'detect_claim', 100, 'input_tokens', 0.2, 'call-a', { model: 'claude-haiku-4-5-20251001', speculative: true });
+    tracker.log('anthropic', 'detect_claim', 100, 'input_tokens', 0.3, 'call-a', { model: 'claude-haiku-4-5-20251001' });
+
+    expect(tracker.summary().speculative).toEqual({ total_usd: 0.2, calls: 1 });
+  });
+
+  it('reports detections saved by coalescing fragmented segments', () => {
+    tracker = new CostTracker(':memory:');
+    const haiku = 'claude-haiku-4-5-20251001';
+    tracker.log('anthropic', 'detect_claim', 100, 'input_tokens', 0.3, 'call-a', { model: haiku, fragments: 3 });
+    tracker.log('anthropic', 'detect_claim', 10, 'output_tokens', 0.1, 'call-a', { model: haiku, fragments: 3 });
+    tracker.log('anthropic', 'detect_claim', 100, 'input_tokens', 0.3, 'call-a', { model: haiku, fragments: 1 });
+    tracker.log('anthropic', 'detect_claim', 10, 'output_tokens', 0.1, 'call-a', { model: haiku, fragments: 1 });
+    tracker.log('anthropic', 'detect_claim', 100, 'input_tokens', 0.3, 'call-a', { model: haiku, speculative: true });
+
+    const { coalescing } = tracker.summary();
+    expect(coalescing).toMatchObject({ detections: 2, fragments: 4, detections_avoided: 2 });
+    expect(coalescing.est_saved_usd).toBeCloseTo(0.8);
+  });
+
+  it('reports prompt cache usage and savings', () => {
+    tracker = new CostTracker(':memory:');
+    const haiku = { model: 'claude-haiku-4-5-20251001' };
+    tracker.log('anthropic', 'detect_claim', 200, 'input_tokens', 0.0002, 'call-a', { ...haiku, cache_saved_usd: 0.0006 });
+    tracker.log('anthropic', 'detect_claim', 20, 'output_tokens', 0.0001, 'call-a', haiku);
+    tracker.log('anthropic', 'detect_claim', 800, 'cache_read_tokens', 0.0001, 'call-a', haiku);
+    tracker.log('anthropic', 'verify_claim', 1000, 'input_tokens', 0.001, 'call-b', haiku);
+
+    expect(tracker.summary().prompt_cache).toEqual({
+      input_tokens: 1200,
+      cache_write_tokens: 0,
+      cache_read_tokens: 800,
+      hit_rate: 0.4,
+      est_saved_usd: 0.0006,
+    });
+  });
+
+  it('reports one call\'s token usage by operation', () => {
+    tracker = new CostTracker(':memory:');
+    const haiku = { model: 'claude-haiku-4-5-20251001' };
+    for (let i = 0; i < 2; i++) {
+      tracker.log('anthropic', 'detect_claim', 200, 'input_tokens', 0.25, 'call-a', { ...haiku, cache_saved_usd: 0.5 });
+      tracker.log('anthropic', 'detect_claim', 20, 'output_tokens', 0.25, 'call-a', haiku);
+      tracker.log('anthropic', 'detect_claim', 800, 'cache_read_tokens', 0.125, 'call-a', haiku);
+    }
+    tracker.log('anthropic', 'verify_claim', 1000, 'cache_write_tokens', 1, 'call-a', haiku);
+    tracker.log('anthropic', 'detect_claim', 200, 'input_tokens', 0.25, 'call-b', haiku);
+    tracker.log('deepgram', 'stt', 60, 'seconds', 0.01, 'call-a');
+
+    const usage = tracker.tokenUsage('call-a');
+    expect(usage).toMatchObject({ call_id: 'call-a', total_usd: 2.25, est_saved_usd: 1 });
+    expect(usage.by_operation.detect_claim).toEqual({
+      requests: 2,
+      input_tokens: 400,
+      output_tokens: 40,
+      cache_write_tokens: 0,
+      cache_read_tokens: 1600,
+      est_saved_usd: 1,
+      total_usd: 1.25,
+    });
+    expect(usage.by_operation.verify_claim).toMatchObject({ cache_write_tokens: 1000, requests: 0 });
+    expect(tracker.tokenUsage('nope')).toEqual({ call_id: 'nope', total_usd: 0, est_saved_usd: 0, by_operation: {} });
+  });
+
+  it('reports no coalescing before any detections', () => {
+    tracker = new CostTracker(':memory:');
+    expect(tracker.summary().coalescing).toEqual({ detections: 0, fragments: 0, detections_avoided: 0, est_saved_usd: 0 });
+  });
+});
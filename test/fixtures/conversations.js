@@ -0,0 +1,67 @@
+// Multi-turn conversations whose last turn only makes a checkable claim once its references
+// are resolved from earlier turns. detected is what the detector should report for the last
+// turn (report_claims tool input); subject is a word the resolved claim must mention.
+export const CONVERSATIONS = [
+  {
+    name: 'a person referred to as "he"',
+    turns: [
+      'Have you read much about Barack Obama?',
+      'Yeah, a bit, mostly his memoir.',
+      'He was born in 1950 in Chicago.',
+    ],
+    detected: {
+      claim: 'Barack Obama was born in 1950 in Chicago',
+      quote: 'He was born in 1950 in Chicago',
+      context: 'The speakers are discussing former US president Barack Obama.',
+      category: 'person',
+      checkability: 0.95,
+    },
+    subject: 'obama',
+  },
+  {
+    name: 'a landmark referred to as "it"',
+    turns: [
+      'We went up the Shard when we were in London.',
+      "It's the tallest building in Europe.",
+    ],
+    detected: {
+      claim: 'The Shard in London is the tallest building in Europe',
+      quote: "It's the tallest building in Europe",
+      context: 'The Shard is a skyscraper in London.',
+      category: 'geography',
+      checkability: 0.9,
+    },
+    subject: 'shard',
+  },
+  {
+    name: 'a company referred to by description',
+    turns: [
+      'My brother just started at Nvidia.',
+      'Oh nice, doing what?',
+      'Chip design. The company was founded in 2005.',
+    ],
+    detected: {
+      claim: 'Nvidia was founded in 2005',
+      quote: 'The company was founded in 2005',
+      context: '',
+      category: 'organization',
+      checkability: 0.95,
+    },
+    subject: 'nvidia',
+  },
+  {
+    name: 'a year referred to as "that same year"',
+    turns: [
+      'The Berlin Wall came down in 1989.',
+      'That same year, the Soviet Union dissolved.',
+    ],
+    detected: {
+      claim: 'The Soviet Union dissolved in 1989',
+      quote: 'the Soviet Union dissolved',
+      context: '"That same year" refers to 1989, when the Berlin Wall fell.',
+      category: 'history',
+      checkability: 0.95,
+    },
+    subject: '1989',
+  },
+];
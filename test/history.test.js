@@ -0,0 +1,201 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import express from 'express';
+import http from 'http';
+import { CallHistory, createCallsRouter } from '../src/history.js';
+
+describe('CallHistory', () => {
+  let history;
+
+  afterEach(() => history?.close());
+
+  it('records a call with segments, claims, verdicts and corrections', () => {
+    history = new CallHistory(':memory:');
+    history.startCall('call-1');
+    history.setStreamSid('call-1', 'MZ1');
+
+    const seg1 = history.addSegment('call-1', 'Hi there.');
+    const seg2 = history.addSegment('call-1', 'Sydney is the capital of Australia.');
+    const claimId = history.addClaim('call-1', seg2, {
+      text: 'Sydney is the capital of Australia',
+      category: 'geography',
+      checkability: 0.95,
+      span: { start: 0, end: 34 },
+    });
+    history.setVerdict(claimId, 'false', 'web', 0.92);
+    history.addSources(claimId, [
+      { type: 'web', url: 'https://example.com/canberra', title: 'Canberra', cited: true, snippets: ['Canberra is the capital.'] },
+      { type: 'kb', url: 'kb:geography.md', title: null, cited: false, snippets: [] },
+    ]);
+    history.addCorrection('call-1', claimId, 'Actually, it is Canberra.');
+    history.endCall('call-1');
+
+    const call = history.getCall('call-1');
+    expect(call.id).toBe('call-1');
+    expect(call.stream_sid).toBe('MZ1');
+    expect(call.ended_at).not.toBeNull();
+    expect(call.segments.map((s) => s.text)).toEqual(['Hi there.', 'Sydney is the capital of Australia.']);
+    expect(call.segments[0].id).toBe(seg1);
+    expect(call.claims).toHaveLength(1);
+    expect(call.claims[0]).toMatchObject({
+      segment_id: seg2,
+      category: 'geography',
+      checkability: 0.95,
+      span_start: 0,
+      span_end: 34,
+      verdict: 'false',
+      confidence: 0.92,
+      verified_by: 'web',
+    });
+    expect(call.claims[0].verified_at).not.toBeNull();
+    expect(call.claims[0].sources).toEqual([
+      { type: 'web', url: 'https://example.com/canberra', title: 'Canberra', cited: true, snippets: ['Canberra is the capital.'] },
+      { type: 'kb', url: 'kb:geography.md', title: null, cited: false, snippets: [] },
+    ]);
+    expect(call.corrections).toEqual([
+      expect.objectContaining({ claim_id: claimId, text: 'Actually, it is Canberra.' }),
+    ]);
+  });
+
+  it('returns null for an unknown call', () => {
+    history = new CallHistory(':memory:');
+    expect(history.getCall('nope')).toBeNull();
+  });
+
+  it('does not overwrite a call that is started twice', () => {
+    history = new CallHistory(':memory:');
+    history.startCall('call-1', { metadata: { from: '+15550001' } });
+    history.startCall('call-1');
+
+    expect(history.getCall('call-1').metadata).toEqual({ from: '+15550001' });
+  });
+
+  it('attributes segments and claims to the speaker who made them', () => {
+    history = new CallHistory(':memory:');
+    history.startCall('call-1');
+    history.addSegment('call-1', 'Hello?');
+    const seg = history.addSegment('call-1', 'The Shard is the tallest building in Europe.', 'party');
+    history.addClaim('call-1', seg, { text: 'The Shard is the tallest building in Europe' }, 'party');
+
+    const call = history.getCall('call-1');
+    expect(call.segments.map((s) => s.speaker)).toEqual(['caller', 'party']);
+    expect(call.claims[0].speaker).toBe('party');
+  });
+
+  it('records why a claim was cancelled', () => {
+    history = new CallHistory(':memory:');
+    history.startCall('call-1');
+    const claimId = history.addClaim('call-1', null, { text: 'The war ended in 1946', category: 'history', checkability: 0.9 });
+    history.cancelClaim(claimId, 'caller retracted ("no, sorry")');
+
+    expect(history.getCall('call-1').claims[0]).toMatchObject({
+      cancel_reason: 'caller retracted ("no, sorry")',
+      cancelled_at: expect.any(String),
+      verdict: null,
+    });
+  });
+
+  it('records keypad commands and corrections the caller flagged as wrong', () => {
+    history = new CallHistory(':memory:');
+    history.startCall('call-1');
+    const correctionId = history.addCorrection('call-1', null, 'Actually, it is Canberra.');
+    history.flagCorrection(correctionId);
+    history.addKeypadCommand('call-1', '3', 'flag', 'flagged "Actually, it is Canberra." as wrong');
+    history.addKeypadCommand('call-1', '9', null, 'no command');
+
+    const call = history.getCall('call-1');
+    expect(call.corrections[0].flagged_at).toEqual(expect.any(String));
+    expect(call.keypad).toEqual([
+      { timestamp: expect.any(String), digit: '3', command: 'flag', outcome: 'flagged "Actually, it is Canberra." as wrong' },
+      { timestamp: expect.any(String), digit: '9', command: null, outcome: 'no command' },
+    ]);
+  });
+
+  it('records questions the caller asked, their answers and how much was heard', () => {
+    history = new CallHistory(':memory:');
+    history.startCall('call-1');
+    const seg = history.addSegment('call-1', "Checker, what's the population of Lagos?");
+    const questionId = history.addQuestion('call-1', seg, "what's the population of Lagos?");
+    history.setAnswer(questionId, 'About 16 million.', [{ type: 'web', url: 'https://example.com/lagos', title: 'Lagos', cited: true, snippets: [] }]);
+    history.setQuestionStatus(questionId, 'sent');
+    history.setQuestionStatus(questionId, 'played', null, 1500);
+    const unanswered = history.addQuestion('call-1', null, 'how tall is it?');
+    history.setQuestionStatus(unanswered, 'unanswered', 'failed');
+
+    expect(history.getCall('call-1').questions).toEqual([
+      expect.objectContaining({
+        segment_id: seg,
+        question: "what's the population of Lagos?",
+        answer: 'About 16 million.',
+        sources: [{ type: 'web', url: 'https://example.com/lagos', title: 'Lagos', cited: true, snippets: [] }],
+        status: 'played',
+        played_ms: 1500,
+      }),
+      expect.objectContaining({ question: 'how tall is it?', answer: null, sources: [], status: 'unanswered', status_reason: 'failed' }),
+    ]);
+  });
+
+  it('merges fields into a call\'s metadata', () => {
+    history = new CallHistory(':memory:');
+    history.startCall('call-1', { metadata: { from: '+15550001' } });
+    history.updateCallMetadata('call-1', { speculation: { confirmed: 2 } });
+    history.updateCallMetadata('nope', { speculation: { confirmed: 1 } });
+
+    expect(history.getCall('call-1').metadata).toEqual({ from: '+15550001', speculation: { confirmed: 2 } });
+    expect(history.getCall('nope')).toBeNull();
+  });
+
+  it('lists calls newest first with counts', async () => {
+    history = new CallHistory(':memory:');
+    history.startCall('older');
+    await new Promise((r) => setTimeout(r, 5));
+    history.startCall('newer');
+    const seg = history.addSegment('newer', 'The sun is a planet.');
+    history.addClaim('newer', seg, { text: 'The sun is a planet' });
+
+    const calls = history.listCalls();
+    expect(calls.map((c) => c.id)).toEqual(['newer', 'older']);
+    expect(calls[0]).toMatchObject({ segment_count: 1, claim_count: 1, correction_count: 0 });
+    expect(history.listCalls(1, 1).map((c) => c.id)).toEqual(['older']);
+  });
+});
+
+describe('createCallsRouter', () => {
+  let history;
+  let server;
+
+  async function startServer() {
+    const app = express();
+    app.use('/calls', createCallsRouter(history));
+    server = http.createServer(app);
+    await new Promise((resolve) => server.listen(0, resolve));
+    return `http://localhost:${server.address().port}`;
+  }
+
+  afterEach(() => {
+    server?.close();
+    history?.close();
+  });
+
+  it('serves GET /calls and GET /calls/:id', async () => {
+    history = new CallHistory(':memory:');
+    history.startCall('call-1');
+    history.addSegment('call-1', 'Hello.');
+    const base = await startServer();
+
+    const list = await (await fetch(`${base}/calls`)).json();
+    expect(list.map((c) => c.id)).toEqual(['call-1']);
+
+    const res = await fetch(`${base}/calls/call-1`);
+    expect(res.status).toBe(200);
+    const call = await res.json();
+    expect(call.segments[0].text).toBe('Hello.');
+  });
+
+  it('returns 404 for an unknown call', async () => {
+    history = new CallHistory(':memory:');
+    const base = await startServer();
+
+    const res = await fetch(`${base}/calls/missing`);
+    expect(res.status).toBe(404);
+  });
+});
@@ -0,0 +1,46 @@
+import { describe, it, expect } from 'vitest';
+import { KEYPAD_COMMANDS, TONES, nextSensitivity, describeSource } from '../src/keypad.js';
+import { SENSITIVITY_LEVELS } from '../src/policy.js';
+
+describe('keypad commands', () => {
+  it('maps keys to commands', () => {
+    expect(KEYPAD_COMMANDS[1]).toBe('repeat');
+    expect(KEYPAD_COMMANDS['0']).toBe('mute');
+    expect(KEYPAD_COMMANDS['*']).toBe('sensitivity');
+    expect(KEYPAD_COMMANDS['#']).toBeUndefined();
+  });
+
+  it('has an acknowledgement tone for each outcome', () => {
+    for (const tone of Object.values(TONES)) expect(tone.length).toBeGreaterThan(0);
+    expect(TONES.muted.equals(TONES.unmuted)).toBe(false);
+  });
+
+  it('cycles through every sensitivity level back to normal', () => {
+    const seen = [nextSensitivity('normal')];
+    while (seen.at(-1) !== 'normal') seen.push(nextSensitivity(seen.at(-1)));
+    expect(seen).toEqual(['high', 'low', 'normal']);
+    expect(seen.every((level) => level in SENSITIVITY_LEVELS)).toBe(true);
+  });
+});
+
+describe('describeSource', () => {
+  it('names the cited web source by its site', () => {
+    const result = {
+      sources: [
+        { type: 'web', url: 'https://example.org/a', cited: false },
+        { type: 'web', url: 'https://www.nasa.gov/moon', title: 'The Moon', cited: true },
+      ],
+    };
+    expect(describeSource(result)).toBe('From nasa.gov.');
+  });
+
+  it('names a knowledge-base source by its title', () => {
+    expect(describeSource({ sources: [{ type: 'kb', url: 'kb:pricing.md', title: 'Pricing — Plans' }] })).toBe('From Pricing — Plans.');
+  });
+
+  it('explains verdicts with no source', () => {
+    expect(describeSource({ verifiedBy: 'numeric', sources: [] })).toMatch(/calculation/);
+    expect(describeSource({ sources: [] })).toMatch(/No source/);
+    expect(describeSource(null)).toMatch(/No source/);
+  });
+});
@@ -0,0 +1,77 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, writeFileSync, rmSync, utimesSync, mkdirSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { KnowledgeBase } from '../src/knowledge.js';
+
+describe('KnowledgeBase', () => {
+  let dir;
+  let kb;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'kb-'));
+    kb = new KnowledgeBase(':memory:');
+  });
+
+  afterEach(() => {
+    kb.close();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('indexes markdown sections and ranks the best passage first', () => {
+    writeFileSync(join(dir, 'pricing.md'), [
+      '# Pricing',
+      '',
+      '## Pro plan',
+      '',
+      'The Pro plan costs $49 per month and includes 10 seats.',
+      '',
+      '## Refunds',
+      '',
+      'Refunds are available within 30 days of purchase.',
+    ].join('\n'));
+    mkdirSync(join(dir, 'policies'));
+    writeFileSync(join(dir, 'policies', 'support.txt'), 'Support is available on weekdays from 9am to 5pm.');
+    writeFileSync(join(dir, 'logo.png'), 'not a document');
+
+    expect(kb.indexDirectory(dir)).toEqual({ indexed: 2, unchanged: 0, removed: 0 });
+    expect(kb.stats()).toEqual({ documents: 2, passages: 3 });
+
+    const [best] = kb.search('The Pro plan costs $29 per month');
+    expect(best).toMatchObject({ path: 'pricing.md', title: 'Pricing', heading: 'Pro plan' });
+    expect(best.text).toContain('$49 per month');
+    expect(best.score).toBeGreaterThan(0);
+
+    expect(kb.search('support on weekends')[0]).toMatchObject({ path: join('policies', 'support.txt'), title: 'support' });
+  });
+
+  it('re-indexes modified files and drops deleted ones', () => {
+    writeFileSync(join(dir, 'a.md'), 'Shipping takes five days.');
+    writeFileSync(join(dir, 'b.md'), 'Warranty lasts two years.');
+    kb.indexDirectory(dir);
+
+    writeFileSync(join(dir, 'a.md'), 'Shipping takes three days.');
+    utimesSync(join(dir, 'a.md'), new Date(), new Date(Date.now() + 10_000));
+    rmSync(join(dir, 'b.md'));
+
+    expect(kb.indexDirectory(dir)).toEqual({ indexed: 1, unchanged: 0, removed: 1 });
+    expect(kb.search('shipping days')[0].text).toBe('Shipping takes three days.');
+    expect(kb.search('warranty')).toEqual([]);
+  });
+
+  it('finds nothing for a claim no document is about, even when a few words match', () => {
+    kb.indexDocument('pricing.md', '# Pricing\n\nThe Pro plan costs $49 per month and includes 10 seats.');
+    kb.indexDocument('office.md', '# Office\n\nOur office tower is 12 floors tall.');
+
+    expect(kb.search('The Eiffel Tower is 330 meters tall')).toEqual([]);
+    expect(kb.search('Canada has 10 provinces and costs nothing to visit')).toEqual([]);
+    expect(kb.search('The office tower has 12 floors')[0].path).toBe('office.md');
+  });
+
+  it('treats FTS syntax in a claim as plain words', () => {
+    kb.indexDocument('faq.md', 'The API rate limit is 100 requests per minute.');
+
+    expect(kb.search('rate-limit: "100" OR NOT (requests*)')[0].path).toBe('faq.md');
+    expect(kb.search('...')).toEqual([]);
+  });
+});
@@ -0,0 +1,79 @@
+import { describe, it, expect } from 'vitest';
+import { checkNumericClaim } from '../src/numeric.js';
+
+describe('checkNumericClaim', () => {
+  it('corrects a wrong unit conversion', () => {
+    expect(checkNumericClaim('A mile is two kilometres.')).toEqual({
+      verdict: 'false',
+      confidence: 1,
+      correction: 'Actually, a mile is about 1.61 kilometers.',
+      sources: [{ type: 'numeric', url: 'numeric:conversion', title: '1 mile = 1.61 kilometers', cited: true, snippets: [] }],
+      verifiedBy: 'numeric',
+    });
+  });
+
+  it('accepts conversions rounded the way people say them', () => {
+    expect(checkNumericClaim('A kilogram is 2.2 pounds').verdict).toBe('correct');
+    expect(checkNumericClaim('a mile is about 1.6 km').verdict).toBe('correct');
+    expect(checkNumericClaim('1,000 meters is a kilometer').verdict).toBe('correct');
+    expect(checkNumericClaim('half a mile is 800 meters').verdict).toBe('correct');
+  });
+
+  it('converts temperatures', () => {
+    expect(checkNumericClaim('100 degrees Fahrenheit is 37 degrees Celsius').verdict).toBe('correct');
+    expect(checkNumericClaim('0°C is 0°F')).toMatchObject({
+      verdict: 'false',
+      correction: 'Actually, 0 degrees Celsius is 32 degrees Fahrenheit.',
+    });
+  });
+
+  it('handles "there are N units in a unit"', () => {
+    expect(checkNumericClaim('There are 24 hours in a day').verdict).toBe('correct');
+    expect(checkNumericClaim('There are 5000 feet in a mile')).toMatchObject({
+      verdict: 'false',
+      correction: 'Actually, a mile is 5,280 feet.',
+    });
+  });
+
+  it('checks percentages', () => {
+    expect(checkNumericClaim('20 percent of 300 is 80')).toMatchObject({
+      verdict: 'false',
+      correction: 'Actually, 20 percent of 300 is 60.',
+    });
+    expect(checkNumericClaim('15% of 200 is 30').verdict).toBe('correct');
+    expect(checkNumericClaim('10 percent of 50 kilograms is 5 kilograms').verdict).toBe('correct');
+  });
+
+  it('checks simple arithmetic with digits or number words', () => {
+    expect(checkNumericClaim('7 times 8 is 56').verdict).toBe('correct');
+    expect(checkNumericClaim('2+2=5')).toMatchObject({ verdict: 'false', correction: 'Actually, 2 plus 2 is 4.' });
+    expect(checkNumericClaim('one hundred and five minus five is one hundred').verdict).toBe('correct');
+    expect(checkNumericClaim('twelve squared is 144').verdict).toBe('correct');
+    expect(checkNumericClaim('ten divided by three is 3.33').verdict).toBe('correct');
+    expect(checkNumericClaim('ten divided by three is 3').verdict).toBe('false');
+    expect(checkNumericClaim('twenty times three is 58').verdict).toBe('false');
+    expect(checkNumericClaim('twenty times three is roughly 58').verdict).toBe('correct');
+  });
+
+  it('returns null for anything it cannot settle', () => {
+    expect(checkNumericClaim('The Eiffel Tower is 330 meters tall')).toBeNull();
+    expect(checkNumericClaim('The Earth has 3 moons')).toBeNull();
+    expect(checkNumericClaim('A marathon is 26.2 miles')).toBeNull();
+    expect(checkNumericClaim('A mile is 3 kilograms')).toBeNull();
+    expect(checkNumericClaim('5 divided by 0 is 1')).toBeNull();
+  });
+
+  it('leaves metric conversions of volumes whose US and imperial sizes differ to verification', () => {
+    expect(checkNumericClaim('A pint is 568 millilitres')).toBeNull();
+    expect(checkNumericClaim('A pint is 473 milliliters')).toBeNull();
+    expect(checkNumericClaim('A gallon is 4.5 litres')).toBeNull();
+    expect(checkNumericClaim('A gallon is 2 liters')).toBeNull();
+    expect(checkNumericClaim('A cup is 250 ml')).toBeNull();
+  });
+
+  it('checks customary volumes against each other, as both systems share the ratios', () => {
+    expect(checkNumericClaim('There are 8 pints in a gallon').verdict).toBe('correct');
+    expect(checkNumericClaim('A quart is 2 pints').verdict).toBe('correct');
+    expect(checkNumericClaim('A gallon is 6 quarts')).toMatchObject({ verdict: 'false', correction: 'Actually, a gallon is 4 quarts.' });
+  });
+});
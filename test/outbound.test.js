@@ -0,0 +1,219 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import express from 'express';
+import http from 'http';
+import { EventEmitter } from 'events';
+import { OutboundCalls, createOutboundRouter } from '../src/outbound.js';
+import { TwilioClient } from '../src/twilio.js';
+import { CallHistory } from '../src/history.js';
+
+const API_TOKEN = 'test-api-token';
+
+async function listen(app) {
+  const server = http.createServer(app);
+  await new Promise((resolve) => server.listen(0, resolve));
+  return { server, base: `http://localhost:${server.address().port}` };
+}
+
+// A local stand-in for the Twilio REST API's Calls resource
+async function fakeTwilio() {
+  const requests = [];
+  const app = express();
+  app.use(express.urlencoded({ extended: true }));
+  app.post('/2010-04-01/Accounts/:sid/Calls.json', (req, res) => {
+    requests.push({ accountSid: req.params.sid, authorization: req.headers.authorization, body: req.body });
+    if (req.body.To === '+15550000000') return res.status(400).json({ code: 21211, message: 'Invalid To number' });
+    res.status(201).json({ sid: `CA${requests.length}`, status: 'queued', to: req.body.To });
+  });
+  app.post('/2010-04-01/Accounts/:sid/Calls/:callSid.json', (req, res) => {
+    requests.push({ accountSid: req.params.sid, callSid: req.params.callSid, body: req.body });
+    res.json({ sid: req.params.callSid, status: req.body.Status });
+  });
+  return { ...(await listen(app)), requests };
+}
+
+// A bridged call's session, as far as dialling its other party goes
+function bridgedSession(callId) {
+  const session = new EventEmitter();
+  return Object.assign(session, {
+    callId,
+    state: 'active',
+    party: null,
+    partyCallSid: null,
+    partyUnreachable: vi.fn(),
+    close() {
+      session.state = 'closed';
+      session.emit('close', session);
+    },
+  });
+}
+
+describe('outbound calls', () => {
+  let twilio;
+  let api;
+  let history;
+  let outbound;
+  let sessions;
+
+  beforeEach(async () => {
+    twilio = await fakeTwilio();
+    history = new CallHistory(':memory:');
+    sessions = new Map();
+    outbound = new OutboundCalls(new TwilioClient('AC1', 'secret', { baseUrl: twilio.base }), {
+      from: '+15550001',
+      wsUrl: 'wss://example.com/media?token=t',
+      statusUrl: 'https://example.com/twilio/status',
+      history,
+    });
+    const app = express();
+    app.use(express.json());
+    app.use('/calls', createOutboundRouter(outbound, API_TOKEN, { sessions }));
+    api = await listen(app);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    api.server.close();
+    twilio.server.close();
+    history.close();
+  });
+
+  function post(body, token = API_TOKEN) {
+    return fetch(`${api.base}/calls`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...(token && { Authorization: `Bearer ${token}` }) },
+      body: JSON.stringify(body),
+    });
+  }
+
+  const poll = (id, token = API_TOKEN) => fetch(`${api.base}/calls/${id}/status`, { headers: { Authorization: `Bearer ${token}` } });
+
+  it('places a call with the fact-checking stream attached and returns its handle', async () => {
+    const res = await post({ to: '+15550002' });
+    expect(res.status).toBe(201);
+    const handle = await res.json();
+
+    expect(handle).toMatchObject({ sid: 'CA1', to: '+15550002', status: 'queued', session: null, status_url: `/calls/${handle.id}/status` });
+    expect(res.headers.get('location')).toBe(handle.status_url);
+
+    const [request] = twilio.requests;
+    expect(request.accountSid).toBe('AC1');
+    expect(request.authorization).toBe(`Basic ${Buffer.from('AC1:secret').toString('base64')}`);
+    expect(request.body).toMatchObject({
+      To: '+15550002',
+      From: '+15550001',
+      StatusCallback: `https://example.com/twilio/status?call=${handle.id}`,
+      StatusCallbackEvent: ['initiated', 'ringing', 'answered', 'completed'],
+    });
+    expect(request.body.Twiml).toContain('<Stream url="wss://example.com/media?token=t">');
+    expect(request.body.Twiml).toContain(`<Parameter name="call" value="${handle.id}" />`);
+
+    expect(history.getCall(handle.id).metadata).toEqual({ direction: 'outbound', to: '+15550002', call_sid: 'CA1', call_status: 'queued' });
+  });
+
+  it('reports the call\'s progress and live session when polled', async () => {
+    const { id } = await (await post({ to: '+15550002' })).json();
+
+    outbound.updateStatus(id, 'ringing');
+    expect(await (await poll(id)).json()).toMatchObject({ id, status: 'ringing', session: null });
+
+    outbound.updateStatus(id, 'in-progress');
+    sessions.set(id, { state: 'active' });
+    expect(await (await poll(id)).json()).toMatchObject({ status: 'in-progress', session: 'active' });
+
+    outbound.updateStatus(id, 'completed');
+    outbound.updateStatus(id, 'ringing');
+    expect(await (await poll(id)).json()).toMatchObject({ status: 'completed' });
+    expect(history.getCall(id)).toMatchObject({ ended_at: expect.any(String), metadata: expect.objectContaining({ call_status: 'completed' }) });
+  });
+
+  it('forgets a handle some time after the call ends', async () => {
+    vi.useFakeTimers({ toFake: ['setTimeout'] });
+    const { id } = await (await post({ to: '+15550002' })).json();
+    outbound.updateStatus(id, 'in-progress');
+    vi.advanceTimersByTime(60 * 60_000);
+    expect(outbound.get(id)).not.toBeNull();
+
+    outbound.updateStatus(id, 'no-answer');
+    vi.advanceTimersByTime(10 * 60_000 - 1);
+    expect((await poll(id)).status).toBe(200);
+    vi.advanceTimersByTime(1);
+    expect((await poll(id)).status).toBe(404);
+    expect(history.getCall(id).metadata.call_status).toBe('no-answer');
+  });
+
+  it('requires the API token', async () => {
+    expect((await post({ to: '+15550002' }, null)).status).toBe(401);
+    expect((await post({ to: '+15550002' }, 'wrong')).status).toBe(401);
+    const { id } = await (await post({ to: '+15550002' })).json();
+    expect((await poll(id, 'wrong')).status).toBe(401);
+    expect(twilio.requests).toHaveLength(1);
+  });
+
+  it('rejects a number that is not E.164 without calling Twilio', async () => {
+    for (const to of ['5550002', '+1 555 0002', undefined]) {
+      const res = await post({ to });
+      expect(res.status).toBe(400);
+    }
+    expect(twilio.requests).toHaveLength(0);
+  });
+
+  it('returns 502 with Twilio\'s error when the call cannot be placed', async () => {
+    const res = await post({ to: '+15550000000' });
+    expect(res.status).toBe(502);
+    expect(await res.json()).toEqual({ error: 'Twilio 400: Invalid To number' });
+    expect(history.listCalls()).toEqual([]);
+  });
+
+  it('returns 404 for an unknown handle', async () => {
+    expect((await poll('nope')).status).toBe(404);
+  });
+
+  it('dials a bridged call\'s other party with the caller\'s callId on the stream and status callback', async () => {
+    const session = bridgedSession('call-a');
+
+    expect(await outbound.dial(session, '+15550002')).toMatchObject({ sid: 'CA1' });
+    const [request] = twilio.requests;
+    expect(request.body).toMatchObject({
+      To: '+15550002',
+      From: '+15550001',
+      StatusCallback: 'https://example.com/twilio/status?call=call-a',
+    });
+    expect(request.body.Twiml).toContain('<Parameter name="bridge" value="call-a" />');
+    // Not an outbound call of its own
+    expect(outbound.get('call-a')).toBeNull();
+    expect(history.listCalls()).toEqual([]);
+    expect(session.partyUnreachable).not.toHaveBeenCalled();
+  });
+
+  it('tells a bridged call\'s session when its other party cannot be dialled', async () => {
+    const session = bridgedSession('call-a');
+
+    expect(await outbound.dial(session, '+15550000000')).toBeNull();
+    expect(session.partyUnreachable).toHaveBeenCalledWith('failed');
+  });
+
+  it('ends the other party\'s call when the caller hangs up before they join', async () => {
+    const session = bridgedSession('call-a');
+    await outbound.dial(session, '+15550002');
+    expect(session.partyCallSid).toBe('CA1');
+
+    session.close();
+    await vi.waitFor(() => expect(twilio.requests).toHaveLength(2));
+    expect(twilio.requests[1]).toMatchObject({ accountSid: 'AC1', callSid: 'CA1', body: { Status: 'completed' } });
+  });
+
+  it('leaves the other party\'s call alone once they have joined, or it ended unanswered', async () => {
+    const joined = bridgedSession('call-a');
+    await outbound.dial(joined, '+15550002');
+    joined.party = { name: 'party' };
+    joined.close();
+
+    const unanswered = bridgedSession('call-b');
+    await outbound.dial(unanswered, '+15550003');
+    unanswered.partyCallSid = null;
+    unanswered.close();
+
+    await new Promise((r) => setTimeout(r, 50));
+    expect(twilio.requests).toHaveLength(2);
+  });
+});
@@ -0,0 +1,140 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { PlaybackTracker } from '../src/playback.js';
+
+function mockWs() {
+  const sent = [];
+  return {
+    OPEN: 1,
+    readyState: 1,
+    bufferedAmount: 0,
+    send: vi.fn((msg) => sent.push(JSON.parse(msg))),
+    _sent: sent,
+  };
+}
+
+describe('PlaybackTracker', () => {
+  let ws;
+  let onFinish;
+  let tracker;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    ws = mockWs();
+    onFinish = vi.fn();
+    tracker = new PlaybackTracker(ws, { onFinish });
+  });
+
+  afterEach(() => {
+    tracker.scheduler.close();
+    vi.useRealTimers();
+  });
+
+  it('interleaves a progress mark after every 500ms of audio', () => {
+    const key = tracker.play('MZ1', Buffer.alloc(10_000), { text: 'hi' });
+    vi.advanceTimersByTime(2000);
+
+    const marks = ws._sent.filter((m) => m.event === 'mark').map((m) => m.mark.name);
+    expect(marks).toEqual([`${key}:4000`, `${key}:8000`, `${key}:10000`]);
+
+    const mediaBytes = ws._sent
+      .filter((m) => m.event === 'media')
+      .reduce((n, m) => n + Buffer.from(m.media.payload, 'base64').length, 0);
+    expect(mediaBytes).toBe(10_000);
+    expect(ws._sent.at(-1).event).toBe('mark');
+    expect(tracker.active).toBe(true);
+  });
+
+  it('paces audio through the scheduler instead of sending it all at once', () => {
+    tracker.play('MZ1', Buffer.alloc(10_000), { text: 'hi' });
+    expect(ws._sent.length).toBeLessThan(10);
+
+    vi.advanceTimersByTime(500);
+    expect(ws._sent.some((m) => m.event === 'mark')).toBe(true);
+  });
+
+  it('reports played once the final mark is echoed', () => {
+    const key = tracker.play('MZ1', Buffer.alloc(6000), { text: 'hi' });
+    vi.advanceTimersByTime(1000);
+
+    tracker.handleMark(`${key}:4000`);
+    expect(onFinish).not.toHaveBeenCalled();
+
+    tracker.handleMark(`${key}:6000`);
+    expect(onFinish).toHaveBeenCalledWith({ text: 'hi' }, 'played', 750);
+    expect(tracker.active).toBe(false);
+  });
+
+  it('reports partial when cut off after some audio was heard', () => {
+    const key = tracker.play('MZ1', Buffer.alloc(10_000), { text: 'hi' });
+    vi.advanceTimersByTime(600);
+    tracker.handleMark(`${key}:4000`);
+
+    tracker.interrupt('MZ1');
+
+    expect(ws._sent.at(-1)).toEqual({ event: 'clear', streamSid: 'MZ1' });
+    expect(onFinish).toHaveBeenCalledWith({ text: 'hi' }, 'partial', 500);
+
+    // The scheduler stops sending the rest
+    const sentBefore = ws._sent.length;
+    vi.advanceTimersByTime(1000);
+    expect(ws._sent.length).toBe(sentBefore);
+  });
+
+  it('reports interrupted when cut off before any mark came back', () => {
+    tracker.play('MZ1', Buffer.alloc(10_000), { text: 'hi' });
+    tracker.interrupt('MZ1');
+    expect(onFinish).toHaveBeenCalledWith({ text: 'hi' }, 'interrupted', 0);
+  });
+
+  it('ignores marks echoed for audio discarded by a clear', () => {
+    const key = tracker.play('MZ1', Buffer.alloc(4000), { text: 'hi' });
+    tracker.interrupt('MZ1');
+    tracker.handleMark(`${key}:4000`);
+
+    expect(onFinish).toHaveBeenCalledTimes(1);
+    expect(onFinish.mock.calls[0][1]).toBe('interrupted');
+  });
+
+  it('cancels a correction that is still waiting behind another', () => {
+    tracker.play('MZ1', Buffer.alloc(8000), { text: 'first' });
+    const second = tracker.play('MZ1', Buffer.alloc(8000), { text: 'second' });
+
+    expect(tracker.cancel(second)).toBe(true);
+    expect(onFinish).toHaveBeenCalledWith({ text: 'second' }, 'cancelled', 0);
+    expect(tracker.cancel('c1')).toBe(false);
+  });
+
+  it('marks streamed audio as it arrives and reports played only after the end', () => {
+    const key = tracker.play('MZ1', Buffer.alloc(3000), { text: 'hi' }, { open: true });
+    tracker.append(key, Buffer.alloc(3000));
+    tracker.append(key, Buffer.alloc(3000));
+    tracker.end(key);
+    vi.advanceTimersByTime(2000);
+
+    const marks = ws._sent.filter((m) => m.event === 'mark').map((m) => m.mark.name);
+    expect(marks).toEqual([`${key}:4000`, `${key}:8000`, `${key}:9000`]);
+
+    tracker.handleMark(`${key}:8000`);
+    expect(onFinish).not.toHaveBeenCalled();
+    tracker.handleMark(`${key}:9000`);
+    expect(onFinish).toHaveBeenCalledWith({ text: 'hi' }, 'played', 1125);
+  });
+
+  it('does not finish a streaming correction whose audio has not all arrived', () => {
+    const key = tracker.play('MZ1', Buffer.alloc(4000), { text: 'hi' }, { open: true });
+    vi.advanceTimersByTime(1000);
+    tracker.handleMark(`${key}:4000`);
+    expect(onFinish).not.toHaveBeenCalled();
+
+    tracker.interrupt('MZ1');
+    expect(onFinish).toHaveBeenCalledWith({ text: 'hi' }, 'partial', 500);
+    tracker.append(key, Buffer.alloc(4000)); // late audio for a cleared correction is ignored
+    vi.advanceTimersByTime(1000);
+    expect(ws._sent.at(-1).event).toBe('clear');
+  });
+
+  it('does not send clear when nothing is playing', () => {
+    tracker.interrupt('MZ1');
+    expect(ws.send).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,45 @@
+import { describe, it, expect } from 'vitest';
+import { WhisperPolicy, parseWhisperPolicy } from '../src/policy.js';
+
+describe('parseWhisperPolicy', () => {
+  it('parses verdict=confidence pairs and skips junk', () => {
+    expect(parseWhisperPolicy('false=0.6, unverifiable = 0.9,correct=0.5,bogus=1,misleading=2,outdated=abc'))
+      .toEqual({ false: 0.6, unverifiable: 0.9 });
+  });
+
+  it('returns null for an unset spec', () => {
+    expect(parseWhisperPolicy(undefined)).toBeNull();
+    expect(parseWhisperPolicy('  ')).toBeNull();
+  });
+});
+
+describe('WhisperPolicy', () => {
+  it('whispers false, misleading and outdated verdicts by default, never unverifiable or correct', () => {
+    const policy = new WhisperPolicy();
+    const result = (verdict, confidence) => ({ verdict, confidence, correction: 'Actually, no.' });
+
+    expect(policy.shouldWhisper(result('false', 0.7))).toBe(true);
+    expect(policy.shouldWhisper(result('false', 0.5))).toBe(false);
+    expect(policy.shouldWhisper(result('misleading', 0.8))).toBe(true);
+    expect(policy.shouldWhisper(result('outdated', 0.7))).toBe(false);
+    expect(policy.shouldWhisper(result('unverifiable', 1))).toBe(false);
+    expect(policy.shouldWhisper(result('correct', 1))).toBe(false);
+  });
+
+  it('uses the configured thresholds and requires correction text', () => {
+    const policy = new WhisperPolicy({ unverifiable: 0.5 });
+
+    expect(policy.shouldWhisper({ verdict: 'unverifiable', confidence: 0.6, correction: 'Just so you know…' })).toBe(true);
+    expect(policy.shouldWhisper({ verdict: 'false', confidence: 1, correction: 'Actually, no.' })).toBe(false);
+    expect(policy.shouldWhisper({ verdict: 'unverifiable', confidence: 0.6, correction: null })).toBe(false);
+  });
+
+  it('moves every threshold for a sensitivity level, within 0..1, leaving the original alone', () => {
+    const policy = new WhisperPolicy({ false: 0.6, misleading: 0.9, unverifiable: 0.1 });
+
+    expect(policy.withSensitivity('high').toJSON()).toEqual({ false: 0.45, misleading: 0.75, unverifiable: 0 });
+    expect(policy.withSensitivity('low').toJSON()).toEqual({ false: 0.75, misleading: 1, unverifiable: 0.25 });
+    expect(policy.withSensitivity('normal').toJSON()).toEqual(policy.toJSON());
+    expect(policy.toJSON()).toEqual({ false: 0.6, misleading: 0.9, unverifiable: 0.1 });
+  });
+});
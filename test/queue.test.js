@@ -0,0 +1,95 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { CorrectionQueue } from '../src/queue.js';
+
+describe('CorrectionQueue', () => {
+  let onDeliver;
+  let onDrop;
+  let queue;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    onDeliver = vi.fn();
+    onDrop = vi.fn();
+    queue = new CorrectionQueue({ onDeliver, onDrop, maxWaitMs: 5000 });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('delivers immediately when the caller is quiet', () => {
+    queue.enqueue({ text: 'Actually, no.' });
+
+    expect(onDeliver).toHaveBeenCalledWith({ text: 'Actually, no.', enqueuedAt: expect.any(Number) }, 0);
+    expect(queue.length).toBe(0);
+  });
+
+  it('holds corrections while the caller is speaking', () => {
+    queue.speechStarted();
+    queue.enqueue({ text: 'first' });
+    queue.enqueue({ text: 'second' });
+
+    expect(onDeliver).not.toHaveBeenCalled();
+    expect(queue.length).toBe(2);
+  });
+
+  it('releases held corrections in order at the next pause', () => {
+    queue.speechStarted();
+    queue.enqueue({ text: 'first' });
+    queue.enqueue({ text: 'second' });
+
+    vi.advanceTimersByTime(1200);
+    queue.speechPaused();
+
+    expect(onDeliver.mock.calls.map(([item]) => item.text)).toEqual(['first', 'second']);
+    expect(onDeliver.mock.calls[0][1]).toBe(1200);
+    expect(queue.length).toBe(0);
+  });
+
+  it('drops corrections that wait longer than maxWaitMs', () => {
+    queue.speechStarted();
+    queue.enqueue({ text: 'old' });
+    vi.advanceTimersByTime(3000);
+    queue.enqueue({ text: 'newer' });
+    vi.advanceTimersByTime(2000);
+
+    expect(onDrop).toHaveBeenCalledTimes(1);
+    expect(onDrop).toHaveBeenCalledWith(expect.objectContaining({ text: 'old' }), 'stale');
+
+    queue.speechPaused();
+    expect(onDeliver.mock.calls.map(([item]) => item.text)).toEqual(['newer']);
+  });
+
+  it('does not drop a correction after it was delivered', () => {
+    queue.enqueue({ text: 'sent' });
+    vi.advanceTimersByTime(10_000);
+
+    expect(onDrop).not.toHaveBeenCalled();
+  });
+
+  it('removes matching corrections without delivering or dropping them', () => {
+    queue.speechStarted();
+    queue.enqueue({ text: 'a', claimId: 1 });
+    queue.enqueue({ text: 'b', claimId: 2 });
+
+    expect(queue.remove((item) => item.claimId === 1).map((item) => item.text)).toEqual(['a']);
+    expect(queue.length).toBe(1);
+    vi.advanceTimersByTime(10_000);
+    expect(onDrop.mock.calls.map(([item]) => item.text)).toEqual(['b']);
+    expect(onDeliver).not.toHaveBeenCalled();
+  });
+
+  it('clear drops everything waiting with the given reason', () => {
+    queue.speechStarted();
+    queue.enqueue({ text: 'a' });
+    queue.enqueue({ text: 'b' });
+    queue.clear('call ended');
+
+    expect(onDrop.mock.calls.map(([item, reason]) => [item.text, reason])).toEqual([
+      ['a', 'call ended'],
+      ['b', 'call ended'],
+    ]);
+    vi.advanceTimersByTime(10_000);
+    expect(onDrop).toHaveBeenCalledTimes(2);
+  });
+});
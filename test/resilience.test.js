@@ -0,0 +1,153 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  CancelledError,
+  CircuitBreaker,
+  CircuitOpenError,
+  DeadlineExceededError,
+  callWithRetry,
+  isRetryableError,
+} from '../src/resilience.js';
+
+function apiError(status, headers = {}) {
+  return Object.assign(new Error(`HTTP ${status}`), { status, headers });
+}
+
+describe('isRetryableError', () => {
+  it('retries rate limits, overload, server errors and connection failures only', () => {
+    for (const status of [408, 429, 500, 503, 529]) expect(isRetryableError(apiError(status))).toBe(true);
+    for (const status of [400, 401, 404]) expect(isRetryableError(apiError(status))).toBe(false);
+
+    class APIConnectionError extends Error {}
+    expect(isRetryableError(new APIConnectionError('socket hang up'))).toBe(true);
+    expect(isRetryableError(new Error('boom'))).toBe(false);
+  });
+});
+
+describe('callWithRetry', () => {
+  afterEach(() => vi.useRealTimers());
+
+  it('retries a retryable error with backoff, then returns the result', async () => {
+    const fn = vi.fn()
+      .mockRejectedValueOnce(apiError(429))
+      .mockRejectedValueOnce(apiError(503))
+      .mockResolvedValueOnce('ok');
+
+    await expect(callWithRetry(fn, { baseDelayMs: 1 })).resolves.toBe('ok');
+    expect(fn).toHaveBeenCalledTimes(3);
+    expect(fn.mock.calls[0][0]).toBeInstanceOf(AbortSignal);
+  });
+
+  it('fails at once on a non-retryable error', async () => {
+    const fn = vi.fn().mockRejectedValue(apiError(400));
+    await expect(callWithRetry(fn, { baseDelayMs: 1 })).rejects.toMatchObject({ status: 400 });
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+
+  it('gives up after the configured retries', async () => {
+    const fn = vi.fn().mockRejectedValue(apiError(529));
+    await expect(callWithRetry(fn, { retries: 1, baseDelayMs: 1 })).rejects.toMatchObject({ status: 529 });
+    expect(fn).toHaveBeenCalledTimes(2);
+  });
+
+  it('aborts the attempt and rejects at the deadline, even if fn ignores the signal', async () => {
+    let signal;
+    const fn = vi.fn((s) => {
+      signal = s;
+      return new Promise((resolve) => setTimeout(() => resolve('late'), 200));
+    });
+
+    await expect(callWithRetry(fn, { label: 'verify', deadlineMs: 20 })).rejects.toBeInstanceOf(DeadlineExceededError);
+    expect(signal.aborted).toBe(true);
+  });
+
+  it('does not back off past the deadline', async () => {
+    const fn = vi.fn().mockRejectedValue(apiError(429, { 'retry-after': '5' }));
+    await expect(callWithRetry(fn, { deadlineMs: 1000 })).rejects.toMatchObject({ status: 429 });
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+
+  it('cancels the call when the caller aborts, without counting it as a failure', async () => {
+    const breaker = new CircuitBreaker('test', { failureThreshold: 1 });
+    const controller = new AbortController();
+    let attemptSignal;
+    const fn = vi.fn((s) => {
+      attemptSignal = s;
+      return new Promise(() => {});
+    });
+
+    const call = callWithRetry(fn, { label: 'verify', breaker, signal: controller.signal });
+    controller.abort();
+
+    await expect(call).rejects.toBeInstanceOf(CancelledError);
+    expect(attemptSignal.aborted).toBe(true);
+    expect(breaker.state).toBe('closed');
+    await expect(callWithRetry(fn, { signal: controller.signal })).rejects.toBeInstanceOf(CancelledError);
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+
+  it('frees the half-open trial slot when the trial call is cancelled', async () => {
+    vi.useFakeTimers();
+    const breaker = new CircuitBreaker('test', { failureThreshold: 1, resetMs: 1000 });
+    breaker.failure(new Error('down'));
+    vi.advanceTimersByTime(1000);
+
+    const controller = new AbortController();
+    const call = callWithRetry(() => new Promise(() => {}), { breaker, signal: controller.signal });
+    controller.abort();
+    await expect(call).rejects.toBeInstanceOf(CancelledError);
+
+    expect(breaker.state).toBe('half_open');
+    expect(breaker.allow()).toBe(true);
+  });
+
+  it('fails fast while the breaker is open and counts failures against it', async () => {
+    const breaker = new CircuitBreaker('test', { failureThreshold: 2 });
+    const fn = vi.fn().mockRejectedValue(apiError(500));
+
+    await expect(callWithRetry(fn, { retries: 5, baseDelayMs: 1, breaker })).rejects.toBeInstanceOf(CircuitOpenError);
+    expect(fn).toHaveBeenCalledTimes(2);
+    expect(breaker.state).toBe('open');
+  });
+});
+
+describe('CircuitBreaker', () => {
+  afterEach(() => vi.useRealTimers());
+
+  it('opens after consecutive failures, half-opens after resetMs and closes on a successful trial', () => {
+    vi.useFakeTimers();
+    const breaker = new CircuitBreaker('anthropic', { failureThreshold: 3, resetMs: 1000 });
+
+    breaker.failure(new Error('a'));
+    breaker.failure(new Error('b'));
+    breaker.success();
+    expect(breaker.failures).toBe(0);
+
+    for (let i = 0; i < 3; i++) breaker.failure(new Error('overloaded'));
+    expect(breaker.state).toBe('open');
+    expect(breaker.allow()).toBe(false);
+
+    vi.advanceTimersByTime(1000);
+    expect(breaker.allow()).toBe(true);
+    expect(breaker.state).toBe('half_open');
+    expect(breaker.allow()).toBe(false); // one trial at a time
+
+    breaker.success();
+    expect(breaker.state).toBe('closed');
+    expect(breaker.allow()).toBe(true);
+  });
+
+  it('reopens when the trial call fails', () => {
+    vi.useFakeTimers();
+    const breaker = new CircuitBreaker('anthropic', { failureThreshold: 1, resetMs: 1000 });
+
+    breaker.failure(new Error('down'));
+    vi.advanceTimersByTime(1000);
+    expect(breaker.allow()).toBe(true);
+    breaker.failure(new Error('still down'));
+
+    expect(breaker.state).toBe('open');
+    expect(breaker.allow()).toBe(false);
+    expect(breaker.toJSON()).toMatchObject({ state: 'open', failures: 2, last_error: 'still down' });
+    expect(breaker.toJSON().opened_at).toEqual(expect.any(String));
+  });
+});
@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import { findRetraction, retractionAfter } from '../src/retraction.js';
+
+describe('findRetraction', () => {
+  it('finds a retraction leading the text, past punctuation and filler', () => {
+    expect(findRetraction('No, sorry, 1945.')).toBe('No, sorry');
+    expect(findRetraction(' — no, 1945')).toBe('no');
+    expect(findRetraction(', uh, wait, no, it was 1945')).toBe('wait, no');
+    expect(findRetraction('Sorry, I meant Canberra.')).toBe('Sorry, I meant');
+    expect(findRetraction('Scratch that.')).toBe('Scratch that');
+    expect(findRetraction('or rather 40 percent')).toBe('or rather');
+    expect(findRetraction('Actually, no. It was the Romans.')).toBe('Actually, no');
+    expect(findRetraction('My mistake, it is 8 planets.')).toBe('My mistake');
+    expect(findRetraction("No, it's Canberra.")).toBe('No');
+    expect(findRetraction('No, actually, it was 1945.')).toBe('No, actually');
+    expect(findRetraction('Oops, no.')).toBe('Oops, no');
+  });
+
+  it('ignores retraction words that do not lead the text or take anything back', () => {
+    expect(findRetraction('I said no, sorry to say.')).toBeNull();
+    expect(findRetraction('No problem at all.')).toBeNull();
+    expect(findRetraction('I mean, it is huge.')).toBeNull();
+    expect(findRetraction('Actually, it was bigger than that.')).toBeNull();
+    expect(findRetraction('Nothing else to add.')).toBeNull();
+  });
+
+  it('ignores a "no" from a speaker standing by what they said', () => {
+    expect(findRetraction("No, it's true, it really is.")).toBeNull();
+    expect(findRetraction('No, it was definitely in 1945, trust me.')).toBeNull();
+    expect(findRetraction('Wait, no, let me finish.')).toBeNull();
+    expect(findRetraction('Actually, no, it is correct.')).toBeNull();
+    expect(findRetraction('No, actually, listen.')).toBeNull();
+    expect(findRetraction('')).toBeNull();
+  });
+});
+
+describe('retractionAfter', () => {
+  it('looks only at the words after the claim in its segment', () => {
+    const segment = 'The war ended in 1946 — no, sorry, 1945.';
+    expect(retractionAfter({ text: 'The war ended in 1946', span: { start: 0, end: 21 } }, segment)).toBe('no, sorry');
+    expect(retractionAfter({ text: 'The war ended in 1945', span: { start: 35, end: 40 } }, segment)).toBeNull();
+  });
+
+  it('cannot place a claim without a span', () => {
+    expect(retractionAfter({ text: 'The war ended in 1946', span: null }, 'The war ended in 1946, no, sorry, 1945.')).toBeNull();
+  });
+});
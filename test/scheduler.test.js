@@ -0,0 +1,199 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { AudioScheduler } from '../src/scheduler.js';
+import { encodeMuLaw, decodeMuLaw } from '../src/audio.js';
+
+function mockWs() {
+  const sent = [];
+  return {
+    OPEN: 1,
+    readyState: 1,
+    bufferedAmount: 0,
+    send: vi.fn((msg) => sent.push(JSON.parse(msg))),
+    _sent: sent,
+  };
+}
+
+// Audio whose every byte identifies the clip it belongs to
+const clip = (tag, bytes) => Buffer.alloc(bytes, tag);
+
+function mediaTags(ws) {
+  return ws._sent
+    .filter((m) => m.event === 'media')
+    .map((m) => Buffer.from(m.media.payload, 'base64')[0]);
+}
+
+describe('AudioScheduler', () => {
+  let ws;
+  let scheduler;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    ws = mockWs();
+    scheduler = new AudioScheduler(ws, { leadFrames: 2, maxBufferedBytes: 1000 });
+  });
+
+  afterEach(() => {
+    scheduler.close();
+    vi.useRealTimers();
+  });
+
+  it('sends the lead frames immediately, then one frame per 20ms', () => {
+    scheduler.enqueue({ id: 'a', streamSid: 'MZ1', audio: clip(1, 160 * 10) });
+    expect(ws.send).toHaveBeenCalledTimes(2);
+
+    vi.advanceTimersByTime(20);
+    expect(ws.send).toHaveBeenCalledTimes(3);
+
+    vi.advanceTimersByTime(100);
+    expect(ws.send).toHaveBeenCalledTimes(8);
+
+    vi.advanceTimersByTime(1000);
+    expect(ws.send).toHaveBeenCalledTimes(10);
+    expect(scheduler.idle).toBe(true);
+    expect(ws._sent.every((m) => m.streamSid === 'MZ1')).toBe(true);
+  });
+
+  it('sends marks right after the frame that reaches their offset', () => {
+    scheduler.enqueue({
+      id: 'a',
+      streamSid: 'MZ1',
+      audio: clip(1, 400),
+      marks: [{ offset: 400, name: 'a:end' }, { offset: 160, name: 'a:160' }],
+    });
+    vi.advanceTimersByTime(100);
+
+    expect(ws._sent.map((m) => m.event)).toEqual(['media', 'mark', 'media', 'media', 'mark']);
+    expect(ws._sent.filter((m) => m.event === 'mark').map((m) => m.mark.name)).toEqual(['a:160', 'a:end']);
+  });
+
+  it('holds frames while the socket is backed up and does not burst afterwards', () => {
+    scheduler.enqueue({ id: 'a', streamSid: 'MZ1', audio: clip(1, 160 * 50) });
+    expect(ws.send).toHaveBeenCalledTimes(2);
+
+    ws.bufferedAmount = 5000;
+    vi.advanceTimersByTime(200);
+    expect(ws.send).toHaveBeenCalledTimes(2);
+    expect(scheduler.stalls).toBeGreaterThan(0);
+
+    ws.bufferedAmount = 0;
+    vi.advanceTimersByTime(20);
+    expect(ws.send).toHaveBeenCalledTimes(3);
+  });
+
+  it('streams an open clip as audio is appended, without bursting after a gap', () => {
+    scheduler.enqueue({ id: 'a', streamSid: 'MZ1', audio: clip(1, 250), open: true });
+    expect(ws.send).toHaveBeenCalledTimes(1); // whole frames only while the clip is open
+
+    vi.advanceTimersByTime(200);
+    expect(ws.send).toHaveBeenCalledTimes(1);
+    expect(scheduler.idle).toBe(false);
+
+    // Picks up at once with the clock where it stopped: the lead, not the 200ms gap
+    scheduler.append('a', clip(1, 160 * 5 - 90), [{ offset: 320, name: 'a:320' }]);
+    expect(ws._sent.map((m) => m.event)).toEqual(['media', 'media', 'mark']);
+
+    vi.advanceTimersByTime(80);
+    expect(mediaTags(ws)).toHaveLength(6);
+
+    scheduler.end('a', [{ offset: 960, name: 'a:end' }]);
+    expect(ws._sent.at(-1)).toMatchObject({ event: 'mark', mark: { name: 'a:end' } });
+    expect(scheduler.idle).toBe(true);
+  });
+
+  it('ignores appends for clips that are gone', () => {
+    expect(scheduler.append('missing', clip(1, 160))).toBe(false);
+    expect(scheduler.end('missing')).toBe(false);
+  });
+
+  it('plays waiting clips in priority order without cutting off the current one', () => {
+    scheduler.enqueue({ id: 'a', streamSid: 'MZ1', audio: clip(1, 160 * 3) });
+    scheduler.enqueue({ id: 'b', streamSid: 'MZ1', audio: clip(2, 160) });
+    scheduler.enqueue({ id: 'c', streamSid: 'MZ1', audio: clip(3, 160), priority: 5 });
+    vi.advanceTimersByTime(200);
+
+    expect(mediaTags(ws)).toEqual([1, 1, 1, 3, 2]);
+  });
+
+  it('cancels a waiting clip or the rest of the current one', () => {
+    scheduler.enqueue({ id: 'a', streamSid: 'MZ1', audio: clip(1, 160 * 10) });
+    scheduler.enqueue({ id: 'b', streamSid: 'MZ1', audio: clip(2, 160) });
+
+    expect(scheduler.cancel('b')).toBe(0);
+    expect(scheduler.cancel('a')).toBe(320);
+    expect(scheduler.cancel('a')).toBeNull();
+    expect(scheduler.idle).toBe(true);
+
+    vi.advanceTimersByTime(200);
+    expect(mediaTags(ws)).toEqual([1, 1]);
+  });
+
+  it('clear drops everything and stops the clock', () => {
+    scheduler.enqueue({ id: 'a', streamSid: 'MZ1', audio: clip(1, 160 * 10) });
+    scheduler.clear();
+    vi.advanceTimersByTime(200);
+
+    expect(ws.send).toHaveBeenCalledTimes(2);
+    expect(scheduler.timer).toBeNull();
+  });
+
+  it('drops queued audio once the socket closes', () => {
+    scheduler.enqueue({ id: 'a', streamSid: 'MZ1', audio: clip(1, 160 * 10) });
+    ws.readyState = 3;
+    vi.advanceTimersByTime(200);
+
+    expect(ws.send).toHaveBeenCalledTimes(2);
+    expect(scheduler.idle).toBe(true);
+  });
+
+  describe('relaying a bridged call', () => {
+    const relayed = (value) => encodeMuLaw(new Int16Array(160).fill(value));
+    const level = (message) => decodeMuLaw(Buffer.from(message.media.payload, 'base64')).readInt16LE(0);
+
+    it('passes relayed frames straight through when nothing is queued', () => {
+      scheduler.relay(relayed(1000), 'MZ1');
+
+      expect(ws._sent).toHaveLength(1);
+      expect(ws._sent[0].streamSid).toBe('MZ1');
+      expect(level(ws._sent[0])).toBeCloseTo(1000, -2);
+    });
+
+    it('mixes a queued clip into relayed frames, one frame per relayed frame, marks included', () => {
+      scheduler.relay(relayed(0), 'MZ1');
+      scheduler.enqueue({
+        id: 'a',
+        streamSid: 'MZ1',
+        audio: encodeMuLaw(new Int16Array(320).fill(2000)),
+        marks: [{ offset: 320, name: 'a:end' }],
+      });
+      expect(ws._sent).toHaveLength(1);
+      vi.advanceTimersByTime(200);
+      expect(ws._sent).toHaveLength(1);
+
+      scheduler.relay(relayed(1000), 'MZ1');
+      scheduler.relay(relayed(1000), 'MZ1');
+      scheduler.relay(relayed(1000), 'MZ1');
+
+      const media = ws._sent.filter((m) => m.event === 'media');
+      expect(media.slice(1).map(level).map((v) => Math.round(v / 100) * 100)).toEqual([3000, 3000, 1000]);
+      expect(ws._sent.map((m) => m.event)).toEqual(['media', 'media', 'media', 'mark', 'media']);
+      expect(scheduler.idle).toBe(true);
+    });
+
+    it('drops relayed frames while the socket is backed up, holding the queued clip', () => {
+      scheduler.relay(relayed(0), 'MZ1');
+      scheduler.enqueue({ id: 'a', streamSid: 'MZ1', audio: encodeMuLaw(new Int16Array(160).fill(2000)) });
+
+      ws.bufferedAmount = 64 * 1024;
+      scheduler.relay(relayed(1000), 'MZ1');
+      expect(ws._sent).toHaveLength(1);
+      expect(scheduler.stalls).toBe(1);
+      expect(scheduler.idle).toBe(false);
+
+      ws.bufferedAmount = 0;
+      scheduler.relay(relayed(1000), 'MZ1');
+      expect(ws._sent).toHaveLength(2);
+      expect(Math.round(level(ws._sent[1]) / 100) * 100).toBe(3000);
+      expect(scheduler.idle).toBe(true);
+    });
+  });
+});
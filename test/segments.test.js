@@ -0,0 +1,50 @@
+import { describe, it, expect, vi } from 'vitest';
+import { SegmentAggregator } from '../src/segments.js';
+
+describe('SegmentAggregator', () => {
+  it('buffers finals until one ends a sentence', () => {
+    const onSegment = vi.fn();
+    const segments = new SegmentAggregator({ onSegment });
+
+    segments.add('Paris has twenty');
+    segments.add('million people');
+    expect(onSegment).not.toHaveBeenCalled();
+    expect(segments.pending).toBe('Paris has twenty million people');
+
+    segments.add('living in it.');
+    expect(onSegment).toHaveBeenCalledWith('Paris has twenty million people living in it.', 3);
+    expect(segments.pending).toBe('');
+  });
+
+  it('treats a question, exclamation or closing quote as a sentence end', () => {
+    const onSegment = vi.fn();
+    const segments = new SegmentAggregator({ onSegment });
+
+    segments.add('Is it true?');
+    segments.add('He said "it is!"');
+    segments.add('Around 3.5 percent');
+    expect(onSegment.mock.calls.map(([text]) => text)).toEqual(['Is it true?', 'He said "it is!"']);
+  });
+
+  it('flushes at a pause, and on demand', () => {
+    const onSegment = vi.fn();
+    const segments = new SegmentAggregator({ onSegment });
+
+    segments.add('The moon is');
+    segments.add('made of cheese', { speechFinal: true });
+    segments.add('I think');
+    segments.flush();
+    segments.flush();
+
+    expect(onSegment.mock.calls).toEqual([['The moon is made of cheese', 2], ['I think', 1]]);
+  });
+
+  it('flushes a caller who never pauses after maxFragments finals', () => {
+    const onSegment = vi.fn();
+    const segments = new SegmentAggregator({ onSegment, maxFragments: 3 });
+
+    for (const text of ['one', 'two', 'three', 'four']) segments.add(text);
+    expect(onSegment).toHaveBeenCalledWith('one two three', 3);
+    expect(segments.pending).toBe('four');
+  });
+});
@@ -0,0 +1,1329 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { CallSession, SessionRegistry } from '../src/session.js';
+import { CallHistory } from '../src/history.js';
+import { VerdictCache } from '../src/cache.js';
+import { WhisperPolicy } from '../src/policy.js';
+import { CONVERSATIONS } from './fixtures/conversations.js';
+
+function mockWs() {
+  const sent = [];
+  return {
+    OPEN: 1,
+    readyState: 1,
+    send: vi.fn((msg) => sent.push(msg)),
+    close: vi.fn(),
+    _sent: sent,
+  };
+}
+
+// Fake STT factory — captures the transcript callback so tests can drive it
+function mockStreamFactory() {
+  const streams = [];
+  const factory = vi.fn((apiKey, onTranscript, costTracker, callId) => {
+    const stream = { onTranscript, callId, send: vi.fn(), close: vi.fn() };
+    streams.push(stream);
+    return stream;
+  });
+  factory.streams = streams;
+  return factory;
+}
+
+function mockServices() {
+  return {
+    claims: {
+      detectClaims: vi.fn().mockResolvedValue([]),
+      verifyClaim: vi.fn().mockResolvedValue(null),
+      answerQuestion: vi.fn().mockResolvedValue(null),
+    },
+    tts: {
+      stream: vi.fn(async function* () { yield Buffer.alloc(4410); }),
+      sampleRate: 22050,
+    },
+  };
+}
+
+function claim(text, extra = {}) {
+  return { text, category: 'science', checkability: 0.9, span: null, ...extra };
+}
+
+function correction(text, extra = {}) {
+  return { verdict: 'false', confidence: 0.9, correction: text, ...extra };
+}
+
+// Let queued promise chains (detect → verify → synthesize) settle
+const flush = () => new Promise((r) => setTimeout(r, 0));
+
+describe('CallSession', () => {
+  let services;
+  let createStream;
+
+  beforeEach(() => {
+    services = mockServices();
+    createStream = mockStreamFactory();
+  });
+
+  function newSession(opts = {}) {
+    return new CallSession(mockWs(), { ...services, deepgramKey: 'dg-key', createStream, ...opts });
+  }
+
+  it('opens one STT stream tagged with its own callId', () => {
+    const session = newSession({ callId: 'call-a' });
+    session.start();
+    session.start();
+
+    expect(createStream).toHaveBeenCalledTimes(1);
+    expect(createStream.streams[0].callId).toBe('call-a');
+  });
+
+  it('tracks streamSid and forwards media to the STT stream', () => {
+    const session = newSession();
+    session.start();
+
+    session.handleMessage({ type: 'start', streamSid: 'MZ1' });
+    session.handleMessage({ type: 'media', audio: Buffer.from([1, 2]), streamSid: 'MZ1' });
+
+    expect(session.streamSid).toBe('MZ1');
+    expect(session.state).toBe('active');
+    expect(createStream.streams[0].send).toHaveBeenCalledWith(Buffer.from([1, 2]));
+  });
+
+  it('ignores interim and empty transcripts', () => {
+    const session = newSession();
+    session.handleTranscript({ text: 'partial', isFinal: false });
+    session.handleTranscript({ text: '   ', isFinal: true });
+
+    expect(session.transcriptBuffer).toEqual([]);
+    expect(services.claims.detectClaims).not.toHaveBeenCalled();
+  });
+
+  it('keeps transcript buffers separate between concurrent sessions', () => {
+    const a = newSession({ callId: 'call-a' });
+    const b = newSession({ callId: 'call-b' });
+
+    a.handleTranscript({ text: 'Caller A speaking.', isFinal: true });
+    b.handleTranscript({ text: 'Caller B speaking.', isFinal: true });
+
+    expect(a.transcriptBuffer).toEqual(['Caller A speaking.']);
+    expect(b.transcriptBuffer).toEqual(['Caller B speaking.']);
+  });
+
+  it('joins finals split mid-sentence into one segment before detection', async () => {
+    const history = new CallHistory(':memory:');
+    const session = newSession({ callId: 'call-a', history });
+    session.start();
+
+    session.handleTranscript({ text: 'The Eiffel Tower is', isFinal: true });
+    session.handleTranscript({ text: 'five hundred meters tall', isFinal: true });
+    await flush();
+    expect(services.claims.detectClaims).not.toHaveBeenCalled();
+
+    session.handleTranscript({ text: 'and made of wood.', isFinal: true });
+    await flush();
+    expect(services.claims.detectClaims).toHaveBeenCalledTimes(1);
+    expect(services.claims.detectClaims).toHaveBeenCalledWith(
+      expect.any(String), 'The Eiffel Tower is five hundred meters tall and made of wood.', 'call-a', { fragments: 3 },
+    );
+    expect(session.stats).toMatchObject({ segments: 1, fragments: 3 });
+    expect(history.getCall('call-a').segments.map((s) => s.text)).toEqual(['The Eiffel Tower is five hundred meters tall and made of wood.']);
+    session.close();
+    history.close();
+  });
+
+  it('hands on buffered finals when the caller pauses', async () => {
+    const session = newSession();
+    session.start();
+
+    session.handleTranscript({ text: 'The moon is', isFinal: true });
+    session.handleTranscript({ text: 'made of cheese', isFinal: true, speechFinal: true });
+    session.handleTranscript({ text: 'I think', isFinal: true });
+    createStream.mock.calls[0][4].onUtteranceEnd();
+    await flush();
+
+    expect(services.claims.detectClaims.mock.calls.map(([, text, , options]) => [text, options.fragments])).toEqual([
+      ['The moon is made of cheese', 2],
+      ['I think', 1],
+    ]);
+    session.close();
+  });
+
+  it('records the last buffered words when the call ends without detecting them', async () => {
+    const history = new CallHistory(':memory:');
+    const session = newSession({ callId: 'call-a', history });
+    session.start();
+
+    session.handleTranscript({ text: 'and one more thing', isFinal: true });
+    session.close();
+    await flush();
+
+    expect(services.claims.detectClaims).not.toHaveBeenCalled();
+    expect(history.getCall('call-a').segments.map((s) => s.text)).toEqual(['and one more thing']);
+    history.close();
+  });
+
+  it('speculates on the whole utterance, not just the words after the last final', async () => {
+    const session = newSession({ speculative: true });
+    session.start();
+
+    session.handleTranscript({ text: 'The moon is made', isFinal: true });
+    session.handleTranscript({ text: 'of cheese and', isFinal: false });
+    session.handleTranscript({ text: 'of cheese and rock', isFinal: false });
+    await flush();
+
+    expect(services.claims.detectClaims).toHaveBeenCalledWith(
+      expect.any(String), 'The moon is made of cheese and', session.callId, expect.objectContaining({ speculative: true }),
+    );
+    session.close();
+  });
+
+  it('attributes detection, verification and TTS to its own callId', async () => {
+    services.claims.detectClaims.mockResolvedValue([claim('The moon is made of cheese')]);
+    services.claims.verifyClaim.mockResolvedValue(correction('Actually, it is rock.'));
+
+    const session = newSession({ callId: 'call-a' });
+    session.handleMessage({ type: 'start', streamSid: 'MZ1' });
+    session.handleTranscript({ text: 'The moon is made of cheese', isFinal: true, speechFinal: true });
+    await flush();
+
+    expect(services.claims.detectClaims).toHaveBeenCalledWith(expect.any(String), 'The moon is made of cheese', 'call-a', { fragments: 1 });
+    expect(services.claims.verifyClaim).toHaveBeenCalledWith('The moon is made of cheese', 'call-a', expect.any(Object));
+    expect(services.tts.stream).toHaveBeenCalledWith('Actually, it is rock.', 'call-a');
+    expect(session.ws.send).toHaveBeenCalled();
+    expect(session.stats.corrections).toBe(1);
+  });
+
+  it.each(CONVERSATIONS)('detects on the earlier turns only and verifies the resolved claim with its context: $name', async ({ turns, detected }) => {
+    const resolved = claim(detected.claim, { context: detected.context || null });
+    services.claims.detectClaims.mockImplementation(async (context, segment) => (segment === turns.at(-1) ? [resolved] : []));
+
+    const session = newSession({ callId: 'call-a' });
+    for (const text of turns) session.handleTranscript({ text, isFinal: true, speechFinal: true });
+    await flush();
+
+    expect(services.claims.detectClaims).toHaveBeenLastCalledWith(turns.slice(0, -1).join(' '), turns.at(-1), 'call-a', { fragments: 1 });
+    expect(services.claims.verifyClaim).toHaveBeenCalledWith(
+      detected.claim,
+      'call-a',
+      expect.objectContaining({ context: detected.context || null }),
+    );
+  });
+
+  it('verifies every claim in a segment independently', async () => {
+    services.claims.detectClaims.mockResolvedValue([
+      claim('Paris has 20 million people', { category: 'statistic' }),
+      claim('The Eiffel Tower is 500 meters tall', { category: 'geography' }),
+    ]);
+    services.claims.verifyClaim.mockImplementation(async (text) => (
+      text.startsWith('Paris') ? correction('Actually, about 2 million.') : { verdict: 'correct', confidence: 0.9, correction: null }
+    ));
+
+    const session = newSession({ callId: 'call-a' });
+    session.handleMessage({ type: 'start', streamSid: 'MZ1' });
+    session.handleTranscript({
+      text: 'Paris has 20 million people and the Eiffel Tower is 500 meters tall',
+      isFinal: true,
+      speechFinal: true,
+    });
+    await flush();
+
+    expect(services.claims.verifyClaim.mock.calls.map(([text]) => text)).toEqual([
+      'Paris has 20 million people',
+      'The Eiffel Tower is 500 meters tall',
+    ]);
+    expect(services.tts.stream).toHaveBeenCalledTimes(1);
+    expect(session.stats.claims).toBe(2);
+    session.close();
+  });
+
+  it('reuses a cached verdict from another call instead of verifying again', async () => {
+    services.claims.detectClaims.mockResolvedValue([claim('The moon is made of cheese.')]);
+    services.claims.verifyClaim.mockResolvedValue(correction('Actually, it is rock.'));
+    const verdictCache = new VerdictCache(':memory:');
+
+    const a = newSession({ verdictCache });
+    a.handleMessage({ type: 'start', streamSid: 'MZa' });
+    a.handleTranscript({ text: 'The moon is made of cheese.', isFinal: true, speechFinal: true });
+    await flush();
+
+    services.claims.detectClaims.mockResolvedValue([claim('the Moon is made of cheese')]);
+    const b = newSession({ verdictCache });
+    b.handleMessage({ type: 'start', streamSid: 'MZb' });
+    b.handleTranscript({ text: 'The Moon is made of cheese!', isFinal: true, speechFinal: true });
+    await flush();
+
+    expect(services.claims.verifyClaim).toHaveBeenCalledTimes(1);
+    expect(b.stats.cache_hits).toBe(1);
+    expect(services.tts.stream).toHaveBeenLastCalledWith('Actually, it is rock.', b.callId);
+    a.close();
+    b.close();
+    verdictCache.close();
+  });
+
+  it('records a knowledge-base verdict as verified by kb', async () => {
+    services.claims.detectClaims.mockResolvedValue([claim('The Pro plan costs $29')]);
+    services.claims.verifyClaim.mockResolvedValue(correction('Actually, it is $49.', { verifiedBy: 'kb' }));
+    const history = new CallHistory(':memory:');
+
+    const session = newSession({ callId: 'call-a', history });
+    session.start();
+    session.handleTranscript({ text: 'The Pro plan costs $29.', isFinal: true });
+    await flush();
+
+    expect(history.getCall('call-a').claims[0]).toMatchObject({ verdict: 'false', verified_by: 'kb' });
+    session.close();
+    history.close();
+  });
+
+  it('settles arithmetic and unit conversions locally without web verification', async () => {
+    services.claims.detectClaims.mockResolvedValue([claim('A mile is two kilometers', { category: 'statistic' })]);
+    const history = new CallHistory(':memory:');
+    const verdictCache = new VerdictCache(':memory:');
+
+    const session = newSession({ callId: 'call-a', history, verdictCache });
+    session.start();
+    session.handleMessage({ type: 'start', streamSid: 'MZ1' });
+    session.handleTranscript({ text: 'A mile is two kilometers.', isFinal: true, speechFinal: true });
+    await flush();
+
+    expect(services.claims.verifyClaim).not.toHaveBeenCalled();
+    expect(services.tts.stream).toHaveBeenCalledWith('Actually, a mile is about 1.61 kilometers.', 'call-a');
+    expect(session.stats.local_checks).toBe(1);
+    expect(history.getCall('call-a').claims[0]).toMatchObject({ verdict: 'false', confidence: 1, verified_by: 'numeric' });
+    expect(verdictCache.stats().entries).toBe(0);
+    session.close();
+    history.close();
+    verdictCache.close();
+  });
+
+  it('records a failed verification as an error and does not cache it', async () => {
+    services.claims.detectClaims.mockResolvedValue([claim('Flaky claim')]);
+    services.claims.verifyClaim.mockResolvedValue(null);
+    const history = new CallHistory(':memory:');
+    const verdictCache = new VerdictCache(':memory:');
+
+    const session = newSession({ callId: 'call-a', history, verdictCache });
+    session.start();
+    session.handleTranscript({ text: 'Flaky claim.', isFinal: true });
+    await flush();
+
+    expect(history.getCall('call-a').claims[0]).toMatchObject({ verdict: 'error', verified_by: null });
+    expect(verdictCache.get('Flaky claim', 'science')).toBeNull();
+    session.close();
+    history.close();
+    verdictCache.close();
+  });
+
+  it('does not cache a verdict from a reply that failed to parse, or one with no confidence', async () => {
+    services.claims.detectClaims.mockImplementation(async (context, segment) => [claim(segment.replace(/\.$/, ''))]);
+    services.claims.verifyClaim.mockImplementation(async (text) => (text === 'Garbled claim'
+      ? { verdict: 'unverifiable', confidence: 0, correction: null, sources: [], failed: true }
+      : { verdict: 'unverifiable', confidence: 0, correction: null, sources: [] }));
+    const verdictCache = new VerdictCache(':memory:');
+
+    const session = newSession({ verdictCache });
+    session.start();
+    session.handleTranscript({ text: 'Garbled claim.', isFinal: true });
+    session.handleTranscript({ text: 'Unsure claim.', isFinal: true });
+    await flush();
+
+    expect(services.claims.verifyClaim).toHaveBeenCalledTimes(2);
+    expect(verdictCache.get('Garbled claim', 'science')).toBeNull();
+    expect(verdictCache.get('Unsure claim', 'science')).toBeNull();
+    expect(verdictCache.stats().entries).toBe(0);
+    session.close();
+    verdictCache.close();
+  });
+
+  it('skips claims below the checkability threshold', async () => {
+    services.claims.detectClaims.mockResolvedValue([
+      claim('Something vague', { checkability: 0.2 }),
+      claim('Something specific', { checkability: 0.7 }),
+    ]);
+
+    const session = newSession({ minCheckability: 0.5 });
+    session.handleTranscript({ text: 'Something vague and something specific.', isFinal: true });
+    await flush();
+
+    expect(services.claims.verifyClaim).toHaveBeenCalledTimes(1);
+    expect(services.claims.verifyClaim).toHaveBeenCalledWith('Something specific', session.callId, expect.any(Object));
+    session.close();
+  });
+
+  it('only whispers verdicts the policy allows, recording the rest', async () => {
+    services.claims.detectClaims.mockResolvedValue([
+      claim('Claim A'),
+      claim('Claim B'),
+      claim('Claim C'),
+    ]);
+    services.claims.verifyClaim.mockImplementation(async (text) => ({
+      'Claim A': correction('Actually, A.', { confidence: 0.95 }),
+      'Claim B': correction('Actually, B.', { confidence: 0.4 }),
+      'Claim C': correction('Just so you know, C could not be confirmed.', { verdict: 'unverifiable', confidence: 0.9 }),
+    })[text]);
+    const history = new CallHistory(':memory:');
+
+    const session = newSession({
+      callId: 'call-a',
+      history,
+      whisperPolicy: new WhisperPolicy({ false: 0.8 }),
+    });
+    session.start();
+    session.handleMessage({ type: 'start', streamSid: 'MZ1' });
+    session.handleTranscript({ text: 'A, B and C.', isFinal: true, speechFinal: true });
+    await flush();
+
+    expect(services.tts.stream).toHaveBeenCalledTimes(1);
+    expect(services.tts.stream).toHaveBeenCalledWith('Actually, A.', 'call-a');
+    expect(session.stats.suppressed).toBe(2);
+    expect(history.getCall('call-a').claims.map((c) => [c.verdict, c.confidence])).toEqual([
+      ['false', 0.95],
+      ['false', 0.4],
+      ['unverifiable', 0.9],
+    ]);
+    session.close();
+    history.close();
+  });
+
+  it('skips a claim repeated within the cooldown', async () => {
+    services.claims.detectClaims.mockResolvedValue([claim('Same claim')]);
+
+    const session = newSession();
+    session.handleTranscript({ text: 'Same claim.', isFinal: true });
+    await flush();
+    session.handleTranscript({ text: 'Same claim again.', isFinal: true });
+    await flush();
+
+    expect(services.claims.verifyClaim).toHaveBeenCalledTimes(1);
+    session.close();
+  });
+
+  it('does not share claim cooldowns between sessions', async () => {
+    services.claims.detectClaims.mockResolvedValue([claim('Shared talking point')]);
+
+    const a = newSession();
+    const b = newSession();
+    a.handleTranscript({ text: 'Shared talking point.', isFinal: true });
+    b.handleTranscript({ text: 'Shared talking point.', isFinal: true });
+    await flush();
+
+    expect(services.claims.verifyClaim).toHaveBeenCalledTimes(2);
+    a.close();
+    b.close();
+  });
+
+  it('starts speech from the streamed correction before verification finishes', async () => {
+    let finishVerify;
+    services.claims.detectClaims.mockResolvedValue([claim('The moon is made of cheese')]);
+    services.claims.verifyClaim.mockImplementation((text, callId, { onCorrection }) => {
+      onCorrection({ verdict: 'false', confidence: 0.9, correction: 'Actually,  it is rock.' });
+      return new Promise((r) => { finishVerify = r; });
+    });
+
+    const session = newSession({ callId: 'call-a' });
+    session.handleMessage({ type: 'start', streamSid: 'MZ1' });
+    session.handleTranscript({ text: 'The moon is made of cheese', isFinal: true, speechFinal: true });
+    await flush();
+    expect(services.tts.stream).toHaveBeenCalledWith('Actually, it is rock.', 'call-a');
+    expect(session.ws.send).not.toHaveBeenCalled();
+
+    finishVerify(correction('Actually, it is rock.'));
+    await flush();
+    expect(services.tts.stream).toHaveBeenCalledTimes(1);
+    expect(session.stats.corrections).toBe(1);
+    session.close();
+  });
+
+  it('discards early speech when the final verdict says something else', async () => {
+    services.claims.detectClaims.mockResolvedValue([claim('The moon is made of cheese')]);
+    services.claims.verifyClaim.mockImplementation(async (text, callId, { onCorrection }) => {
+      onCorrection({ verdict: 'false', confidence: 0.9, correction: 'Actually, it is 3.' });
+      return correction('Actually, it is 3.5 billion years old.');
+    });
+
+    const session = newSession({ callId: 'call-a' });
+    session.handleMessage({ type: 'start', streamSid: 'MZ1' });
+    session.handleTranscript({ text: 'The moon is made of cheese', isFinal: true, speechFinal: true });
+    await flush();
+
+    expect(services.tts.stream.mock.calls.map(([text]) => text)).toEqual([
+      'Actually, it is 3.',
+      'Actually, it is 3.5 billion years old.',
+    ]);
+    expect(session.stats.corrections).toBe(1);
+    session.close();
+  });
+
+  it('plays TTS audio as it streams in and records it played once complete', async () => {
+    let nextChunk;
+    services.claims.detectClaims.mockResolvedValue([claim('The moon is made of cheese')]);
+    services.claims.verifyClaim.mockResolvedValue(correction('Actually, it is rock.'));
+    services.tts.stream.mockImplementation(async function* () {
+      yield Buffer.alloc(4410);
+      yield await new Promise((r) => { nextChunk = r; });
+    });
+
+    const session = newSession();
+    session.handleMessage({ type: 'start', streamSid: 'MZ1' });
+    session.handleTranscript({ text: 'The moon is made of cheese', isFinal: true, speechFinal: true });
+    await flush();
+
+    // The first chunk is already on the line; no final mark until the rest arrives
+    const events = () => session.ws._sent.map((m) => JSON.parse(m));
+    expect(events().filter((m) => m.event === 'media').length).toBeGreaterThan(0);
+    expect(events().some((m) => m.event === 'mark')).toBe(false);
+
+    nextChunk(Buffer.alloc(4410));
+    await new Promise((r) => setTimeout(r, 150));
+    const marks = events().filter((m) => m.event === 'mark');
+    expect(marks.at(-1).mark.name).toMatch(/:1600$/);
+
+    session.handleMessage({ type: 'mark', name: marks.at(-1).mark.name });
+    expect(session.stats.played).toBe(1);
+    session.close();
+  });
+
+  it('pre-verifies a claim from interim transcripts and reuses it once the final transcript confirms it', async () => {
+    services.claims.detectClaims.mockResolvedValue([claim('The moon is made of cheese')]);
+    services.claims.verifyClaim.mockResolvedValue(correction('Actually, it is rock.'));
+    const history = new CallHistory(':memory:');
+    const verdictCache = new VerdictCache(':memory:');
+
+    const session = newSession({ callId: 'call-a', history, verdictCache, speculative: true });
+    session.start();
+    session.handleMessage({ type: 'start', streamSid: 'MZ1' });
+    session.handleTranscript({ text: 'The moon is made of cheese', isFinal: false });
+    session.handleTranscript({ text: 'The moon is made of cheese you', isFinal: false });
+    session.handleTranscript({ text: 'The moon is made of cheese you know', isFinal: false });
+    await flush();
+    expect(services.claims.detectClaims).toHaveBeenCalledWith(
+      expect.any(String), 'The moon is made of cheese', 'call-a', expect.objectContaining({ speculative: true }),
+    );
+    expect(services.claims.verifyClaim).toHaveBeenCalledWith(
+      'The moon is made of cheese', 'call-a', expect.objectContaining({ speculative: true }),
+    );
+    expect(verdictCache.get('The moon is made of cheese', 'science')).toBeNull();
+
+    session.handleTranscript({ text: 'The moon is made of cheese you know.', isFinal: true, speechFinal: true });
+    await flush();
+    expect(services.claims.verifyClaim).toHaveBeenCalledTimes(1);
+    expect(verdictCache.get('The moon is made of cheese', 'science')).toMatchObject({ verdict: 'false' });
+    expect(services.tts.stream).toHaveBeenCalledWith('Actually, it is rock.', 'call-a');
+    expect(session.toJSON().speculation).toMatchObject({ detections: 1, verifications: 1, confirmed: 1, cancelled: 0 });
+
+    session.close();
+    expect(history.getCall('call-a').metadata.speculation).toMatchObject({ confirmed: 1 });
+    history.close();
+    verdictCache.close();
+  });
+
+  it('aborts, and does not cache, the verification of a speculation the final transcript drops', async () => {
+    services.claims.detectClaims.mockResolvedValueOnce([claim('The moon is made of cheese')]).mockResolvedValueOnce([]);
+    let signal = null;
+    services.claims.verifyClaim.mockImplementation(async (text, callId, options) => {
+      signal = options.signal;
+      return correction('Actually, it is rock.');
+    });
+    const verdictCache = new VerdictCache(':memory:');
+
+    const session = newSession({ verdictCache, speculative: true });
+    session.handleMessage({ type: 'start', streamSid: 'MZ1' });
+    session.handleTranscript({ text: 'The moon is made of cheese', isFinal: false });
+    session.handleTranscript({ text: 'The moon is made of cheese you', isFinal: false });
+    await flush();
+    session.handleTranscript({ text: 'The moon is made of cheesecloth, you know.', isFinal: true, speechFinal: true });
+    await flush();
+
+    expect(signal.aborted).toBe(true);
+    expect(verdictCache.get('The moon is made of cheese', 'science')).toBeNull();
+    expect(services.tts.stream).not.toHaveBeenCalled();
+    expect(session.toJSON().speculation).toMatchObject({ cancelled: 1 });
+    session.close();
+    verdictCache.close();
+  });
+
+  it('does not check a claim the caller fixes in the same breath', async () => {
+    const segment = 'The war ended in 1946, no, sorry, 1945.';
+    services.claims.detectClaims.mockResolvedValue([claim('The war ended in 1946', { span: { start: 0, end: 21 } })]);
+    const history = new CallHistory(':memory:');
+
+    const session = newSession({ callId: 'call-a', history });
+    session.start();
+    session.handleTranscript({ text: segment, isFinal: true, speechFinal: true });
+    await flush();
+
+    expect(services.claims.verifyClaim).not.toHaveBeenCalled();
+    expect(session.stats.retracted).toBe(1);
+    expect(history.getCall('call-a').claims[0]).toMatchObject({ cancel_reason: 'caller retracted ("no, sorry")', verdict: null });
+    session.close();
+    history.close();
+  });
+
+  it('cancels verification when the next segment retracts the claim', async () => {
+    let signal;
+    let finishVerify;
+    services.claims.detectClaims.mockResolvedValueOnce([claim('The war ended in 1946')]);
+    services.claims.verifyClaim.mockImplementation((text, callId, options) => {
+      signal = options.signal;
+      return new Promise((r) => { finishVerify = r; });
+    });
+
+    const session = newSession();
+    session.start();
+    session.handleMessage({ type: 'start', streamSid: 'MZ1' });
+    session.handleTranscript({ text: 'The war ended in 1946.', isFinal: true });
+    await flush();
+    expect(signal.aborted).toBe(false);
+
+    session.handleTranscript({ text: 'No, sorry, 1945.', isFinal: true, speechFinal: true });
+    expect(signal.aborted).toBe(true);
+
+    finishVerify(correction('Actually, it ended in 1945.'));
+    await flush();
+    expect(services.tts.stream).not.toHaveBeenCalled();
+    expect(session.stats).toMatchObject({ retracted: 1, corrections: 0 });
+    session.close();
+  });
+
+  it('withdraws a queued correction when the caller retracts the claim', async () => {
+    services.claims.detectClaims.mockResolvedValue([claim('The war ended in 1946')]);
+    services.claims.verifyClaim.mockResolvedValue(correction('Actually, it ended in 1945.'));
+    const history = new CallHistory(':memory:');
+
+    const session = newSession({ callId: 'call-a', history });
+    session.start();
+    session.handleMessage({ type: 'start', streamSid: 'MZ1' });
+    session.handleTranscript({ text: 'The war ended in 1946.', isFinal: true });
+    await flush();
+    expect(session.corrections.length).toBe(1);
+
+    session.handleTranscript({ text: 'Sorry, I meant 1945.', isFinal: true, speechFinal: true });
+    await flush();
+
+    expect(session.corrections.length).toBe(0);
+    expect(session.ws.send).not.toHaveBeenCalled();
+    expect(session.stats).toMatchObject({ retracted: 1, cancelled: 1, corrections: 0 });
+    const call = history.getCall('call-a');
+    expect(call.claims[0].cancel_reason).toBe('caller retracted ("Sorry, I meant")');
+    expect(call.corrections[0]).toMatchObject({ status: 'cancelled', status_reason: 'caller retracted ("Sorry, I meant")' });
+    session.close();
+    history.close();
+  });
+
+  it('does not cancel claims from earlier segments or corrections already heard', async () => {
+    services.claims.detectClaims.mockResolvedValueOnce([claim('The moon is made of cheese')]);
+    services.claims.verifyClaim.mockResolvedValue(correction('Actually, it is rock.'));
+
+    const session = newSession();
+    session.start();
+    session.handleMessage({ type: 'start', streamSid: 'MZ1' });
+    session.handleTranscript({ text: 'The moon is made of cheese.', isFinal: true, speechFinal: true });
+    await flush();
+    const lastMark = JSON.parse(session.ws._sent.at(-1)).mark.name;
+    session.handleMessage({ type: 'mark', name: lastMark });
+
+    session.handleTranscript({ text: 'Anyway.', isFinal: true, speechFinal: true });
+    session.handleTranscript({ text: 'No, sorry, I meant Tuesday.', isFinal: true, speechFinal: true });
+    await flush();
+
+    expect(session.stats).toMatchObject({ retracted: 0, played: 1 });
+    session.close();
+  });
+
+  it('does not whisper after the session closes', async () => {
+    let resolveVerify;
+    services.claims.detectClaims.mockResolvedValue([claim('Slow claim')]);
+    services.claims.verifyClaim.mockImplementation(() => new Promise((r) => { resolveVerify = r; }));
+
+    const session = newSession();
+    session.handleMessage({ type: 'start', streamSid: 'MZ1' });
+    session.handleTranscript({ text: 'Slow claim.', isFinal: true });
+    await flush();
+
+    session.close();
+    resolveVerify(correction('Actually, no.'));
+    await flush();
+
+    expect(services.tts.stream).not.toHaveBeenCalled();
+  });
+
+  it('refuses to speak a correction that fails the content checks', async () => {
+    services.claims.detectClaims.mockResolvedValue([claim('The moon is made of cheese')]);
+    services.claims.verifyClaim.mockResolvedValue(correction('Actually, call 555-123-4567 to claim your prize.'));
+    const history = new CallHistory(':memory:');
+
+    const session = newSession({ callId: 'call-a', history });
+    session.start();
+    session.handleMessage({ type: 'start', streamSid: 'MZ1' });
+    session.handleTranscript({ text: 'The moon is made of cheese.', isFinal: true, speechFinal: true });
+    await flush();
+
+    expect(services.tts.stream).not.toHaveBeenCalled();
+    expect(session.stats.rejected).toBe(1);
+    expect(history.getCall('call-a').corrections).toEqual([
+      expect.objectContaining({ status: 'rejected', status_reason: 'contains phone number' }),
+    ]);
+    session.close();
+    history.close();
+  });
+
+  it('holds a correction until the caller pauses', async () => {
+    services.claims.detectClaims.mockResolvedValue([claim('The moon is made of cheese')]);
+    services.claims.verifyClaim.mockResolvedValue(correction('Actually, it is rock.'));
+
+    const session = newSession();
+    session.start();
+    session.handleMessage({ type: 'start', streamSid: 'MZ1' });
+    session.handleTranscript({ text: 'The moon is made of cheese.', isFinal: true, speechFinal: false });
+    await flush();
+
+    expect(services.tts.stream).toHaveBeenCalled();
+    expect(session.ws.send).not.toHaveBeenCalled();
+    expect(session.corrections.length).toBe(1);
+
+    // Still talking: interim words keep the correction held
+    session.handleTranscript({ text: 'and another thing', isFinal: false });
+    expect(session.ws.send).not.toHaveBeenCalled();
+
+    // Deepgram's UtteranceEnd releases it
+    createStream.mock.calls[0][4].onUtteranceEnd();
+    expect(session.ws.send).toHaveBeenCalled();
+    expect(session.stats.corrections).toBe(1);
+    session.close();
+  });
+
+  it('clears correction audio and records playback status when the caller barges in', async () => {
+    services.claims.detectClaims.mockResolvedValue([claim('The moon is made of cheese')]);
+    services.claims.verifyClaim.mockResolvedValue(correction('Actually, it is rock.'));
+    // One second of TTS audio → two progress marks
+    services.tts.stream.mockImplementation(async function* () { yield Buffer.alloc(44100); });
+    const history = new CallHistory(':memory:');
+
+    const session = newSession({ callId: 'call-a', history });
+    session.start();
+    session.handleMessage({ type: 'start', streamSid: 'MZ1' });
+    session.handleTranscript({ text: 'The moon is made of cheese', isFinal: true, speechFinal: true });
+    await flush();
+
+    // Let the scheduler pace out the first 500ms so its progress mark is sent
+    await new Promise((r) => setTimeout(r, 500));
+    const sent = session.ws._sent.map((m) => JSON.parse(m));
+    const firstMark = sent.find((m) => m.event === 'mark').mark.name;
+    session.handleMessage({ type: 'mark', name: firstMark });
+
+    // Caller starts talking over the correction
+    createStream.mock.calls[0][4].onSpeechStarted();
+
+    expect(JSON.parse(session.ws._sent.at(-1))).toEqual({ event: 'clear', streamSid: 'MZ1' });
+    expect(session.stats.partial).toBe(1);
+    expect(history.getCall('call-a').corrections[0]).toMatchObject({ status: 'partial', played_ms: 500 });
+    session.close();
+    history.close();
+  });
+
+  it('records a fully heard correction as played', async () => {
+    services.claims.detectClaims.mockResolvedValue([claim('The moon is made of cheese')]);
+    services.claims.verifyClaim.mockResolvedValue(correction('Actually, it is rock.'));
+
+    const session = newSession();
+    session.handleMessage({ type: 'start', streamSid: 'MZ1' });
+    session.handleTranscript({ text: 'The moon is made of cheese', isFinal: true, speechFinal: true });
+    await flush();
+
+    const marks = session.ws._sent.map((m) => JSON.parse(m)).filter((m) => m.event === 'mark');
+    session.handleMessage({ type: 'mark', name: marks.at(-1).mark.name });
+
+    expect(session.stats.played).toBe(1);
+    expect(session.playback.active).toBe(false);
+  });
+
+  it('marks queued corrections dropped when the call ends', async () => {
+    services.claims.detectClaims.mockResolvedValue([claim('The moon is made of cheese')]);
+    services.claims.verifyClaim.mockResolvedValue(correction('Actually, it is rock.'));
+    const history = new CallHistory(':memory:');
+
+    const session = newSession({ callId: 'call-a', history });
+    session.start();
+    session.handleMessage({ type: 'start', streamSid: 'MZ1' });
+    session.handleTranscript({ text: 'The moon is made of cheese.', isFinal: true });
+    await flush();
+    session.close();
+
+    expect(session.stats.dropped).toBe(1);
+    expect(history.getCall('call-a').corrections[0]).toMatchObject({ status: 'dropped', status_reason: 'call ended' });
+    history.close();
+  });
+
+  it('records segments, claims, verdicts and corrections in call history', async () => {
+    services.claims.detectClaims
+      .mockResolvedValueOnce([])
+      .mockResolvedValueOnce([claim('The moon is made of cheese')]);
+    services.claims.verifyClaim.mockResolvedValue({
+      ...correction('Actually, it is rock.'),
+      sources: [{ type: 'web', url: 'https://example.com/moon', title: 'The Moon', cited: true, snippets: ['The Moon is rocky.'] }],
+    });
+    const history = new CallHistory(':memory:');
+
+    const session = newSession({ callId: 'call-a', history });
+    session.start();
+    session.handleMessage({ type: 'start', streamSid: 'MZ1' });
+    session.handleTranscript({ text: 'Hello there.', isFinal: true });
+    session.handleTranscript({ text: 'The moon is made of cheese.', isFinal: true, speechFinal: true });
+    await flush();
+    const lastMark = JSON.parse(session.ws._sent.at(-1)).mark.name;
+    session.handleMessage({ type: 'mark', name: lastMark });
+    session.close();
+
+    const call = history.getCall('call-a');
+    expect(call.stream_sid).toBe('MZ1');
+    expect(call.ended_at).not.toBeNull();
+    expect(call.segments.map((s) => s.text)).toEqual(['Hello there.', 'The moon is made of cheese.']);
+    expect(call.claims).toEqual([
+      expect.objectContaining({
+        segment_id: call.segments[1].id,
+        text: 'The moon is made of cheese',
+        category: 'science',
+        checkability: 0.9,
+        verdict: 'false',
+        confidence: 0.9,
+        verified_by: 'web',
+      }),
+    ]);
+    expect(call.claims[0].sources).toEqual([
+      { type: 'web', url: 'https://example.com/moon', title: 'The Moon', cited: true, snippets: ['The Moon is rocky.'] },
+    ]);
+    expect(call.corrections[0]).toMatchObject({ claim_id: call.claims[0].id, text: 'Actually, it is rock.', status: 'played' });
+    history.close();
+  });
+
+  it('closes the STT stream once and emits close', () => {
+    const session = newSession();
+    const onClose = vi.fn();
+    session.on('close', onClose);
+    session.start();
+
+    session.handleMessage({ type: 'stop' });
+    session.close();
+
+    expect(createStream.streams[0].close).toHaveBeenCalledTimes(1);
+    expect(onClose).toHaveBeenCalledTimes(1);
+    expect(session.state).toBe('closed');
+    expect(session.endedAt).not.toBeNull();
+  });
+
+  describe('keypad commands', () => {
+    const dtmf = (session, digit) => session.handleMessage({ type: 'dtmf', digit, streamSid: 'MZ1' });
+    const events = (session) => session.ws._sent.map((m) => JSON.parse(m));
+
+    // A session that has whispered one correction, with its sources
+    async function corrected(opts = {}) {
+      services.claims.detectClaims.mockResolvedValue([claim('The moon is made of cheese')]);
+      services.claims.verifyClaim.mockResolvedValue(correction('Actually, it is rock.', {
+        sources: [{ type: 'web', url: 'https://www.nasa.gov/moon', title: 'The Moon', cited: true, snippets: [] }],
+      }));
+      const session = newSession({ callId: 'call-a', ...opts });
+      session.start();
+      session.handleMessage({ type: 'start', streamSid: 'MZ1' });
+      session.handleTranscript({ text: 'The moon is made of cheese', isFinal: true, speechFinal: true });
+      await flush();
+      return session;
+    }
+
+    it('repeats the last correction and says where it came from', async () => {
+      const session = await corrected();
+      services.tts.stream.mockClear();
+
+      dtmf(session, '1');
+      dtmf(session, '2');
+      await flush();
+
+      expect(services.tts.stream.mock.calls.map(([text]) => text)).toEqual(['Actually, it is rock.', 'From nasa.gov.']);
+      // Acknowledgements aren't corrections
+      expect(session.stats.corrections).toBe(1);
+      expect(session.stats.keypad).toBe(2);
+      session.close();
+    });
+
+    it('flags the last correction as wrong and forgets its cached verdict', async () => {
+      const history = new CallHistory(':memory:');
+      const verdictCache = new VerdictCache(':memory:');
+      const session = await corrected({ history, verdictCache });
+      expect(verdictCache.get('The moon is made of cheese', 'science')).not.toBeNull();
+
+      dtmf(session, '3');
+
+      const call = history.getCall('call-a');
+      expect(call.corrections[0].flagged_at).toEqual(expect.any(String));
+      expect(call.keypad).toEqual([
+        expect.objectContaining({ digit: '3', command: 'flag', outcome: 'flagged "Actually, it is rock." as wrong' }),
+      ]);
+      expect(verdictCache.get('The moon is made of cheese', 'science')).toBeNull();
+      session.close();
+      history.close();
+      verdictCache.close();
+    });
+
+    it('mutes whispers, cutting off what is playing, until unmuted', async () => {
+      const history = new CallHistory(':memory:');
+      const session = await corrected({ history });
+      expect(session.playback.active).toBe(true);
+
+      dtmf(session, '0');
+      expect(session.muted).toBe(true);
+      expect(events(session)).toContainEqual({ event: 'clear', streamSid: 'MZ1' });
+      expect(history.getCall('call-a').corrections[0].status).toBe('interrupted');
+
+      services.claims.detectClaims.mockResolvedValue([claim('Mars is blue')]);
+      services.claims.verifyClaim.mockResolvedValue(correction('Actually, it is red.'));
+      services.tts.stream.mockClear();
+      session.handleTranscript({ text: 'Mars is blue', isFinal: true, speechFinal: true });
+      await flush();
+      expect(services.tts.stream).not.toHaveBeenCalled();
+      expect(session.stats.silenced).toBe(1);
+
+      dtmf(session, '0');
+      expect(session.muted).toBe(false);
+      expect(history.getCall('call-a').keypad.map((k) => k.outcome)).toEqual(['muted', 'unmuted']);
+      session.close();
+      history.close();
+    });
+
+    it('starts no speech from a streamed correction while muted', async () => {
+      const session = await corrected();
+      dtmf(session, '0');
+
+      services.claims.detectClaims.mockResolvedValue([claim('Mars is blue')]);
+      services.claims.verifyClaim.mockImplementation(async (text, callId, { onCorrection }) => {
+        onCorrection({ verdict: 'false', confidence: 0.9, correction: 'Actually, it is red.' });
+        return correction('Actually, it is red.');
+      });
+      services.tts.stream.mockClear();
+      session.handleTranscript({ text: 'Mars is blue', isFinal: true, speechFinal: true });
+      await flush();
+      expect(services.tts.stream).not.toHaveBeenCalled();
+      expect(session.stats.silenced).toBe(1);
+      session.close();
+    });
+
+    it('cycles sensitivity, adjusting only this call\'s whisper policy', async () => {
+      const whisperPolicy = new WhisperPolicy({ false: 0.8 });
+      const session = newSession({ whisperPolicy });
+      session.handleMessage({ type: 'start', streamSid: 'MZ1' });
+
+      dtmf(session, '*');
+      expect(session.sensitivity).toBe('high');
+      expect(session.whisperPolicy.thresholds.false).toBeCloseTo(0.65);
+      await flush();
+      expect(services.tts.stream).toHaveBeenCalledWith('Sensitivity high.', expect.anything());
+
+      dtmf(session, '*');
+      dtmf(session, '*');
+      expect(session.sensitivity).toBe('normal');
+      expect(session.whisperPolicy.thresholds).toEqual({ false: 0.8 });
+      expect(whisperPolicy.thresholds).toEqual({ false: 0.8 });
+      expect(session.toJSON()).toMatchObject({ sensitivity: 'normal', muted: false, keypad: 3 });
+      session.close();
+    });
+
+    it('answers keys with nothing to act on with a tone', () => {
+      const session = newSession();
+      session.handleMessage({ type: 'start', streamSid: 'MZ1' });
+
+      dtmf(session, '1');
+      dtmf(session, '#');
+
+      expect(services.tts.stream).not.toHaveBeenCalled();
+      expect(events(session).filter((m) => m.event === 'media').length).toBeGreaterThan(0);
+      expect(session.stats.keypad).toBe(2);
+      session.close();
+    });
+  });
+
+  describe('spoken questions', () => {
+    const spoken = () => services.tts.stream.mock.calls.map(([text]) => text);
+    const lagos = { answer: 'Lagos has about 16 million people.', sources: [{ type: 'web', url: 'https://example.com/lagos', title: 'Lagos', cited: true, snippets: [] }] };
+
+    it('answers a question asked with the wake phrase instead of checking it for claims', async () => {
+      services.claims.answerQuestion.mockResolvedValue(lagos);
+      const history = new CallHistory(':memory:');
+      const session = newSession({ callId: 'call-a', history });
+      session.start();
+      session.handleMessage({ type: 'start', streamSid: 'MZ1' });
+      session.handleTranscript({ text: 'We flew into Lagos last week.', isFinal: true, speechFinal: true });
+      session.handleTranscript({ text: "Checker, what's the population there?", isFinal: true, speechFinal: true });
+      await flush();
+
+      expect(services.claims.detectClaims).toHaveBeenCalledTimes(1);
+      expect(services.claims.answerQuestion).toHaveBeenCalledWith("what's the population there?", 'call-a', { context: 'We flew into Lagos last week.' });
+      expect(spoken()).toEqual(['Lagos has about 16 million people.']);
+      expect(session.stats).toMatchObject({ questions: 1, answers: 1, corrections: 0 });
+
+      const marks = session.ws._sent.map((m) => JSON.parse(m)).filter((m) => m.event === 'mark');
+      session.handleMessage({ type: 'mark', name: marks.at(-1).mark.name });
+      expect(session.stats.played).toBe(0);
+      expect(history.getCall('call-a').questions).toEqual([
+        expect.objectContaining({ question: "what's the population there?", answer: 'Lagos has about 16 million people.', status: 'played' }),
+      ]);
+
+      // The keypad's source command works on the answer
+      services.tts.stream.mockClear();
+      session.handleMessage({ type: 'dtmf', digit: '2' });
+      await flush();
+      expect(spoken()).toEqual(['From example.com.']);
+      session.close();
+      history.close();
+    });
+
+    it('takes the next segment as the question after the wake phrase on its own', async () => {
+      services.claims.answerQuestion.mockResolvedValue(lagos);
+      const session = newSession();
+      session.handleMessage({ type: 'start', streamSid: 'MZ1' });
+      session.handleTranscript({ text: 'Checker.', isFinal: true, speechFinal: true });
+      session.handleTranscript({ text: 'How many people live in Lagos?', isFinal: true, speechFinal: true });
+      session.handleTranscript({ text: 'Anyway, it was hot.', isFinal: true, speechFinal: true });
+      await flush();
+
+      expect(services.claims.answerQuestion).toHaveBeenCalledTimes(1);
+      expect(services.claims.answerQuestion.mock.calls[0][0]).toBe('How many people live in Lagos?');
+      expect(services.claims.detectClaims).toHaveBeenCalledTimes(1);
+      expect(services.claims.detectClaims.mock.calls[0][1]).toBe('Anyway, it was hot.');
+      session.close();
+    });
+
+    it('says it has no answer when answering fails or the answer fails the content checks, even while muted', async () => {
+      services.claims.answerQuestion
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce({ answer: 'See lagosfacts.com for that.', sources: [] });
+      const history = new CallHistory(':memory:');
+      const session = newSession({ callId: 'call-a', history });
+      session.start();
+      session.handleMessage({ type: 'start', streamSid: 'MZ1' });
+      session.handleMessage({ type: 'dtmf', digit: '0' });
+      services.tts.stream.mockClear();
+
+      session.handleTranscript({ text: 'Checker, how tall is it?', isFinal: true, speechFinal: true });
+      await flush();
+      session.handleTranscript({ text: 'Checker, where can I read about Lagos?', isFinal: true, speechFinal: true });
+      await flush();
+
+      expect(spoken()).toEqual(["Sorry, I couldn't find an answer to that.", "Sorry, I couldn't find an answer to that."]);
+      expect(session.stats.answers).toBe(2);
+      expect(history.getCall('call-a').questions.map((q) => [q.status, q.status_reason])).toEqual([
+        ['unanswered', 'failed'],
+        ['unanswered', 'contains url'],
+      ]);
+      session.close();
+      history.close();
+    });
+
+    it('only listens for the caller\'s wake phrase, and not at all when it is off', async () => {
+      const session = newSession({ wakePhrase: null });
+      session.handleMessage({ type: 'start', streamSid: 'MZ1' });
+      session.handleTranscript({ text: 'Checker, who wrote Dune?', isFinal: true, speechFinal: true });
+      await flush();
+      expect(services.claims.answerQuestion).not.toHaveBeenCalled();
+      expect(services.claims.detectClaims).toHaveBeenCalledTimes(1);
+      session.close();
+
+      const bridged = newSession();
+      bridged.handleMessage({ type: 'start', streamSid: 'MZ1', parameters: { dial: '+15550002' } });
+      const party = bridged.attachParty(mockWs());
+      bridged.handleTranscript({ text: 'Checker, who wrote Dune?', isFinal: true, speechFinal: true }, party);
+      await flush();
+      expect(services.claims.answerQuestion).not.toHaveBeenCalled();
+      bridged.close();
+    });
+  });
+
+  describe('caller profiles', () => {
+    const profile = { voice_id: 'voice-2', attenuation: 0.8, sensitivity: 'high', language: 'es', ignored_topics: ['history'] };
+
+    it('applies the caller\'s voice, language, sensitivity and ignored topics', async () => {
+      services.claims.detectClaims.mockResolvedValue([claim('They won the cup in 1990.', { category: 'history' }), claim('Water boils at 50 C.')]);
+      services.claims.verifyClaim.mockResolvedValue(correction('Actually, at 100 C.', { confidence: 0.5 }));
+      const session = newSession({ callId: 'call-a', profile, whisperPolicy: new WhisperPolicy({ false: 0.6 }) });
+      session.start();
+      session.handleMessage({ type: 'start', streamSid: 'MZ1' });
+      expect(createStream.mock.calls[0][5]).toEqual({ language: 'es' });
+      expect(session.toJSON()).toMatchObject({ sensitivity: 'high' });
+
+      session.handleTranscript({ text: 'They won the cup in 1990 and water boils at 50 C.', isFinal: true, speechFinal: true });
+      await flush();
+
+      // Only the science claim is checked, and 0.5 confidence is enough at high sensitivity
+      expect(services.claims.verifyClaim).toHaveBeenCalledTimes(1);
+      expect(services.claims.verifyClaim.mock.calls[0][0]).toBe('Water boils at 50 C.');
+      expect(session.stats).toMatchObject({ claims: 1, ignored: 1, corrections: 1 });
+      expect(services.tts.stream).toHaveBeenCalledWith('Actually, at 100 C.', 'call-a', { voiceId: 'voice-2' });
+      session.close();
+    });
+
+    it('uses the defaults without a profile', () => {
+      const session = newSession();
+      session.start();
+      expect(createStream.mock.calls[0][5]).toEqual({});
+      expect(session.toJSON()).toMatchObject({ sensitivity: 'normal' });
+      expect(session.toJSON().limits).toBeUndefined();
+      session.close();
+    });
+
+    it('stops checking once a demo call has used its checks', async () => {
+      services.claims.detectClaims.mockResolvedValueOnce([claim('A is B.'), claim('C is D.'), claim('E is F.')]);
+      const session = newSession({ limits: { maxChecks: 2, maxMs: null } });
+      session.start();
+      session.handleMessage({ type: 'start', streamSid: 'MZ1' });
+      session.handleTranscript({ text: 'A is B, C is D and E is F.', isFinal: true, speechFinal: true });
+      await flush();
+      expect(services.claims.verifyClaim).toHaveBeenCalledTimes(2);
+
+      session.handleTranscript({ text: 'Checker, who wrote Dune?', isFinal: true, speechFinal: true });
+      await flush();
+      expect(services.claims.answerQuestion).not.toHaveBeenCalled();
+      expect(session.stats).toMatchObject({ claims: 2, questions: 0, limited: 2 });
+      expect(session.toJSON().limits).toEqual({ maxChecks: 2, maxMs: null });
+      session.close();
+    });
+
+    it('stops speculating once a demo call has used its checks', async () => {
+      services.claims.detectClaims.mockResolvedValueOnce([claim('A is B.')]);
+      const session = newSession({ speculative: true, limits: { maxChecks: 1, maxMs: null } });
+      session.start();
+      session.handleMessage({ type: 'start', streamSid: 'MZ1' });
+      session.handleTranscript({ text: 'A is B.', isFinal: true, speechFinal: true });
+      await flush();
+      services.claims.detectClaims.mockClear();
+
+      session.handleTranscript({ text: 'The moon is made of cheese', isFinal: false });
+      session.handleTranscript({ text: 'The moon is made of cheese and rock', isFinal: false });
+      await flush();
+      expect(services.claims.detectClaims).not.toHaveBeenCalled();
+      expect(services.claims.verifyClaim).toHaveBeenCalledTimes(1);
+      session.close();
+    });
+
+    it('ends a demo call when its time is up', () => {
+      vi.useFakeTimers();
+      try {
+        const session = newSession({ limits: { maxChecks: null, maxMs: 60_000 } });
+        session.start();
+        vi.advanceTimersByTime(59_000);
+        expect(session.state).not.toBe('closed');
+        vi.advanceTimersByTime(1000);
+        expect(session.state).toBe('closed');
+        expect(session.ws.close).toHaveBeenCalled();
+      } finally {
+        vi.useRealTimers();
+      }
+    });
+  });
+
+  describe('bridged calls', () => {
+    const media = (ws) => ws._sent.map((m) => JSON.parse(m)).filter((m) => m.event === 'media');
+
+    // A caller who keyed in a number, and the other party's leg joined to their session
+    function bridgedSession(opts = {}) {
+      const session = newSession({ callId: 'call-a', ...opts });
+      session.start();
+      session.handleMessage({ type: 'start', streamSid: 'MZcaller', parameters: { dial: '+15550002' } });
+      const partyWs = mockWs();
+      const party = session.attachParty(partyWs);
+      session.handleMessage({ type: 'start', streamSid: 'MZparty', parameters: { bridge: 'call-a' } }, party);
+      return { session, party, partyWs };
+    }
+
+    it('gives the other party their own STT stream and relays audio between the legs', () => {
+      const { session, party, partyWs } = bridgedSession();
+
+      expect(createStream).toHaveBeenCalledTimes(2);
+      expect(createStream.streams[1].callId).toBe('call-a');
+      expect(session.attachParty(mockWs())).toBeNull();
+
+      session.handleMessage({ type: 'media', audio: Buffer.alloc(160, 1), streamSid: 'MZcaller' });
+      session.handleMessage({ type: 'media', audio: Buffer.alloc(160, 2), streamSid: 'MZparty' }, party);
+
+      expect(createStream.streams[0].send).toHaveBeenCalledWith(Buffer.alloc(160, 1));
+      expect(createStream.streams[1].send).toHaveBeenCalledWith(Buffer.alloc(160, 2));
+      expect(media(partyWs)).toEqual([expect.objectContaining({ streamSid: 'MZparty' })]);
+      expect(media(session.ws)).toEqual([expect.objectContaining({ streamSid: 'MZcaller' })]);
+      expect(session.toJSON()).toMatchObject({ stream_sid: 'MZcaller', party_stream_sid: 'MZparty', check_party: true });
+      session.close();
+    });
+
+    it('drops relayed audio for a leg whose socket is backed up', () => {
+      const { session, party, partyWs } = bridgedSession();
+
+      partyWs.bufferedAmount = 64 * 1024;
+      session.ws.bufferedAmount = 64 * 1024;
+      session.handleMessage({ type: 'media', audio: Buffer.alloc(160, 1), streamSid: 'MZcaller' });
+      session.handleMessage({ type: 'media', audio: Buffer.alloc(160, 2), streamSid: 'MZparty' }, party);
+
+      expect(media(partyWs)).toEqual([]);
+      expect(media(session.ws)).toEqual([]);
+      expect(createStream.streams[0].send).toHaveBeenCalledWith(Buffer.alloc(160, 1));
+      expect(createStream.streams[1].send).toHaveBeenCalledWith(Buffer.alloc(160, 2));
+      session.close();
+    });
+
+    it('checks the other party\'s claims, attributes them, and whispers only to the caller', async () => {
+      services.claims.detectClaims.mockImplementation(async (context, segment) => (
+        segment.startsWith('It') ? [claim('The Shard is the tallest building in Europe')] : []
+      ));
+      services.claims.verifyClaim.mockResolvedValue(correction('Actually, it is in Moscow.'));
+      const history = new CallHistory(':memory:');
+      const { session, party, partyWs } = bridgedSession({ history });
+
+      session.handleTranscript({ text: 'We went up the Shard.', isFinal: true, speechFinal: true });
+      createStream.streams[1].onTranscript({ text: "It's the tallest building in Europe.", isFinal: true, speechFinal: true });
+      await flush();
+
+      expect(services.claims.detectClaims).toHaveBeenLastCalledWith(
+        'Caller: We went up the Shard.', "It's the tallest building in Europe.", 'call-a', { fragments: 1 },
+      );
+      expect(session.transcriptBuffer).toEqual(['Caller: We went up the Shard.', "Other party: It's the tallest building in Europe."]);
+      const call = history.getCall('call-a');
+      expect(call.segments.map((s) => s.speaker)).toEqual(['caller', 'party']);
+      expect(call.claims).toEqual([expect.objectContaining({ speaker: 'party', verdict: 'false' })]);
+
+      // The correction goes out on the caller's leg, mixed into the other party's audio
+      expect(session.stats.corrections).toBe(1);
+      session.handleMessage({ type: 'media', audio: Buffer.alloc(160, 0xff), streamSid: 'MZparty' }, party);
+      expect(media(session.ws).every((m) => m.streamSid === 'MZcaller')).toBe(true);
+      expect(partyWs._sent).toEqual([]);
+      session.close();
+      history.close();
+    });
+
+    it('only records the other party when set not to check their claims', async () => {
+      services.claims.detectClaims.mockResolvedValue([]);
+      const history = new CallHistory(':memory:');
+      const { session } = bridgedSession({ history, checkParty: false });
+
+      createStream.streams[1].onTranscript({ text: 'The moon is made of cheese.', isFinal: true, speechFinal: true });
+      await flush();
+
+      expect(services.claims.detectClaims).not.toHaveBeenCalled();
+      expect(history.getCall('call-a').segments).toEqual([expect.objectContaining({ speaker: 'party' })]);
+      session.close();
+      history.close();
+    });
+
+    it('holds corrections while the other party talks, without cutting off one that is playing', async () => {
+      services.claims.detectClaims.mockResolvedValue([claim('The moon is made of cheese')]);
+      services.claims.verifyClaim.mockResolvedValue(correction('Actually, it is rock.'));
+      const { session } = bridgedSession();
+
+      createStream.streams[1].onTranscript({ text: 'Well', isFinal: false });
+      session.handleTranscript({ text: 'The moon is made of cheese.', isFinal: true, speechFinal: true });
+      await flush();
+      expect(session.corrections.length).toBe(1);
+
+      createStream.streams[1].onTranscript({ text: 'Well, I heard that too.', isFinal: true, speechFinal: true });
+      expect(session.corrections.length).toBe(0);
+      expect(session.playback.active).toBe(true);
+
+      createStream.streams[1].onTranscript({ text: 'Really', isFinal: false });
+      expect(session.playback.active).toBe(true);
+      expect(session.stats.interrupted).toBe(0);
+      session.close();
+    });
+
+    it('names the other party when they retract a claim', async () => {
+      let resolveVerify;
+      services.claims.detectClaims.mockResolvedValueOnce([claim('The war ended in 1946')]);
+      services.claims.verifyClaim.mockImplementation(() => new Promise((r) => { resolveVerify = r; }));
+      const history = new CallHistory(':memory:');
+      const { session } = bridgedSession({ history });
+
+      createStream.streams[1].onTranscript({ text: 'The war ended in 1946.', isFinal: true, speechFinal: true });
+      await flush();
+      createStream.streams[1].onTranscript({ text: 'No, sorry, 1945.', isFinal: true, speechFinal: true });
+      resolveVerify(correction('Actually, it ended in 1945.'));
+      await flush();
+
+      expect(history.getCall('call-a').claims[0].cancel_reason).toBe('other party retracted ("No, sorry")');
+      session.close();
+      history.close();
+    });
+
+    it('tells the caller when the other party does not answer, then hangs up', async () => {
+      const session = newSession({ callId: 'call-a' });
+      session.start();
+      session.handleMessage({ type: 'start', streamSid: 'MZcaller', parameters: { dial: '+15550002' } });
+
+      session.partyCallSid = 'CA1';
+      expect(session.partyUnreachable('busy')).toBe(true);
+      // That call is over: nothing to hang up when the caller's session closes
+      expect(session.partyCallSid).toBeNull();
+      await new Promise((r) => setTimeout(r, 150));
+      expect(services.tts.stream).toHaveBeenCalledWith('The number you called is busy. Goodbye.', 'call-a');
+      expect(session.state).toBe('active');
+
+      const marks = session.ws._sent.map((m) => JSON.parse(m)).filter((m) => m.event === 'mark');
+      session.handleMessage({ type: 'mark', name: marks.at(-1).mark.name });
+      expect(session.state).toBe('closed');
+      expect(session.ws.close).toHaveBeenCalled();
+      expect(session.partyUnreachable('no-answer')).toBe(false);
+    });
+
+    it('ignores the other party\'s call status once they have joined', () => {
+      const { session } = bridgedSession();
+
+      expect(session.partyUnreachable('canceled')).toBe(false);
+      expect(services.tts.stream).not.toHaveBeenCalled();
+      session.close();
+    });
+
+    it('ends both legs when either side hangs up', () => {
+      const { session, party, partyWs } = bridgedSession();
+
+      session.handleMessage({ type: 'stop' }, party);
+
+      expect(session.state).toBe('closed');
+      expect(createStream.streams[0].close).toHaveBeenCalled();
+      expect(createStream.streams[1].close).toHaveBeenCalled();
+      expect(session.ws.close).toHaveBeenCalled();
+      expect(partyWs.close).toHaveBeenCalled();
+    });
+  });
+});
+
+describe('SessionRegistry', () => {
+  function newSession(callId) {
+    return new CallSession(mockWs(), {
+      ...mockServices(),
+      deepgramKey: 'dg-key',
+      createStream: mockStreamFactory(),
+      callId,
+    });
+  }
+
+  it('registers sessions and looks them up by callId', () => {
+    const registry = new SessionRegistry();
+    const a = registry.add(newSession('call-a'));
+    registry.add(newSession('call-b'));
+
+    expect(registry.size).toBe(2);
+    expect(registry.get('call-a')).toBe(a);
+    expect(registry.get('missing')).toBeNull();
+    expect(registry.list().map((s) => s.callId)).toEqual(['call-a', 'call-b']);
+  });
+
+  it('drops sessions when they close', () => {
+    const registry = new SessionRegistry();
+    const a = registry.add(newSession('call-a'));
+    registry.add(newSession('call-b'));
+
+    a.close();
+    expect(registry.size).toBe(1);
+    expect(registry.get('call-a')).toBeNull();
+
+    registry.closeAll();
+    expect(registry.size).toBe(0);
+  });
+
+  it('serializes sessions for the API', () => {
+    const registry = new SessionRegistry();
+    registry.add(newSession('call-a'));
+
+    const [json] = JSON.parse(JSON.stringify(registry.list()));
+    expect(json).toMatchObject({ call_id: 'call-a', state: 'connecting', segments: 0 });
+  });
+});
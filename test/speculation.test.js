@@ -0,0 +1,164 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { Speculator } from '../src/speculation.js';
+
+function claim(text, span = null, extra = {}) {
+  return { text, category: 'science', checkability: 0.9, span, ...extra };
+}
+
+describe('Speculator', () => {
+  let detect;
+  let verify;
+  let speculator;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    detect = vi.fn().mockResolvedValue([]);
+    verify = vi.fn().mockResolvedValue({ verdict: 'false', confidence: 0.9, correction: 'Actually, no.' });
+    speculator = new Speculator({ detect, verify, minCheckability: 0.5 });
+  });
+
+  afterEach(() => vi.useRealTimers());
+
+  it('detects once two interims agree on enough leading words, ignoring the last word', () => {
+    speculator.interim('The Eiffel Tower is five');
+    speculator.interim('The Eiffel Tower is five hundred');
+    expect(detect).not.toHaveBeenCalled();
+
+    speculator.interim('The Eiffel Tower is five hundred meters');
+    expect(detect).toHaveBeenCalledTimes(1);
+    expect(detect).toHaveBeenCalledWith('The Eiffel Tower is five hundred', expect.objectContaining({ speculative: true }));
+  });
+
+  it('waits for more stable words before detecting again, and caps detections per segment', () => {
+    const words = Array.from({ length: 30 }, (_, i) => `word${i}`);
+    for (let n = 2; n <= words.length; n++) speculator.interim(words.slice(0, n).join(' '));
+
+    expect(detect.mock.calls.map(([text]) => text.split(' ').length)).toEqual([6, 12]);
+  });
+
+  it('does not count words that changed between interims as stable', () => {
+    speculator.interim('Paris has twenty million people living there');
+    speculator.interim('Paris has two million people living there now');
+    expect(detect).not.toHaveBeenCalled();
+  });
+
+  it('confirms a speculation the final transcript agrees with and reports the time saved', async () => {
+    const interim = 'The moon is made of cheese you know';
+    detect.mockResolvedValueOnce([claim('The moon is made of cheese', { start: 0, end: 26 })]);
+    speculator.interim(interim);
+    speculator.interim(`${interim} right`);
+    await vi.advanceTimersByTimeAsync(0);
+    expect(verify).toHaveBeenCalledWith(claim('The moon is made of cheese', { start: 0, end: 26 }), expect.objectContaining({ speculative: true }));
+
+    // The final transcript arrives 800ms later
+    await vi.advanceTimersByTimeAsync(800);
+    const segment = speculator.finalize();
+    const finalClaim = claim('the moon is made of cheese.', { start: 0, end: 26 });
+    const confirmed = await speculator.reconcile(segment, [finalClaim], 'The moon is made of cheese you know right');
+
+    expect(confirmed.get(finalClaim)).toBeDefined();
+    expect((await speculator.result(confirmed.get(finalClaim))).correction).toBe('Actually, no.');
+    expect(speculator.toJSON()).toMatchObject({ detections: 1, verifications: 1, confirmed: 1, cancelled: 0, saved_ms: 0 });
+  });
+
+  it('counts a head start when the speculative verification is still running', async () => {
+    let finish;
+    verify.mockImplementationOnce(() => new Promise((r) => { finish = r; }));
+    detect.mockResolvedValueOnce([claim('Water boils at 50 degrees', { start: 0, end: 25 })]);
+    speculator.interim('Water boils at 50 degrees at sea level');
+    speculator.interim('Water boils at 50 degrees at sea level obviously');
+    await vi.advanceTimersByTimeAsync(0);
+
+    await vi.advanceTimersByTimeAsync(700);
+    const finalClaim = claim('Water boils at 50 degrees', { start: 0, end: 25 });
+    const confirmed = await speculator.reconcile(speculator.finalize(), [finalClaim], 'Water boils at 50 degrees at sea level.');
+
+    await vi.advanceTimersByTimeAsync(300);
+    finish({ verdict: 'false', confidence: 0.9, correction: 'Actually, 100.' });
+    await speculator.result(confirmed.get(finalClaim));
+    expect(speculator.stats.saved_ms).toBe(700);
+  });
+
+  it('matches a reworded claim by the words it was found in', async () => {
+    detect.mockResolvedValueOnce([claim('Canada has 80 million inhabitants', { start: 0, end: 27 })]);
+    speculator.interim('Canada has 80 million people and more');
+    speculator.interim('Canada has 80 million people and more besides');
+    await vi.advanceTimersByTimeAsync(0);
+
+    const finalClaim = claim('The population of Canada is 80 million', { start: 0, end: 27 });
+    const confirmed = await speculator.reconcile(speculator.finalize(), [finalClaim], 'Canada has 80 million people and more besides.');
+    expect(confirmed.size).toBe(1);
+  });
+
+  it('cancels speculations the final transcript does not bear out and counts their cost as extra', async () => {
+    detect.mockImplementationOnce(async (text, { onCost }) => {
+      onCost(0.001);
+      return [claim('Paris has 20 million people', { start: 0, end: 27 })];
+    });
+    verify.mockImplementationOnce(async (c, { onCost }) => {
+      onCost(0.01);
+      return { verdict: 'false', confidence: 0.9, correction: 'Actually, about 2 million.' };
+    });
+    speculator.interim('Paris has 20 million people in it');
+    speculator.interim('Paris has 20 million people in it they say');
+    await vi.advanceTimersByTimeAsync(0);
+
+    const confirmed = await speculator.reconcile(speculator.finalize(), [], 'Paris has 2 million people in it they say.');
+    expect(confirmed.size).toBe(0);
+    expect(speculator.toJSON()).toMatchObject({ cancelled: 1, confirmed: 0 });
+    expect(speculator.stats.extra_cost_usd).toBeCloseTo(0.011);
+  });
+
+  it('aborts the verification of a cancelled speculation', async () => {
+    detect.mockResolvedValueOnce([claim('Paris has 20 million people', { start: 0, end: 27 })]);
+    speculator.interim('Paris has 20 million people in it');
+    speculator.interim('Paris has 20 million people in it they say');
+    await vi.advanceTimersByTimeAsync(0);
+    const { signal } = verify.mock.calls[0][1];
+    expect(signal.aborted).toBe(false);
+
+    await speculator.reconcile(speculator.finalize(), [], 'Paris has 2 million people in it they say.');
+    expect(signal.aborted).toBe(true);
+  });
+
+  it('does not count a confirmed verification as extra spend', async () => {
+    detect.mockImplementationOnce(async (text, { onCost }) => {
+      onCost(0.001);
+      return [claim('Paris has 20 million people', { start: 0, end: 27 })];
+    });
+    verify.mockImplementationOnce(async (c, { onCost }) => {
+      onCost(0.01);
+      return { verdict: 'false', confidence: 0.9, correction: 'Actually, about 2 million.' };
+    });
+    speculator.interim('Paris has 20 million people in it');
+    speculator.interim('Paris has 20 million people in it they say');
+    await vi.advanceTimersByTimeAsync(0);
+
+    const finalClaim = claim('Paris has 20 million people', { start: 0, end: 27 });
+    await speculator.reconcile(speculator.finalize(), [finalClaim], 'Paris has 20 million people in it they say.');
+    expect(speculator.stats.extra_cost_usd).toBeCloseTo(0.001);
+  });
+
+  it('waits for a speculative detection still in flight when the final transcript arrives', async () => {
+    let finishDetect;
+    detect.mockImplementationOnce(() => new Promise((r) => { finishDetect = r; }));
+    speculator.interim('The Great Wall is visible from space');
+    speculator.interim('The Great Wall is visible from space easily');
+
+    const finalClaim = claim('The Great Wall is visible from space', { start: 0, end: 36 });
+    const reconciled = speculator.reconcile(speculator.finalize(), [finalClaim], 'The Great Wall is visible from space easily.');
+    finishDetect([claim('The Great Wall is visible from space', { start: 0, end: 36 })]);
+
+    expect((await reconciled).size).toBe(1);
+  });
+
+  it('skips claims below the checkability bar or checked recently', async () => {
+    speculator = new Speculator({ detect, verify, minCheckability: 0.5, isRecent: (text) => text === 'Old claim here' });
+    detect.mockResolvedValueOnce([claim('Vague claim', null, { checkability: 0.2 }), claim('Old claim here')]);
+    speculator.interim('one two three four five six seven');
+    speculator.interim('one two three four five six seven eight');
+    await vi.advanceTimersByTimeAsync(0);
+
+    expect(verify).not.toHaveBeenCalled();
+  });
+});
@@ -103,4 +103,35 @@ describe('WhisperTTS', () => {
     expect(result.pcmBuffer[2]).toBe(0x03);
     expect(result.pcmBuffer[3]).toBe(0x04);
   });
+
+  it('streams PCM chunks as they arrive and logs the cost once', async () => {
+    const costTracker = { log: vi.fn() };
+    tts = new WhisperTTS('test-key', 'voice-123', costTracker);
+    mockStream.mockResolvedValueOnce(asyncIterableFrom([Buffer.alloc(10, 1), Buffer.alloc(20, 2)]));
+
+    const chunks = [];
+    for await (const chunk of tts.stream('Actually, no.', 'call-a')) chunks.push(chunk);
+
+    expect(chunks.map((c) => c.length)).toEqual([10, 20]);
+    expect(costTracker.log).toHaveBeenCalledTimes(1);
+    expect(costTracker.log).toHaveBeenCalledWith('elevenlabs', 'tts', 13, 'characters', expect.any(Number), 'call-a');
+  });
+
+  it('speaks in another voice when given one', async () => {
+    mockStream.mockResolvedValueOnce(asyncIterableFrom([Buffer.alloc(10)]));
+    for await (const chunk of tts.stream('Hola.', 'call-a', { voiceId: 'voice-456' })) expect(chunk.length).toBe(10);
+    expect(mockStream).toHaveBeenCalledWith('voice-456', expect.objectContaining({ text: 'Hola.' }));
+  });
+
+  it('still logs the cost when the consumer stops reading early', async () => {
+    const costTracker = { log: vi.fn() };
+    tts = new WhisperTTS('test-key', 'voice-123', costTracker);
+    mockStream.mockResolvedValueOnce(asyncIterableFrom([Buffer.alloc(10), Buffer.alloc(10)]));
+
+    for await (const chunk of tts.stream('Abandoned')) {
+      expect(chunk.length).toBe(10);
+      break;
+    }
+    expect(costTracker.log).toHaveBeenCalledTimes(1);
+  });
 });
@@ -2,7 +2,19 @@ import { describe, it, expect, vi } from 'vitest';
 import crypto from 'crypto';
 import express from 'express';
 import http from 'http';
-import { createTwimlRouter, parseTwilioMessage, sendAudioToTwilio } from '../src/twilio.js';
+import {
+  TwilioClient,
+  allowedDestination,
+  createTwimlRouter,
+  dialNumber,
+  parseDestinations,
+  parseTwilioMessage,
+  streamTwiml,
+  rejectTwiml,
+  sendAudioToTwilio,
+  sendMarkToTwilio,
+  sendClearToTwilio,
+} from '../src/twilio.js';
 
 const TEST_AUTH_TOKEN = 'test-auth-token-abc123';
 
@@ -41,6 +53,15 @@ describe('parseTwilioMessage', () => {
     expect(result.streamSid).toBe('MZabc');
   });
 
+  it('returns the call and custom parameters of a start event', () => {
+    const msg = JSON.stringify({
+      event: 'start',
+      start: { streamSid: 'MZabc', callSid: 'CA1', customParameters: { dial: '+15550001' } },
+    });
+
+    expect(parseTwilioMessage(msg)).toEqual({ type: 'start', streamSid: 'MZabc', callSid: 'CA1', parameters: { dial: '+15550001' } });
+  });
+
   it('parses a stop event', () => {
     const msg = JSON.stringify({ event: 'stop' });
     const result = parseTwilioMessage(msg);
@@ -53,10 +74,22 @@ describe('parseTwilioMessage', () => {
     expect(result.type).toBe('connected');
   });
 
+  it('parses a mark event', () => {
+    const msg = JSON.stringify({ event: 'mark', streamSid: 'MZ1', mark: { name: 'c1:4000' } });
+    const result = parseTwilioMessage(msg);
+    expect(result).toEqual({ type: 'mark', name: 'c1:4000', streamSid: 'MZ1' });
+  });
+
+  it('parses a dtmf event with the key pressed', () => {
+    const msg = JSON.stringify({ event: 'dtmf', streamSid: 'MZ1', sequenceNumber: '5', dtmf: { track: 'inbound_track', digit: '1' } });
+    const result = parseTwilioMessage(msg);
+    expect(result).toEqual({ type: 'dtmf', digit: '1', streamSid: 'MZ1' });
+  });
+
   it('returns unknown for unrecognized events', () => {
-    const msg = JSON.stringify({ event: 'dtmf' });
+    const msg = JSON.stringify({ event: 'transcription' });
     const result = parseTwilioMessage(msg);
-    expect(result.type).toBe('dtmf');
+    expect(result.type).toBe('transcription');
   });
 
   it('returns error for invalid JSON', () => {
@@ -160,6 +193,129 @@ describe('sendAudioToTwilio', () => {
   });
 });
 
+describe('sendMarkToTwilio / sendClearToTwilio', () => {
+  function mockWs(readyState = 1) {
+    return { OPEN: 1, readyState, send: vi.fn() };
+  }
+
+  it('sends a named mark for the stream', () => {
+    const ws = mockWs();
+    sendMarkToTwilio(ws, 'c1:end', 'MZ1');
+    expect(JSON.parse(ws.send.mock.calls[0][0])).toEqual({ event: 'mark', streamSid: 'MZ1', mark: { name: 'c1:end' } });
+  });
+
+  it('sends a clear message for the stream', () => {
+    const ws = mockWs();
+    sendClearToTwilio(ws, 'MZ1');
+    expect(JSON.parse(ws.send.mock.calls[0][0])).toEqual({ event: 'clear', streamSid: 'MZ1' });
+  });
+
+  it('sends nothing if ws is not open', () => {
+    const ws = mockWs(3);
+    sendMarkToTwilio(ws, 'c1:end', 'MZ1');
+    sendClearToTwilio(ws, 'MZ1');
+    expect(ws.send).not.toHaveBeenCalled();
+  });
+});
+
+describe('streamTwiml', () => {
+  it('connects a stream, passing parameters with its start message', () => {
+    expect(streamTwiml('wss://example.com/media?token=a&b')).toContain('<Stream url="wss://example.com/media?token=a&amp;b" />');
+
+    const twiml = streamTwiml('wss://example.com/media', { bridge: 'call-a', note: '"<x>"' });
+    expect(twiml).toContain('<Parameter name="bridge" value="call-a" />');
+    expect(twiml).toContain('<Parameter name="note" value="&quot;&lt;x&gt;&quot;" />');
+    expect(twiml).toContain('</Stream>');
+  });
+
+  it('reads out a greeting before connecting', () => {
+    const twiml = streamTwiml('wss://example.com/media', {}, { say: 'This is a demo & it ends soon.' });
+    expect(twiml.indexOf('<Say>This is a demo &amp; it ends soon.</Say>')).toBeLessThan(twiml.indexOf('<Connect>'));
+    expect(streamTwiml('wss://example.com/media')).not.toContain('<Say>');
+  });
+});
+
+describe('rejectTwiml', () => {
+  it('declines the call unanswered, or reads a message and hangs up', () => {
+    expect(rejectTwiml()).toContain('<Reject reason="rejected" />');
+
+    const twiml = rejectTwiml('This number is not registered.');
+    expect(twiml).toContain('<Say>This number is not registered.</Say>');
+    expect(twiml).toContain('<Hangup />');
+    expect(twiml).not.toContain('<Reject');
+  });
+});
+
+describe('dialNumber', () => {
+  it('turns keyed-in digits into an E.164 number', () => {
+    expect(dialNumber('15551234567')).toBe('+15551234567');
+    expect(dialNumber('44 20 7946 0958')).toBe('+442079460958');
+    expect(dialNumber('1234')).toBeNull();
+    expect(dialNumber('1234567890123456')).toBeNull();
+    expect(dialNumber(undefined)).toBeNull();
+  });
+});
+
+describe('allowedDestination', () => {
+  it('only allows numbers starting with one of the prefixes', () => {
+    const prefixes = parseDestinations(' +1415, +44 ,1212,+44x,');
+    expect(prefixes).toEqual(['+1415', '+44']);
+    expect(allowedDestination('+14155550100', prefixes)).toBe(true);
+    expect(allowedDestination('+442079460958', prefixes)).toBe(true);
+    expect(allowedDestination('+12125550100', prefixes)).toBe(false);
+    expect(allowedDestination(null, prefixes)).toBe(false);
+  });
+
+  it('allows nothing without prefixes', () => {
+    expect(parseDestinations(undefined)).toEqual([]);
+    expect(allowedDestination('+14155550100', [])).toBe(false);
+    expect(allowedDestination('+14155550100')).toBe(false);
+  });
+});
+
+describe('TwilioClient', () => {
+  it('places a call through the REST API with basic auth', async () => {
+    const fetch = vi.fn(async () => ({ ok: true, status: 201, json: async () => ({ sid: 'CA1', status: 'queued' }) }));
+    const client = new TwilioClient('AC1', 'secret', { baseUrl: 'https://twilio.test', fetch });
+
+    const call = await client.createCall({ to: '+15550002', from: '+15550001', twiml: '<Response/>' });
+
+    expect(call).toEqual({ sid: 'CA1', status: 'queued' });
+    const [url, init] = fetch.mock.calls[0];
+    expect(url).toBe('https://twilio.test/2010-04-01/Accounts/AC1/Calls.json');
+    expect(init.headers.Authorization).toBe(`Basic ${Buffer.from('AC1:secret').toString('base64')}`);
+    expect(Object.fromEntries(new URLSearchParams(init.body))).toEqual({ To: '+15550002', From: '+15550001', Twiml: '<Response/>' });
+  });
+
+  it('asks for status callbacks on the call\'s progress', async () => {
+    const fetch = vi.fn(async () => ({ ok: true, status: 201, json: async () => ({ sid: 'CA1' }) }));
+    const client = new TwilioClient('AC1', 'secret', { fetch });
+
+    await client.createCall({ to: '+15550002', from: '+15550001', twiml: '<Response/>', statusCallback: 'https://example.com/twilio/status?call=a' });
+
+    const params = new URLSearchParams(fetch.mock.calls[0][1].body);
+    expect(params.get('StatusCallback')).toBe('https://example.com/twilio/status?call=a');
+    expect(params.getAll('StatusCallbackEvent')).toEqual(['initiated', 'ringing', 'answered', 'completed']);
+  });
+
+  it('ends a call by updating its status', async () => {
+    const fetch = vi.fn(async () => ({ ok: true, status: 200, json: async () => ({ sid: 'CA1', status: 'completed' }) }));
+    const client = new TwilioClient('AC1', 'secret', { baseUrl: 'https://twilio.test', fetch });
+
+    expect(await client.updateCall('CA1', { status: 'completed' })).toMatchObject({ status: 'completed' });
+    const [url, init] = fetch.mock.calls[0];
+    expect(url).toBe('https://twilio.test/2010-04-01/Accounts/AC1/Calls/CA1.json');
+    expect(init).toMatchObject({ method: 'POST', body: 'Status=completed' });
+  });
+
+  it('rejects with Twilio\'s error message', async () => {
+    const fetch = async () => ({ ok: false, status: 400, json: async () => ({ message: 'Invalid To number' }) });
+    const client = new TwilioClient('AC1', 'secret', { fetch });
+
+    await expect(client.createCall({ to: 'x', from: 'y', twiml: '' })).rejects.toThrow('Twilio 400: Invalid To number');
+  });
+});
+
 describe('createTwimlRouter', () => {
   let server;
 
@@ -238,6 +394,27 @@ describe('createTwimlRouter', () => {
     server.close();
   });
 
+  it('attributes an outbound call\'s status and cost to the callId in its callback URL', async () => {
+    const costTracker = { log: vi.fn() };
+    const onStatus = vi.fn();
+    const router = createTwimlRouter('wss://example.com/media', TEST_AUTH_TOKEN, costTracker, { onStatus });
+    const base = await startServer(router);
+
+    const params = { CallSid: 'CA1', CallStatus: 'completed', CallDuration: '60' };
+    const url = `${base}/twilio/status?call=call-a`;
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Twilio-Signature': twilioSignature(url, params) },
+      body: JSON.stringify(params),
+    });
+
+    expect(res.status).toBe(200);
+    expect(onStatus).toHaveBeenCalledWith({ callId: 'call-a', callSid: 'CA1', status: 'completed' });
+    expect(costTracker.log).toHaveBeenCalledWith('twilio', 'call', 60, 'seconds', expect.any(Number), 'call-a');
+
+    server.close();
+  });
+
   it('embeds the correct websocket URL in TwiML', async () => {
     const wsUrl = 'wss://my-server.com:8080/media';
     const router = createTwimlRouter(wsUrl, TEST_AUTH_TOKEN);
@@ -254,4 +431,145 @@ describe('createTwimlRouter', () => {
 
     server.close();
   });
+
+  describe('with caller screening', () => {
+    async function post(base, path, params) {
+      const url = `${base}/twilio/${path}`;
+      return (await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Twilio-Signature': twilioSignature(url, params) },
+        body: JSON.stringify(params),
+      })).text();
+    }
+
+    const access = { '+15550001': 'full', '+15550002': 'demo', '+15550003': 'rejected' };
+    const screen = vi.fn((number) => ({ number, access: access[number] ?? 'rejected', profile: null }));
+
+    it('streams allowed callers with their number, and greets demo callers first', async () => {
+      const base = await startServer(createTwimlRouter('wss://example.com/media', TEST_AUTH_TOKEN, null, {
+        screen,
+        demoGreeting: 'Demo call.',
+      }));
+
+      const full = await post(base, 'inbound', { From: '+15550001' });
+      expect(screen).toHaveBeenCalledWith('+15550001');
+      expect(full).toContain('<Parameter name="from" value="+15550001" />');
+      expect(full).not.toContain('<Say>');
+
+      const demo = await post(base, 'inbound', { From: '+15550002' });
+      expect(demo).toContain('<Say>Demo call.</Say>');
+      expect(demo).toContain('<Parameter name="from" value="+15550002" />');
+
+      server.close();
+    });
+
+    it('turns rejected callers away without a stream', async () => {
+      const base = await startServer(createTwimlRouter('wss://example.com/media', TEST_AUTH_TOKEN, null, {
+        screen,
+        rejectMessage: 'Sorry, this line is private.',
+      }));
+
+      const body = await post(base, 'inbound', { From: '+15550003' });
+      expect(body).toContain('<Say>Sorry, this line is private.</Say>');
+      expect(body).not.toContain('<Stream');
+
+      server.close();
+    });
+
+    it('screens again before bridging, passing the number along with dial', async () => {
+      const base = await startServer(createTwimlRouter('wss://example.com/media', TEST_AUTH_TOKEN, null, {
+        mode: 'bridge',
+        destinations: ['+1555'],
+        screen,
+      }));
+
+      expect(await post(base, 'inbound', { From: '+15550003' })).toContain('<Reject');
+      expect(await post(base, 'bridge', { From: '+15550003', Digits: '15550009' })).not.toContain('<Stream');
+
+      const body = await post(base, 'bridge', { From: '+15550001', Digits: '15550009' });
+      expect(body).toContain('<Parameter name="dial" value="+15550009" />');
+      expect(body).toContain('<Parameter name="from" value="+15550001" />');
+
+      server.close();
+    });
+
+    it('connects demo callers to the checker instead of bridging them', async () => {
+      const base = await startServer(createTwimlRouter('wss://example.com/media', TEST_AUTH_TOKEN, null, {
+        mode: 'bridge',
+        destinations: ['+1555'],
+        screen,
+        demoGreeting: 'Demo call.',
+      }));
+
+      const inbound = await post(base, 'inbound', { From: '+15550002' });
+      expect(inbound).not.toContain('<Gather');
+      expect(inbound).toContain('<Say>Demo call.</Say>');
+      expect(inbound).toContain('<Stream url="wss://example.com/media">');
+
+      const body = await post(base, 'bridge', { From: '+15550002', Digits: '15550009' });
+      expect(body).toContain('<Stream url="wss://example.com/media">');
+      expect(body).not.toContain('name="dial"');
+
+      server.close();
+    });
+  });
+
+  describe('in bridge mode', () => {
+    async function post(base, path, params = {}) {
+      const url = `${base}/twilio/${path}`;
+      return fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Twilio-Signature': twilioSignature(url, params) },
+        body: JSON.stringify(params),
+      });
+    }
+
+    it('asks the caller for the number to call', async () => {
+      const base = await startServer(createTwimlRouter('wss://example.com/media', TEST_AUTH_TOKEN, null, { mode: 'bridge' }));
+
+      const body = await (await post(base, 'inbound')).text();
+      expect(body).toContain('<Gather action="bridge" method="POST" finishOnKey="#"');
+      expect(body).not.toContain('<Connect>');
+
+      server.close();
+    });
+
+    it('connects the stream with the number to dial', async () => {
+      const base = await startServer(createTwimlRouter('wss://example.com/media', TEST_AUTH_TOKEN, null, {
+        mode: 'bridge',
+        destinations: ['+1555'],
+      }));
+
+      const body = await (await post(base, 'bridge', { Digits: '15550002' })).text();
+      expect(body).toContain('<Stream url="wss://example.com/media">');
+      expect(body).toContain('<Parameter name="dial" value="+15550002" />');
+
+      server.close();
+    });
+
+    it('asks again when the number is not valid', async () => {
+      const base = await startServer(createTwimlRouter('wss://example.com/media', TEST_AUTH_TOKEN, null, { mode: 'bridge' }));
+
+      const body = await (await post(base, 'bridge', { Digits: '12' })).text();
+      expect(body).toContain('<Redirect method="POST">inbound</Redirect>');
+      expect(body).not.toContain('<Stream');
+
+      server.close();
+    });
+
+    it('refuses numbers outside the allowed destinations', async () => {
+      const base = await startServer(createTwimlRouter('wss://example.com/media', TEST_AUTH_TOKEN, null, {
+        mode: 'bridge',
+        destinations: ['+1555', '+4420'],
+      }));
+
+      const body = await (await post(base, 'bridge', { Digits: '882123456789' })).text();
+      expect(body).toContain("That number can't be called from this line.");
+      expect(body).toContain('<Redirect method="POST">inbound</Redirect>');
+      expect(body).not.toContain('<Stream');
+      expect(await (await post(base, 'bridge', { Digits: '442071234567' })).text()).toContain('value="+442071234567"');
+
+      server.close();
+    });
+  });
 });
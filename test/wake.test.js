@@ -0,0 +1,27 @@
+import { describe, it, expect } from 'vitest';
+import { findWakeQuestion } from '../src/wake.js';
+
+describe('findWakeQuestion', () => {
+  it('returns the question after a wake phrase leading the text, past greetings and punctuation', () => {
+    expect(findWakeQuestion("Checker, what's the population of Lagos?")).toBe("what's the population of Lagos?");
+    expect(findWakeQuestion('Hey checker — how tall is the Shard?')).toBe('how tall is the Shard?');
+    expect(findWakeQuestion('OK, checker. When did the Berlin Wall fall?')).toBe('When did the Berlin Wall fall?');
+  });
+
+  it('returns an empty question for the wake phrase on its own', () => {
+    expect(findWakeQuestion('Checker.')).toBe('');
+    expect(findWakeQuestion('um, checker?')).toBe('');
+  });
+
+  it('ignores the wake word anywhere else, or as part of another word', () => {
+    expect(findWakeQuestion('The spell checker caught it.')).toBeNull();
+    expect(findWakeQuestion('Checkers is a board game.')).toBeNull();
+    expect(findWakeQuestion('')).toBeNull();
+  });
+
+  it('uses a configured phrase, and none when unset', () => {
+    expect(findWakeQuestion('Hey fact check, who wrote Dune?', 'fact check')).toBe('who wrote Dune?');
+    expect(findWakeQuestion('Fact-check: who wrote Dune?', 'fact check')).toBe('who wrote Dune?');
+    expect(findWakeQuestion('Checker, who wrote Dune?', null)).toBeNull();
+  });
+});